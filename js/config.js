@@ -7,10 +7,60 @@ export const CONFIG = {
 
 
     INITIAL_BUDGET: 1100, // Starting budget for the player
+    INITIAL_RESOURCES: { wood: 10, stone: 10, grain: 30 }, // Starting stockpile, resources not listed start at 0
     INCOME_GENERATION_INTERVAL: 5000, // Universal income generation interval in milliseconds for all buildings
     DAY_LENGTH: 24, // 16 INCOME_GENERATION_INTERVALs = 1 day
     NIGHT_LENGTH: 12, // 6 INCOME_GENERATION_INTERVALs = 1 night
     NIGHT_PRODUCTION_MULTIPLIER: 0.3, // Production multiplier for night
+    GAME_SPEEDS: [0, 1, 2, 4], // Available game speeds, 0 pauses the game
+    ENVIRONMENT_EVENT_INTERVAL: 60000, // Game time in milliseconds between tree respawn events
+    SEASON_LENGTH: 3, // Days in each season (seasons are in seasonData.js)
+    WEATHER_SPELL_LENGTH: 12, // Ticks each spell of weather lasts (weather is in weatherData.js)
+    WEATHER_PERSISTENCE: 0.3, // Chance the next spell keeps the same weather, if the season allows it
+    WEATHER_FORECAST_LENGTH: 3, // Upcoming spells of weather known in advance
+    EVENT_DAILY_CHANCE: 0.4, // Chance each morning that a village event happens (events are in eventData.js)
+
+    HARVEST_RADIUS: 4, // Default distance in tiles a harvesting building reaches from its footprint
+    HARVEST_FULL_OUTPUT_TREES: 6, // Default number of reachable trees a harvesting building needs for full output
+    HARVEST_TICKS_PER_HARVEST: 12, // Default ticks at full production between two harvests
+
+    HAPPINESS_BASE: 50, // Happiness (0-100) of a house with nothing around it, output is unaffected at this level
+    HAPPINESS_EMPLOYMENT_BONUS: 10, // Happiness every house gets when every villager has a job
+    HAPPINESS_UNEMPLOYMENT_PENALTY: 15, // Happiness every house loses when no villager has a job
+    HAPPINESS_MIN_MULTIPLIER: 0.7, // Production multiplier of a village at 0 happiness
+    HAPPINESS_MAX_MULTIPLIER: 1.2, // Production multiplier of a village at 100 happiness
+    HAPPINESS_LEAVE_THRESHOLD: 25, // Residents of houses below this happiness start moving out
+
+    IMMIGRATION_RATE: 0.3, // Villagers moving in per tick while houses have room, at CONFIG.HAPPINESS_BASE happiness
+    IMMIGRATION_JOBS_BONUS: 0.5, // Extra share of villagers moving in while buildings have open jobs
+    EMIGRATION_RATE: 0.01, // Share of unhappy, long jobless or indebted villagers moving out per tick
+    UNEMPLOYMENT_PATIENCE: 36, // Ticks (a day and a night) unemployed villagers wait for work before moving out
+
+    FOOD_PER_RESIDENT: 0.1, // Food each resident eats per tick (a grain is worth 1 food, a bread 3)
+    FOOD_HAPPINESS_PENALTY: 30, // Happiness every house loses when villagers get none of the food they need
+    FOOD_GROWTH_STALL_TICKS: 6, // Ticks of shortage after which nobody moves in any more
+    FOOD_DEPARTURE_TICKS: 36, // Ticks of shortage (a day and a night) after which hungry villagers move out
+
+    TAX_DEFAULT_RATE: 0.2, // Rent each resident pays per interval in a new village
+    TAX_MAX_RATE: 1, // Highest rent that can be set
+    TAX_RATE_STEP: 0.05, // Rent is set in steps of this size
+    TAX_TOLERATED_RATE: 0.2, // Rent villagers accept without grumbling, lower rent makes them happier
+    TAX_HAPPINESS_PER_COIN: 30, // Happiness lost per ⍱1 of rent above the tolerated rate (and won below it)
+    TAX_IMMIGRATION_PENALTY: 0.6, // Share of would-be villagers the highest rent turns away
+
+    LOAN_MAX_ACTIVE: 3, // Most loans the village can owe at once (offers are in loanData.js)
+    BANKRUPTCY_THRESHOLD: -500, // Budget below which the village is sinking into debt
+    BANKRUPTCY_DAYS: 3, // Mornings in a row below the threshold before the village goes bankrupt
+    BAILOUT_BUDGET: 500, // Budget a bailout leaves the village with, its loans are written off
+    MAX_BAILOUTS: 1, // Bailouts a village can get, after that bankruptcy ends the game
+
+    HISTORY_LIMIT: 50, // Maximum number of player actions that can be undone
+    HISTORY_FULL_REFUND_TICKS: 2, // Ticks during which undoing a player action refunds it in full
+    HISTORY_REFUND_DECAY_TICKS: 24, // Ticks after that over which the refund shrinks to nothing (the action stays undoable)
+    MAX_TICKS_PER_FRAME: 4, // Most economy ticks run in one frame, ticks left over from a gap run in the frames after it
+    BACKGROUND_ABSENCE_MIN_DURATION: 10 * 60 * 1000, // Real time in milliseconds without frames (a tab in the background) caught up like offline progress
+    OFFLINE_PROGRESS_MAX_DURATION: 8 * 60 * 60 * 1000, // Longest absence in milliseconds that is simulated when a village is loaded (8 hours)
+    CATCH_UP_CHUNK_DURATION: 30, // Milliseconds of ticks simulated at a time while catching up, the page gets a turn in between
 
 
     INITIAL_TREES: 140, // Initial number of trees in the game
@@ -0,0 +1,110 @@
+/**
+ * Undo/redo stacks for player actions (placement, demolition, rotation)
+ * Entries are plain objects: { action, item, amount, age }
+ *   - action: 'place', 'demolish' or 'rotate'
+ *   - item: snapshot of the affected item ({ type, id, isoX, isoY, flipped, residents })
+ *   - amount: money the action took from the budget (cost or demolition cost, 0 for rotation)
+ *   - age: ticks since the entry became undoable, set by the history
+ */
+export class CommandHistory {
+    /**
+     * @param {number} limit - Maximum number of undoable actions kept
+     * @param {number} fullRefundTicks - Ticks during which undoing an action refunds it in full
+     * @param {number} refundDecayTicks - Ticks after that over which the refund shrinks to nothing
+     */
+    constructor(limit, fullRefundTicks, refundDecayTicks) {
+        this.limit = limit;
+        this.fullRefundTicks = fullRefundTicks;
+        this.refundDecayTicks = refundDecayTicks;
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    /**
+     * Record a new player action
+     * A new action makes everything that was undone before it unreachable, so the redo stack is cleared
+     * @param {Object} entry - History entry
+     */
+    record(entry) {
+        this.pushUndo(entry);
+        this.redoStack = [];
+    }
+
+    /**
+     * Push an entry onto the undo stack, dropping the oldest one past the limit
+     * @param {Object} entry - History entry
+     */
+    pushUndo(entry) {
+        entry.age = 0;
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+    }
+
+    /**
+     * Push an entry onto the redo stack
+     * @param {Object} entry - History entry
+     */
+    pushRedo(entry) {
+        this.redoStack.push(entry);
+        if (this.redoStack.length > this.limit) {
+            this.redoStack.shift();
+        }
+    }
+
+    /**
+     * Count a tick towards every undoable entry
+     */
+    tick() {
+        this.undoStack.forEach(entry => {
+            entry.age++;
+        });
+    }
+
+    /**
+     * Get the share of an entry's cost that undoing it gives back
+     * Old actions are refunded less, so a building can't earn for a while and then be taken back for free
+     * @param {Object} entry - History entry
+     * @returns {number} 1 for a fresh action, down to 0 once it's older than both refund windows
+     */
+    getRefundShare(entry) {
+        const decayAge = entry.age - this.fullRefundTicks;
+        if (decayAge <= 0) {
+            return 1;
+        }
+        return Math.max(0, 1 - decayAge / this.refundDecayTicks);
+    }
+
+    /**
+     * Take the most recent undoable entry
+     * @returns {Object|null} History entry or null if there is nothing to undo
+     */
+    takeUndo() {
+        return this.undoStack.pop() || null;
+    }
+
+    /**
+     * Take the most recent redoable entry
+     * @returns {Object|null} History entry or null if there is nothing to redo
+     */
+    takeRedo() {
+        return this.redoStack.pop() || null;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Forget all history (new game, slot switch, import)
+     */
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
@@ -0,0 +1,56 @@
+/**
+ * Minimal publish/subscribe helper
+ * Handlers are called synchronously in subscription order with the event's payload
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // event name -> Set of handlers
+    }
+
+    /**
+     * Subscribe to an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, handler) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    /**
+     * Unsubscribe from an event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    /**
+     * Call every handler subscribed to an event
+     * A failing handler is logged and doesn't stop the others or the code that emitted the event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     */
+    emit(event, payload = {}) {
+        const handlers = this.listeners.get(event);
+        if (!handlers) {
+            return;
+        }
+        // Copy so handlers can unsubscribe while the event is being delivered
+        [...handlers].forEach(handler => {
+            try {
+                handler(payload);
+            } catch (error) {
+                console.warn(`Error in ${event} event handler:`, error);
+            }
+        });
+    }
+}
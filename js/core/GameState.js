@@ -1,106 +1,536 @@
 import { CONFIG } from '../config.js';
-import { BUILDING_DATA, DECORATION_DATA, ROAD_DATA } from '../data/itemData.js';
+import * as itemRegistry from '../data/itemRegistry.js';
+import { getLoanOffer } from '../data/loanData.js';
+import { getNextSeasonId, getSeasonData, getSeasonIds } from '../data/seasonData.js';
+import { getWeatherData, getWeatherIds } from '../data/weatherData.js';
+import { getEventData, getEventIds, isEventModifier } from '../data/eventData.js';
+import { SAVE_VERSION, SaveVersionError, migrateSave } from './saveMigrations.js';
+import { SaveSlots } from './SaveSlots.js';
+import { CommandHistory } from './CommandHistory.js';
+import { EventEmitter } from './EventEmitter.js';
+import { Simulation } from './Simulation.js';
+import { getMissingItemPacks } from './itemPacks.js';
 
 const STORAGE_KEY = 'isometric_game_state';
 
 /**
  * Manages game state (placed items, selected tool, etc.)
+ *
+ * Emits events through on()/off() whenever the game changes:
+ *   - itemPlaced { item }: an item was added to the map (by the player or an environment event)
+ *   - itemRemoved { item }: an item was taken off the map
+ *   - budgetChanged { budget, change }: the budget went up or down
+ *   - resourcesChanged { resources, changes }: the stockpile changed (changes maps resource ID -> amount added or removed)
+ *   - populationChanged { population, employed, unemployed }: workforce totals changed
+ *   - taxRateChanged { taxRate }: the rent residents pay changed
+ *   - loansChanged { loans }: a loan was taken, repaid or written off
+ *   - debtWarning { days, daysLeft }: a morning began with the budget below CONFIG.BANKRUPTCY_THRESHOLD
+ *   - bankrupt { canBailout }: the village stayed in debt for CONFIG.BANKRUPTCY_DAYS and stopped working
+ *   - bailedOut { budget }: the village was bailed out of bankruptcy
+ *   - villagersArrived { count, population }: villagers moved into the village's houses
+ *   - villagersLeft { count, reason, population }: villagers moved away ('unhappiness', 'unemployment', 'hunger' or 'debt')
+ *   - tick { tick, day, isDay }: the day/night cycle advanced one tick
+ *   - dayStarted { day }: a new day began
+ *   - nightStarted { day }: night fell
+ *   - seasonChanged { season, previous }: a new season began (IDs from seasonData.js)
+ *   - weatherChanged { weather, previous }: the weather turned (IDs from weatherData.js)
+ *   - villageEvent { eventId }: an event happened and waits for the player's choice (IDs from eventData.js)
+ *   - villageEventResolved { eventId, choice }: the player chose what to do about an event (index in its choices)
+ *   - eventEffectsChanged { effects }: a timed event effect started or ran out
+ *   - stateLoaded { source, offlineReport }: a whole village was loaded ('storage', 'new' or 'import') or caught up
+ *     on time away ('away'), offlineReport summarizes the time simulated (null if none)
+ *   - reset {}: the village was started over
+ *   - speedChanged { speed }: the game speed changed (0 means paused)
  */
 export class GameState {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {function(): number} [options.random] - Random number source for the map, weather, storms and events
+     *   (default: Math.random), pass createSeededRandom() from randomUtils.js to repeat a headless run
+     */
+    constructor({ random = Math.random } = {}) {
+        // Created first so events emitted while loading have somewhere to go
+        this.events = new EventEmitter();
+        this.random = random;
+        
         this.placedItems = [];
+        
+        // Spatial index over placedItems, kept in sync on every add/remove/load/reset
+        this.tileIndex = new Map(); // "isoX,isoY" -> item covering that tile (every tile of a multi-tile footprint)
+        this.itemsByType = new Map(); // type -> Set of items
+        this.itemsByKind = new Map(); // "type:id" -> Set of items
+        this.influenceMap = null; // "isoX,isoY" -> [{ source, modifiers }] reaching that tile, rebuilt lazily
+        this.happinessCache = null; // { houses: Map of item -> house happiness, village } while held, see cacheHappiness
+        
         this.selectedTool = null;
         this.selectedType = null;
         this.selectedId = null;
         this.selectedFlipped = false; // Track rotation state for selected tool
         this.budget = CONFIG.INITIAL_BUDGET;
-        this.population = 0; // Initial population is 0
-        this.unemployedPopulation = 0; // Initial unemployed population is 0 (equals population by default)
+        this.taxRate = CONFIG.TAX_DEFAULT_RATE; // Rent each resident pays per interval
+        this.loans = []; // Loans being repaid: { id, offerId, amount, owed, installment, dayTaken }
+        this.debt = this.createInitialDebt(); // Mornings in debt, bankruptcy and bailouts used
+        this.resources = this.createInitialResources(); // Stockpile: resource ID -> amount in store
+        this.buildingSupply = new Map(); // Building ID -> share of its inputs it got last tick, not saved
+        // Workforce totals, derived from per-item residents/workers by updateWorkforceTotals()
+        this.population = 0; // Sum of residents across all houses
+        this.unemployedPopulation = 0; // Residents not assigned to any building
+        this.employedPopulation = 0; // Sum of workers across all staffed buildings
         this.workersRequired = 0; // Total workers required by all placed items
         this.productionMultiplier = 1; // Production multiplier (1 = full production, <1 = reduced)
+        this.migration = this.createInitialMigration(); // Progress towards the next villagers moving in or out
+        this.food = this.createInitialFood(); // How well villagers were fed lately
+        this.villageEvents = this.createInitialVillageEvents(); // Event waiting for a choice and timed effects running
         
         // Day/night cycle tracking
         this.currentTick = 0; // Current tick in the cycle (0 to DAY_LENGTH + NIGHT_LENGTH - 1)
         this.isDay = true; // Whether it's currently day or night
-        
+        this.day = 1; // Number of the current day, counting from 1
+        this.season = this.createInitialSeason(); // Season and day within it
+        this.weather = this.createInitialWeather(); // Current spell of weather and the forecast after it
+        this.extendForecast();
+        
+        // Game speed multiplier (0 = paused), not saved with the village
+        this.gameSpeed = 1;
+        this.speedBeforePause = 1;
+        
+        // Set when the saved village can't be loaded; persistence stays off so the save isn't overwritten
+        this.loadError = null;
+        this.persistenceDisabled = false;
+        this.missingItemPacks = []; // Item packs the saved village needs that aren't installed
+        
+        // Offline progress: when the loaded village was last saved, and what happened since
+        this.lastSavedAt = null;
+        this.offlineReport = null;
+        this.catchingUp = false; // Set while time away is simulated, events are held back until it's done
+        
+        // Undo/redo history of player actions, not saved with the village
+        this.history = new CommandHistory(CONFIG.HISTORY_LIMIT, CONFIG.HISTORY_FULL_REFUND_TICKS, CONFIG.HISTORY_REFUND_DECAY_TICKS);
+        this.recordHistory = true; // Turned off while undoing/redoing so replays aren't recorded again
+        
+        // Named save slots, each village is stored under its own key
+        this.saveSlots = new SaveSlots(STORAGE_KEY);
+        
+        // The time the village spent closed is caught up afterwards, see getTimeAway and simulateAbsence
+        this.loadActiveSlot();
+    }
+
+    /**
+     * Load the active slot's village, or generate a new map if the slot is empty
+     * No time away is simulated, a village the player switches to was merely left in another slot
+     */
+    loadActiveSlot() {
         // Load saved state from localStorage
         const hasSavedState = this.loadFromLocalStorage();
         
         // If no saved state exists, initialize the game with initial map items
         if (!hasSavedState) {
             this.initializeInitialMap();
+        } else {
+            // Save straight away so the slot summary and save format are up to date
+            this.saveToLocalStorage();
         }
+        
+        this.emit('stateLoaded', {
+            source: hasSavedState ? 'storage' : 'new',
+            offlineReport: this.offlineReport
+        });
     }
 
     /**
-     * Check if a position is valid for placement
+     * Get how long the loaded village spent closed
+     * @returns {number} Milliseconds since it was saved (0 if unknown, a clock that went backwards counts as no time away)
+     */
+    getTimeAway() {
+        if (!Number.isFinite(this.lastSavedAt)) {
+            return 0;
+        }
+        return Math.max(0, Date.now() - this.lastSavedAt);
+    }
+
+    /**
+     * Simulate the economy for a stretch of game time nobody watched (a closed village, a tab left in the background)
+     * Uses the same rules as live play, capped to CONFIG.OFFLINE_PROGRESS_MAX_DURATION. Ticks run a chunk at a time
+     * so the page stays responsive; events are held back meanwhile and one stateLoaded with the report follows
+     * @param {number} elapsed - Game time away in milliseconds
+     * @param {function(number): void} [onProgress] - Called after each chunk with the share simulated so far (0 to 1)
+     * @returns {Promise<Object|null>} Simulation report plus elapsed, simulatedTime and capped,
+     *   or null if no full interval has passed
+     */
+    async simulateAbsence(elapsed, onProgress) {
+        const simulatedTime = Math.min(elapsed, CONFIG.OFFLINE_PROGRESS_MAX_DURATION);
+        const ticks = Math.floor(simulatedTime / CONFIG.INCOME_GENERATION_INTERVAL);
+        if (ticks <= 0 || this.catchingUp) {
+            return null;
+        }
+        
+        this.catchingUp = true;
+        let result;
+        try {
+            result = await new Simulation(this).runInChunks(ticks, onProgress);
+        } finally {
+            this.catchingUp = false;
+        }
+        
+        // The summary doesn't need one entry per tick
+        const { steps, ...report } = result;
+        this.offlineReport = {
+            ...report,
+            elapsed,
+            simulatedTime: report.ticks * CONFIG.INCOME_GENERATION_INTERVAL,
+            capped: elapsed > CONFIG.OFFLINE_PROGRESS_MAX_DURATION
+        };
+        this.emit('stateLoaded', { source: 'away', offlineReport: this.offlineReport });
+        return this.offlineReport;
+    }
+
+    /**
+     * Check whether time away is being simulated, the game loop leaves the economy alone meanwhile
+     * @returns {boolean} True while simulateAbsence is running
+     */
+    isCatchingUp() {
+        return this.catchingUp;
+    }
+
+    /**
+     * Get the summary of the last time away that was simulated
+     * @returns {Object|null} Report from simulateAbsence, or null if none was simulated
+     */
+    getOfflineReport() {
+        return this.offlineReport;
+    }
+
+    /**
+     * Subscribe to a game event (see the class comment for the list)
+     * @param {string} event - Event name
+     * @param {Function} handler - Called with the event payload
+     * @returns {Function} Call to unsubscribe
+     */
+    on(event, handler) {
+        return this.events.on(event, handler);
+    }
+
+    /**
+     * Unsubscribe from a game event
+     * @param {string} event - Event name
+     * @param {Function} handler - Handler passed to on()
+     */
+    off(event, handler) {
+        this.events.off(event, handler);
+    }
+
+    /**
+     * Notify subscribers of a game event
+     * @param {string} event - Event name
+     * @param {Object} payload - Event payload
+     */
+    emit(event, payload = {}) {
+        // A catch-up would flood the UI with every tick's events, its stateLoaded refreshes everything at the end
+        if (this.catchingUp) {
+            return;
+        }
+        this.events.emit(event, payload);
+    }
+
+    /**
+     * Get the localStorage key of the active slot
+     * @returns {string} Storage key
+     */
+    getStorageKey() {
+        return this.saveSlots.getActiveSlot().storageKey;
+    }
+
+    /**
+     * Build the tile index key for a position
      * @param {number} isoX - Isometric X coordinate
      * @param {number} isoY - Isometric Y coordinate
+     * @returns {string} Index key
+     */
+    static tileKey(isoX, isoY) {
+        return `${isoX},${isoY}`;
+    }
+
+    /**
+     * Add an item to the spatial index
+     * @param {Object} item - Placed item
+     */
+    indexItem(item) {
+        this.getItemTiles(item).forEach(tile => {
+            this.tileIndex.set(GameState.tileKey(tile.isoX, tile.isoY), item);
+        });
+        
+        if (!this.itemsByType.has(item.type)) {
+            this.itemsByType.set(item.type, new Set());
+        }
+        this.itemsByType.get(item.type).add(item);
+        
+        const kindKey = `${item.type}:${item.id}`;
+        if (!this.itemsByKind.has(kindKey)) {
+            this.itemsByKind.set(kindKey, new Set());
+        }
+        this.itemsByKind.get(kindKey).add(item);
+        
+        if (itemRegistry.getInfluence(item.type, item.id)) {
+            this.influenceMap = null;
+        }
+    }
+
+    /**
+     * Remove an item from the spatial index
+     * @param {Object} item - Placed item
+     */
+    unindexItem(item) {
+        this.getItemTiles(item).forEach(tile => {
+            const key = GameState.tileKey(tile.isoX, tile.isoY);
+            if (this.tileIndex.get(key) === item) {
+                this.tileIndex.delete(key);
+            }
+        });
+        
+        const typeSet = this.itemsByType.get(item.type);
+        if (typeSet) {
+            typeSet.delete(item);
+        }
+        
+        const kindSet = this.itemsByKind.get(`${item.type}:${item.id}`);
+        if (kindSet) {
+            kindSet.delete(item);
+        }
+        
+        if (itemRegistry.getInfluence(item.type, item.id)) {
+            this.influenceMap = null;
+        }
+    }
+
+    /**
+     * Rebuild the spatial index from placedItems (after load or reset)
+     */
+    rebuildTileIndex() {
+        this.tileIndex.clear();
+        this.itemsByType.clear();
+        this.itemsByKind.clear();
+        this.influenceMap = null;
+        this.placedItems.forEach(item => this.indexItem(item));
+    }
+
+    /**
+     * Add an item to placedItems and the index
+     * @param {Object} item - Item to add
+     */
+    addPlacedItem(item) {
+        this.placedItems.push(item);
+        this.indexItem(item);
+        this.emit('itemPlaced', { item });
+    }
+
+    /**
+     * Remove an item from placedItems and the index
+     * @param {Object} item - Item to remove
+     * @returns {boolean} True if the item was found and removed
+     */
+    removePlacedItem(item) {
+        const itemIndex = this.placedItems.indexOf(item);
+        if (itemIndex === -1) {
+            return false;
+        }
+        this.placedItems.splice(itemIndex, 1);
+        this.unindexItem(item);
+        this.emit('itemRemoved', { item });
+        return true;
+    }
+
+    /**
+     * Get the size of an item's footprint
      * @param {string} type - Item type
      * @param {string} id - Item ID
-     * @returns {boolean} True if position is valid
+     * @param {boolean} flipped - Whether the item is rotated
+     * @returns {{width: number, depth: number}} Tiles along isoX and isoY
      */
-    isValidPosition(isoX, isoY, type, id) {
-        // Check bounds
-        if (isoX < -CONFIG.GRID_SIZE || isoX > CONFIG.GRID_SIZE || 
-            isoY < -CONFIG.GRID_SIZE || isoY > CONFIG.GRID_SIZE) {
-            return false;
+    getFootprint(type, id, flipped = false) {
+        return itemRegistry.getFootprint(type, id, flipped);
+    }
+
+    /**
+     * Get the tiles an item would cover with its anchor at a position
+     * The anchor (the item's isoX/isoY) is the footprint's back corner, the other tiles extend towards +isoX and +isoY
+     * @param {number} isoX - Anchor isometric X coordinate
+     * @param {number} isoY - Anchor isometric Y coordinate
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @param {boolean} flipped - Whether the item is rotated
+     * @returns {Array<{isoX: number, isoY: number}>} Covered tiles
+     */
+    getFootprintTiles(isoX, isoY, type, id, flipped = false) {
+        const { width, depth } = this.getFootprint(type, id, flipped);
+        const tiles = [];
+        for (let dx = 0; dx < width; dx++) {
+            for (let dy = 0; dy < depth; dy++) {
+                tiles.push({ isoX: isoX + dx, isoY: isoY + dy });
+            }
         }
-        
-        // Check if position is already occupied
-        if (this.placedItems.some(item => 
-            item.isoX === isoX && item.isoY === isoY
-        )) {
+        return tiles;
+    }
+
+    /**
+     * Get the tiles a placed item covers
+     * @param {Object} item - Placed item
+     * @returns {Array<{isoX: number, isoY: number}>} Covered tiles
+     */
+    getItemTiles(item) {
+        return this.getFootprintTiles(item.isoX, item.isoY, item.type, item.id, item.flipped);
+    }
+
+    /**
+     * Check if a tile is on the map
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @returns {boolean} True if the tile is within the grid bounds
+     */
+    isWithinBounds(isoX, isoY) {
+        return isoX >= -CONFIG.GRID_SIZE && isoX <= CONFIG.GRID_SIZE &&
+               isoY >= -CONFIG.GRID_SIZE && isoY <= CONFIG.GRID_SIZE;
+    }
+
+    /**
+     * Check if every tile of a footprint is on the map and empty
+     * @param {number} isoX - Anchor isometric X coordinate
+     * @param {number} isoY - Anchor isometric Y coordinate
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @param {boolean} flipped - Whether the item is rotated
+     * @param {Object|null} ignoredItem - Placed item whose own tiles count as empty (when it turns in place)
+     * @returns {boolean} True if the footprint fits
+     */
+    isFootprintFree(isoX, isoY, type, id, flipped = false, ignoredItem = null) {
+        return this.getFootprintTiles(isoX, isoY, type, id, flipped).every(tile => {
+            if (!this.isWithinBounds(tile.isoX, tile.isoY)) {
+                return false;
+            }
+            const occupant = this.getItemAt(tile.isoX, tile.isoY);
+            return occupant === null || occupant === ignoredItem;
+        });
+    }
+
+    /**
+     * Get the item at a position
+     * Multi-tile items are found from any tile they cover
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @returns {Object|null} Item at the position or null if the cell is empty
+     */
+    getItemAt(isoX, isoY) {
+        return this.tileIndex.get(GameState.tileKey(isoX, isoY)) || null;
+    }
+
+    /**
+     * Check if a position is occupied by any item
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @returns {boolean} True if an item occupies the position
+     */
+    isOccupied(isoX, isoY) {
+        return this.tileIndex.has(GameState.tileKey(isoX, isoY));
+    }
+
+    /**
+     * Check if there is a road at a position
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @returns {boolean} True if a road occupies the position
+     */
+    hasRoadAt(isoX, isoY) {
+        const item = this.getItemAt(isoX, isoY);
+        return item !== null && item.type === 'road';
+    }
+
+    /**
+     * Get all placed items of a type
+     * @param {string} type - Item type (building, decoration, road)
+     * @returns {Array} Items of this type
+     */
+    getItemsOfType(type) {
+        const items = this.itemsByType.get(type);
+        return items ? Array.from(items) : [];
+    }
+
+    /**
+     * Get all placed items of a specific type and id
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @returns {Array} Matching items
+     */
+    getItemsOfKind(type, id) {
+        const items = this.itemsByKind.get(`${type}:${id}`);
+        return items ? Array.from(items) : [];
+    }
+
+    /**
+     * Count placed items of a specific type and id
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @returns {number} Number of matching items
+     */
+    countItemsOfKind(type, id) {
+        const items = this.itemsByKind.get(`${type}:${id}`);
+        return items ? items.size : 0;
+    }
+
+    /**
+     * Check if any item matching the predicate lies within 1 tile (Chebyshev distance) of a position
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @param {Function} predicate - Called with each neighbouring item
+     * @param {boolean} includeCenter - Whether the position itself is checked too
+     * @returns {boolean} True if a matching neighbour exists
+     */
+    hasNeighbour(isoX, isoY, predicate, includeCenter = false) {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                if (dx === 0 && dy === 0 && !includeCenter) {
+                    continue;
+                }
+                const item = this.getItemAt(isoX + dx, isoY + dy);
+                if (item && predicate(item)) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check if a position is valid for placement
+     * @param {number} isoX - Anchor isometric X coordinate
+     * @param {number} isoY - Anchor isometric Y coordinate
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @param {boolean} flipped - Whether the item is rotated (turns multi-tile footprints)
+     * @returns {boolean} True if position is valid
+     */
+    isValidPosition(isoX, isoY, type, id, flipped = false) {
+        // Check that every tile of the footprint is in bounds and not already occupied
+        if (!this.isFootprintFree(isoX, isoY, type, id, flipped)) {
             return false;
         }
         
-        // Check if item data allows adjacent placement
-        let allowAdjacent = false;
-        if (type === 'building' && BUILDING_DATA[id]) {
-            allowAdjacent = BUILDING_DATA[id].allowAdjacentPlacement === true;
-        } else if (type === 'decoration' && DECORATION_DATA[id]) {
-            allowAdjacent = DECORATION_DATA[id].allowAdjacentPlacement === true;
-        } else if (type === 'road' && ROAD_DATA[id]) {
-            allowAdjacent = ROAD_DATA[id].allowAdjacentPlacement === true;
-        }
+        const tiles = this.getFootprintTiles(isoX, isoY, type, id, flipped);
         
-        // If adjacent placement is not allowed, enforce minimum 1-tile gap (including diagonally)
-        if (!allowAdjacent) {
-            // Check all 8 neighboring positions (4 cardinal + 4 diagonal)
+        // If item data doesn't allow adjacent placement, enforce minimum 1-tile gap (including diagonally)
+        if (!itemRegistry.allowsAdjacentPlacement(type, id)) {
+            // Check the 8 neighboring positions (4 cardinal + 4 diagonal) of every footprint tile
             // An item cannot be placed if there's another item of the same type/id within 1 tile
-            const hasNearbyItem = this.placedItems.some(item => {
-                // Only check items of the same type and id
-                if (item.type !== type || item.id !== id) {
-                    return false;
-                }
-                
-                const dx = Math.abs(item.isoX - isoX);
-                const dy = Math.abs(item.isoY - isoY);
-                
-                // Check if within 1 tile distance (Chebyshev distance <= 1)
-                // This includes cardinal (dx=1,dy=0 or dx=0,dy=1) and diagonal (dx=1,dy=1)
-                return dx <= 1 && dy <= 1 && (dx !== 0 || dy !== 0);
-            });
+            const hasNearbyItem = tiles.some(tile => this.hasNeighbour(tile.isoX, tile.isoY, item => 
+                item.type === type && item.id === id
+            ));
             
             if (hasNearbyItem) {
                 return false;
             }
         }
         
-        // For buildings, check if there's a road tile nearby (within 1 tile in any direction)
-        if (type === 'building') {
-            const hasNearbyRoad = this.placedItems.some(item => {
-                if (item.type !== 'road') {
-                    return false;
-                }
-                
-                const dx = Math.abs(item.isoX - isoX);
-                const dy = Math.abs(item.isoY - isoY);
-                
-                // Check if road is within 1 tile distance (Chebyshev distance <= 1)
-                // This includes cardinal (dx=1,dy=0 or dx=0,dy=1) and diagonal (dx=1,dy=1)
-                return dx <= 1 && dy <= 1;
-            });
+        // For buildings, check if there's a road tile nearby (within 1 tile of any footprint tile in any direction)
+        if (itemRegistry.needsRoadAccess(type)) {
+            const hasNearbyRoad = tiles.some(tile => this.hasNeighbour(tile.isoX, tile.isoY, item => item.type === 'road'));
             
             if (!hasNearbyRoad) {
                 return false;
@@ -117,14 +547,7 @@ export class GameState {
      * @returns {number} Cost of the item, or 0 if not found
      */
     getItemCost(type, id) {
-        if (type === 'building' && BUILDING_DATA[id]) {
-            return BUILDING_DATA[id].cost || 0;
-        } else if (type === 'decoration' && DECORATION_DATA[id]) {
-            return DECORATION_DATA[id].cost || 0;
-        } else if (type === 'road' && ROAD_DATA[id]) {
-            return ROAD_DATA[id].cost || 0;
-        }
-        return 0;
+        return itemRegistry.getItemCost(type, id);
     }
 
     /**
@@ -137,16 +560,7 @@ export class GameState {
         const cost = this.getItemCost(type, id);
         if (cost === 0) return 0;
         
-        let multiplier = 0.5; // Default multiplier
-        if (type === 'building' && BUILDING_DATA[id]) {
-            multiplier = BUILDING_DATA[id].demolitionCostMultiplier ?? 0.5;
-        } else if (type === 'decoration' && DECORATION_DATA[id]) {
-            multiplier = DECORATION_DATA[id].demolitionCostMultiplier ?? 0.5;
-        } else if (type === 'road' && ROAD_DATA[id]) {
-            multiplier = ROAD_DATA[id].demolitionCostMultiplier ?? 0.5;
-        }
-        
-        return Math.floor(cost * multiplier);
+        return Math.floor(cost * itemRegistry.getDemolitionCostMultiplier(type, id));
     }
 
     /**
@@ -157,7 +571,34 @@ export class GameState {
      */
     canAfford(type, id) {
         const cost = this.getItemCost(type, id);
-        return this.budget >= cost;
+        return this.budget >= cost && this.getMissingResources(type, id).length === 0;
+    }
+
+    /**
+     * Get the resources it takes to place an item, on top of its money cost
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @returns {Object} Resource ID -> amount (empty if the item only costs money)
+     */
+    getResourceCost(type, id) {
+        return itemRegistry.getResourceCost(type, id);
+    }
+
+    /**
+     * Get the resources the stockpile is short of to place an item
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @returns {Array<{resourceId: string, label: string, required: number, current: number}>} Shortages (empty if there is enough of everything)
+     */
+    getMissingResources(type, id) {
+        return Object.entries(this.getResourceCost(type, id))
+            .filter(([resourceId, required]) => this.getResource(resourceId) < required)
+            .map(([resourceId, required]) => ({
+                resourceId,
+                label: itemRegistry.getResourceName(resourceId),
+                required,
+                current: this.getResource(resourceId)
+            }));
     }
 
     /**
@@ -188,13 +629,11 @@ export class GameState {
             building: (required) => {
                 const buildingId = required;
                 const hasBuilding = this.hasBuilding(buildingId);
-                const buildingData = BUILDING_DATA[buildingId];
-                const buildingName = buildingData ? buildingData.name : buildingId;
                 return {
                     met: hasBuilding,
                     current: hasBuilding ? 1 : 0,
                     required: 1,
-                    label: buildingName
+                    label: itemRegistry.getItemName('building', buildingId)
                 };
             }
         };
@@ -208,20 +647,11 @@ export class GameState {
      * @returns {{met: boolean, missing: Object}} Object with 'met' boolean and 'missing' requirements object
      */
     checkRequirements(type, id) {
-        let itemData = null;
-        if (type === 'building' && BUILDING_DATA[id]) {
-            itemData = BUILDING_DATA[id];
-        } else if (type === 'decoration' && DECORATION_DATA[id]) {
-            itemData = DECORATION_DATA[id];
-        } else if (type === 'road' && ROAD_DATA[id]) {
-            itemData = ROAD_DATA[id];
-        }
-
-        if (!itemData || !itemData.requires) {
+        const requirements = itemRegistry.getRequirements(type, id);
+        if (!requirements) {
             return { met: true, missing: null };
         }
 
-        const requirements = itemData.requires;
         const missing = {};
         const checkers = this.getRequirementCheckers();
 
@@ -261,7 +691,7 @@ export class GameState {
      */
     placeItem(isoX, isoY, type, id, flipped = false) {
         // Check if position is valid
-        if (!this.isValidPosition(isoX, isoY, type, id)) {
+        if (!this.isValidPosition(isoX, isoY, type, id, flipped)) {
             return false;
         }
         
@@ -276,65 +706,36 @@ export class GameState {
             return false;
         }
         
-        // Get item data to check for unemployedPopulation requirement
-        let itemData = null;
-        if (type === 'building' && BUILDING_DATA[id]) {
-            itemData = BUILDING_DATA[id];
-        } else if (type === 'decoration' && DECORATION_DATA[id]) {
-            itemData = DECORATION_DATA[id];
-        } else if (type === 'road' && ROAD_DATA[id]) {
-            itemData = ROAD_DATA[id];
-        }
-        
-        // Get the new item's worker requirement (if any)
-        const newItemWorkerRequirement = (itemData && itemData.requires && itemData.requires.unemployedPopulation) 
-            ? itemData.requires.unemployedPopulation 
-            : 0;
-        
-        // Calculate workers required AFTER placing the item (to check for shortage)
-        const workersRequiredBefore = this.calculateWorkersRequired();
-        const workersRequiredAfter = workersRequiredBefore + newItemWorkerRequirement;
-        const currentWorkers = this.population - this.unemployedPopulation;
-        
         // Deduct cost and place item
         const cost = this.getItemCost(type, id);
-        this.budget -= cost;
+        this.setBudget(this.budget - cost);
+        const resourceCost = this.getResourceCost(type, id);
+        this.spendResources(resourceCost);
         
-        this.placedItems.push({
+        const item = {
             type: type,
             id: id,
             isoX: isoX,
             isoY: isoY,
             flipped: flipped || false
-        });
+        };
         
-        // Add population if this is a house
-        if (type === 'building' && itemData && itemData.population) {
-            const newPopulation = itemData.population;
-            this.population += newPopulation;
-            
-            // Calculate shortage AFTER including the new item's requirement
-            const shortageAfter = Math.max(0, workersRequiredAfter - currentWorkers);
-            
-            // If there's a worker shortage, assign new people to work instead of unemployed
-            if (shortageAfter > 0) {
-                const workersToAssign = Math.min(newPopulation, shortageAfter);
-                // Assign workersToAssign to work, rest to unemployed
-                this.unemployedPopulation += (newPopulation - workersToAssign);
-            } else {
-                // No shortage, all new population is unemployed
-                this.unemployedPopulation += newPopulation;
-            }
+        // Houses start empty and fill up as villagers move in, staffed buildings start empty and hire below
+        if (this.getItemHousingCapacity(item) > 0) {
+            item.residents = 0;
         }
-        
-        // Handle item placement - convert unemployed villagers to workers if required
-        if (newItemWorkerRequirement > 0) {
-            // Convert required number of unemployed villagers to workers
-            this.unemployedPopulation = Math.max(0, this.unemployedPopulation - newItemWorkerRequirement);
+        if (this.getWorkerSlots(type, id) > 0) {
+            item.workers = 0;
         }
         
-        // Safety check: ensure unemployed never exceeds total population
-        this.unemployedPopulation = Math.min(this.population, this.unemployedPopulation);
+        this.addPlacedItem(item);
+        
+        // New residents fill open jobs, new jobs take unemployed residents
+        this.rebalanceWorkforce();
+        
+        if (this.recordHistory) {
+            this.history.record({ action: 'place', item: this.snapshotItem(item), amount: cost, resources: resourceCost });
+        }
         
         // Save state to localStorage
         this.saveToLocalStorage();
@@ -347,65 +748,164 @@ export class GameState {
      * This includes clearing all items, resetting budget, population, and regenerating the map
      */
     resetGame() {
-        // Clear all placed items
-        this.placedItems = [];
-        
-        // Reset budget to initial value
-        this.budget = CONFIG.INITIAL_BUDGET;
-        
-        // Reset population
-        this.population = 0;
-        this.unemployedPopulation = 0;
-        this.workersRequired = 0;
-        this.productionMultiplier = 1;
-        
-        // Reset time cycle
-        this.currentTick = 0;
-        this.isDay = true;
+        this.resetInMemoryState();
         
         // Clear selected tool
         this.clearSelectedTool();
         
         // Clear localStorage to ensure a fresh start
         try {
-            localStorage.removeItem(STORAGE_KEY);
+            if (!this.persistenceDisabled) {
+                localStorage.removeItem(this.getStorageKey());
+            }
         } catch (error) {
             console.warn('Failed to clear localStorage:', error);
         }
         
         // Regenerate the initial map
         this.initializeInitialMap();
+        
+        this.emit('reset');
     }
 
     /**
-     * Clear item at a specific cell position
-     * @param {number} isoX - Isometric X coordinate
-     * @param {number} isoY - Isometric Y coordinate
-     * @returns {boolean} True if an item was removed
+     * Reset items, budget, population and time to their initial values without touching storage
      */
-    clearCell(isoX, isoY) {
-        const itemIndex = this.placedItems.findIndex(item => 
-            item.isoX === isoX && item.isoY === isoY
-        );
+    resetInMemoryState() {
+        // Clear all placed items
+        this.placedItems = [];
+        this.rebuildTileIndex();
         
-        if (itemIndex === -1) {
-            return false;
-        }
+        // Reset budget, rent and stockpile to initial values
+        this.setBudget(CONFIG.INITIAL_BUDGET);
+        this.taxRate = CONFIG.TAX_DEFAULT_RATE;
+        this.loans = [];
+        this.debt = this.createInitialDebt();
+        this.setResources(this.createInitialResources());
+        this.buildingSupply.clear();
         
-        const item = this.placedItems[itemIndex];
+        // Reset population
+        this.updateWorkforceTotals();
+        this.productionMultiplier = 1;
+        this.migration = this.createInitialMigration();
+        this.food = this.createInitialFood();
+        this.villageEvents = this.createInitialVillageEvents();
         
-        // Check if trying to destroy a tree, pine, stump, or roots - requires Woodcutter or Timberman
-        if (item.type === 'decoration' && (item.id === 'tree' || item.id === 'pine' || item.id === 'stump' || item.id === 'roots')) {
-            if (!this.hasWoodcutterOrTimberman()) {
-                return false;
-            }
-        }
+        // Reset time cycle
+        this.currentTick = 0;
+        this.isDay = true;
+        this.day = 1;
+        this.season = this.createInitialSeason();
+        this.weather = this.createInitialWeather();
+        this.extendForecast();
         
-        // Check if trying to destroy rocks or boulder - requires Stonecutter
-        if (item.type === 'decoration' && (item.id === 'rocks' || item.id === 'boulder')) {
-            if (!this.hasStonecutter()) {
-                return false;
-            }
+        this.lastSavedAt = null;
+        this.offlineReport = null;
+        
+        // Actions from another village can't be undone here
+        this.history.clear();
+    }
+
+    /**
+     * Get all save slots
+     * @returns {Array} Slot records with id, name, lastPlayed and summary
+     */
+    getSlots() {
+        return this.saveSlots.getSlots();
+    }
+
+    /**
+     * Get the id of the slot currently being played
+     * @returns {string} Active slot id
+     */
+    getActiveSlotId() {
+        return this.saveSlots.getActiveSlot().id;
+    }
+
+    /**
+     * Save the current village and switch to another slot
+     * @param {string} slotId - Slot to switch to
+     * @returns {boolean} True if the slot exists and is now loaded
+     */
+    switchSlot(slotId) {
+        if (!this.saveSlots.getSlot(slotId)) {
+            return false;
+        }
+        
+        // Keep the current village as it is before leaving it
+        this.saveToLocalStorage();
+        this.saveSlots.setActiveSlot(slotId);
+        
+        this.resetInMemoryState();
+        this.clearSelectedTool();
+        this.loadError = null;
+        this.persistenceDisabled = false;
+        this.missingItemPacks = [];
+        
+        this.loadActiveSlot();
+        return true;
+    }
+
+    /**
+     * Create a new slot with a freshly generated map and switch to it
+     * The current village stays untouched in its own slot
+     * @param {string} name - Optional slot name
+     * @returns {Object} Created slot record
+     */
+    startNewSlot(name = null) {
+        const slot = this.saveSlots.createSlot(name);
+        this.switchSlot(slot.id);
+        return slot;
+    }
+
+    /**
+     * Rename a save slot
+     * @param {string} slotId - Slot id
+     * @param {string} name - New name
+     * @returns {boolean} True if the slot was renamed
+     */
+    renameSlot(slotId, name) {
+        return this.saveSlots.renameSlot(slotId, name);
+    }
+
+    /**
+     * Duplicate a save slot
+     * @param {string} slotId - Slot id
+     * @returns {Object|null} New slot record or null on failure
+     */
+    duplicateSlot(slotId) {
+        // Make sure the copy of the active village includes the latest changes
+        if (slotId === this.getActiveSlotId()) {
+            this.saveToLocalStorage();
+        }
+        return this.saveSlots.duplicateSlot(slotId);
+    }
+
+    /**
+     * Delete a save slot (the active slot can't be deleted)
+     * @param {string} slotId - Slot id
+     * @returns {boolean} True if the slot was deleted
+     */
+    deleteSlot(slotId) {
+        return this.saveSlots.deleteSlot(slotId);
+    }
+
+    /**
+     * Clear item at a specific cell position
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @returns {boolean} True if an item was removed
+     */
+    clearCell(isoX, isoY) {
+        const item = this.getItemAt(isoX, isoY);
+        
+        if (!item) {
+            return false;
+        }
+        
+        // Some items need a specific building to be removed (trees need a Woodcutter, rocks a Stonecutter...)
+        if (!this.canRemoveItem(item.type, item.id)) {
+            return false;
         }
         
         // Get demolition cost from item data
@@ -417,75 +917,208 @@ export class GameState {
         }
         
         // Deduct demolition cost
-        this.budget -= demolitionCost;
+        this.setBudget(this.budget - demolitionCost);
         
-        // Get item data before removal
-        let itemData = null;
-        if (item.type === 'building' && BUILDING_DATA[item.id]) {
-            itemData = BUILDING_DATA[item.id];
-        } else if (item.type === 'decoration' && DECORATION_DATA[item.id]) {
-            itemData = DECORATION_DATA[item.id];
-        } else if (item.type === 'road' && ROAD_DATA[item.id]) {
-            itemData = ROAD_DATA[item.id];
+        if (this.recordHistory) {
+            this.history.record({ action: 'demolish', item: this.snapshotItem(item), amount: demolitionCost });
         }
         
-        // Get the item's worker requirement (if any) before removal
-        const itemWorkerRequirement = (itemData && itemData.requires && itemData.requires.unemployedPopulation) 
-            ? itemData.requires.unemployedPopulation 
-            : 0;
+        // Removing a house takes its residents away, removing a workplace frees its workers
+        this.removePlacedItem(item);
         
-        // Get the item's population (if it's a house) before removal
-        const itemPopulation = (item.type === 'building' && itemData && itemData.population) 
-            ? itemData.population 
-            : 0;
+        // Lay off workers that no longer have a home, or rehire freed workers elsewhere
+        this.rebalanceWorkforce();
         
-        // Remove the item first to calculate workersRequired after removal
-        this.placedItems.splice(itemIndex, 1);
+        // Save state to localStorage
+        this.saveToLocalStorage();
+        
+        return true;
+    }
+
+    /**
+     * Copy the fields of a placed item that are needed to restore it later
+     * @param {Object} item - Placed item
+     * @returns {Object} Item snapshot
+     */
+    snapshotItem(item) {
+        const snapshot = {
+            type: item.type,
+            id: item.id,
+            isoX: item.isoX,
+            isoY: item.isoY,
+            flipped: item.flipped || false
+        };
+        if (typeof item.residents === 'number') {
+            snapshot.residents = item.residents;
+        }
+        return snapshot;
+    }
+
+    /**
+     * Get the display name of an item
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @returns {string} Item name, or the ID if the item is unknown
+     */
+    getItemName(type, id) {
+        return itemRegistry.getItemName(type, id);
+    }
+
+    /**
+     * Turn a placed item, moving a multi-tile footprint along with it
+     * @param {Object} item - Placed item
+     * @returns {boolean} True if the item turned, false if its turned footprint doesn't fit
+     */
+    flipItem(item) {
+        if (!this.isFootprintFree(item.isoX, item.isoY, item.type, item.id, !item.flipped, item)) {
+            return false;
+        }
+        this.unindexItem(item);
+        item.flipped = !item.flipped;
+        this.indexItem(item);
+        return true;
+    }
+
+    /**
+     * Flip a placed item horizontally
+     * @param {number} isoX - Isometric X coordinate of any tile the item covers
+     * @param {number} isoY - Isometric Y coordinate of any tile the item covers
+     * @returns {boolean} True if an item was rotated
+     */
+    rotateItem(isoX, isoY) {
+        const item = this.getItemAt(isoX, isoY);
+        if (!item || !this.flipItem(item)) {
+            return false;
+        }
         
-        // Calculate workers required after removal
-        const workersRequiredAfter = this.calculateWorkersRequired();
+        if (this.recordHistory) {
+            this.history.record({ action: 'rotate', item: this.snapshotItem(item), amount: 0 });
+        }
         
-        // Subtract population if this is a house
-        if (itemPopulation > 0) {
-            this.population = Math.max(0, this.population - itemPopulation);
-            
-            // When removing a house, we need to account for workers that were assigned from that house
-            // If the building required workers, some of the house's population were working
-            // We should only reduce unemployed by the number who were actually unemployed
-            // Since we don't track per-house assignments, we use a heuristic:
-            // - If there's a worker requirement, assume those workers came from this house
-            // - Reduce unemployed by (house population - worker requirement), but not less than 0
-            const unemployedFromHouse = Math.max(0, itemPopulation - itemWorkerRequirement);
-            this.unemployedPopulation = Math.max(0, this.unemployedPopulation - unemployedFromHouse);
-        }
-        
-        // Handle item demolition - restore workers to unemployed (only if there's population left)
-        if (itemWorkerRequirement > 0) {
-            // The workers that were assigned to this building are now free
-            // Restore them to unemployed if there's still population
-            if (this.population > 0) {
-                this.unemployedPopulation = Math.min(this.population, this.unemployedPopulation + itemWorkerRequirement);
+        this.saveToLocalStorage();
+        return true;
+    }
+
+    /**
+     * Check whether the item a history entry refers to is still on the map
+     * Environment events can remove or replace items behind the history's back
+     * @param {Object} snapshot - Item snapshot from a history entry
+     * @returns {Object|null} The placed item, or null if it's gone
+     */
+    findHistoryItem(snapshot) {
+        const item = this.getItemAt(snapshot.isoX, snapshot.isoY);
+        if (item && item.type === snapshot.type && item.id === snapshot.id) {
+            return item;
+        }
+        return null;
+    }
+
+    /**
+     * Undo the most recent player action
+     * Refunds the money and resources the action cost (less for older actions) and rebalances the workforce
+     * @returns {{success: boolean, entry: Object|null, message: string}} Result of the undo, the message says
+     *   why it failed or how much of an older action was refunded
+     */
+    undo() {
+        const entry = this.history.takeUndo();
+        if (!entry) {
+            return { success: false, entry: null, message: 'Nothing to undo' };
+        }
+        
+        const { item: snapshot } = entry;
+        const name = this.getItemName(snapshot.type, snapshot.id);
+        const refundShare = this.history.getRefundShare(entry);
+        const refundResources = {};
+        Object.entries(entry.resources || {}).forEach(([resourceId, amount]) => {
+            refundResources[resourceId] = amount * refundShare;
+        });
+        
+        if (entry.action === 'place') {
+            const item = this.findHistoryItem(snapshot);
+            if (!item) {
+                return { success: false, entry, message: `Can't undo: the ${name} is no longer there` };
             }
-            
-            // Check if there's still a worker shortage after removal
-            // If so, reassign the newly unemployed workers back to work
-            const currentWorkers = this.population - this.unemployedPopulation;
-            
-            if (workersRequiredAfter > currentWorkers) {
-                const shortage = workersRequiredAfter - currentWorkers;
-                const workersToReassign = Math.min(this.unemployedPopulation, shortage);
-                // Reassign workers back to work
-                this.unemployedPopulation = Math.max(0, this.unemployedPopulation - workersToReassign);
+            this.removePlacedItem(item);
+            this.setBudget(this.budget + entry.amount * refundShare);
+            this.addResources(refundResources);
+            this.rebalanceWorkforce();
+        } else if (entry.action === 'demolish') {
+            if (!this.isFootprintFree(snapshot.isoX, snapshot.isoY, snapshot.type, snapshot.id, snapshot.flipped)) {
+                return { success: false, entry, message: `Can't undo: the ${name}'s tile is taken` };
+            }
+            const item = { ...snapshot };
+            if (this.getWorkerSlots(item.type, item.id) > 0) {
+                item.workers = 0;
+            }
+            this.addPlacedItem(item);
+            this.setBudget(this.budget + entry.amount * refundShare);
+            this.rebalanceWorkforce();
+        } else if (entry.action === 'rotate') {
+            const item = this.findHistoryItem(snapshot);
+            if (!item) {
+                return { success: false, entry, message: `Can't undo: the ${name} is no longer there` };
+            }
+            if (!this.flipItem(item)) {
+                return { success: false, entry, message: `Can't undo: the ${name} has no room to turn back` };
             }
         }
         
-        // Safety check: ensure unemployed never exceeds total population
-        this.unemployedPopulation = Math.min(this.population, this.unemployedPopulation);
-        
-        // Save state to localStorage
+        this.history.pushRedo(entry);
         this.saveToLocalStorage();
         
-        return true;
+        const hasCost = entry.amount > 0 || Object.keys(refundResources).length > 0;
+        let message = '';
+        if (hasCost && refundShare === 0) {
+            message = `Undone without a refund, the ${name} was ${entry.action === 'place' ? 'placed' : 'demolished'} too long ago`;
+        } else if (hasCost && refundShare < 1) {
+            message = `Undone with a ${Math.round(refundShare * 100)}% refund, the ${name} was ${entry.action === 'place' ? 'placed' : 'demolished'} a while ago`;
+        }
+        return { success: true, entry, message };
+    }
+
+    /**
+     * Redo the most recently undone player action
+     * Goes through the normal placement/demolition rules, so it costs money and resources again
+     * @returns {{success: boolean, entry: Object|null, message: string}} Result of the redo
+     */
+    redo() {
+        const entry = this.history.takeRedo();
+        if (!entry) {
+            return { success: false, entry: null, message: 'Nothing to redo' };
+        }
+        
+        const { item: snapshot } = entry;
+        const name = this.getItemName(snapshot.type, snapshot.id);
+        let success = false;
+        
+        this.recordHistory = false;
+        try {
+            if (entry.action === 'place') {
+                const cost = this.getItemCost(snapshot.type, snapshot.id);
+                const resourceCost = this.getResourceCost(snapshot.type, snapshot.id);
+                success = this.placeItem(snapshot.isoX, snapshot.isoY, snapshot.type, snapshot.id, snapshot.flipped);
+                entry.amount = cost;
+                entry.resources = resourceCost;
+            } else if (entry.action === 'demolish') {
+                const item = this.findHistoryItem(snapshot);
+                if (item) {
+                    entry.item = this.snapshotItem(item);
+                    entry.amount = this.getDemolitionCost(item.type, item.id);
+                    success = this.clearCell(snapshot.isoX, snapshot.isoY);
+                }
+            } else if (entry.action === 'rotate') {
+                success = this.findHistoryItem(snapshot) !== null && this.rotateItem(snapshot.isoX, snapshot.isoY);
+            }
+        } finally {
+            this.recordHistory = true;
+        }
+        
+        if (!success) {
+            return { success: false, entry, message: `Can't redo: the ${name} can't be ${entry.action === 'place' ? 'placed' : 'changed'} any more` };
+        }
+        
+        this.history.pushUndo(entry);
+        return { success: true, entry, message: '' };
     }
 
     /**
@@ -506,23 +1139,16 @@ export class GameState {
      * @returns {boolean} True if item was placed successfully
      */
     placeItemFree(isoX, isoY, type, id, flipped = false) {
-        // Check if position is valid (but skip cost and budget checks)
-        if (isoX < -CONFIG.GRID_SIZE || isoX > CONFIG.GRID_SIZE || 
-            isoY < -CONFIG.GRID_SIZE || isoY > CONFIG.GRID_SIZE) {
-            return false;
-        }
-        
-        // Check if position is already occupied
-        if (this.placedItems.some(item => 
-            item.isoX === isoX && item.isoY === isoY
-        )) {
+        // Check if position is valid (but skip cost and budget checks):
+        // the whole footprint must be in bounds and not already occupied
+        if (!this.isFootprintFree(isoX, isoY, type, id, flipped)) {
             return false;
         }
         
         // For trees, we allow adjacent placement (they have allowAdjacentPlacement: true)
         // But we still check if the exact position is free
         
-        this.placedItems.push({
+        this.addPlacedItem({
             type: type,
             id: id,
             isoX: isoX,
@@ -543,16 +1169,14 @@ export class GameState {
      * @returns {boolean} True if an item was removed
      */
     removeItemFree(isoX, isoY) {
-        const itemIndex = this.placedItems.findIndex(item => 
-            item.isoX === isoX && item.isoY === isoY
-        );
+        const item = this.getItemAt(isoX, isoY);
         
-        if (itemIndex === -1) {
+        if (!item) {
             return false;
         }
         
         // Remove the item (no cost, no population changes for environment events)
-        this.placedItems.splice(itemIndex, 1);
+        this.removePlacedItem(item);
         
         // Save state to localStorage
         this.saveToLocalStorage();
@@ -569,13 +1193,11 @@ export class GameState {
         let attempts = 0;
         
         while (attempts < maxAttempts) {
-            const isoX = Math.floor(Math.random() * (CONFIG.GRID_SIZE * 2 + 1)) - CONFIG.GRID_SIZE;
-            const isoY = Math.floor(Math.random() * (CONFIG.GRID_SIZE * 2 + 1)) - CONFIG.GRID_SIZE;
+            const isoX = Math.floor(this.random() * (CONFIG.GRID_SIZE * 2 + 1)) - CONFIG.GRID_SIZE;
+            const isoY = Math.floor(this.random() * (CONFIG.GRID_SIZE * 2 + 1)) - CONFIG.GRID_SIZE;
             
             // Check if position is empty
-            if (!this.placedItems.some(item => 
-                item.isoX === isoX && item.isoY === isoY
-            )) {
+            if (!this.isOccupied(isoX, isoY)) {
                 return { isoX, isoY };
             }
             
@@ -590,123 +1212,1427 @@ export class GameState {
      * @returns {Object|null} Random tree item object or null if no trees found
      */
     findRandomTree() {
-        const trees = this.placedItems.filter(item => 
-            item.type === 'decoration' && (item.id === 'tree' || item.id === 'pine')
-        );
+        const trees = [
+            ...this.getItemsOfKind('decoration', 'tree'),
+            ...this.getItemsOfKind('decoration', 'pine')
+        ];
         
         if (trees.length === 0) {
             return null;
         }
         
-        const randomTree = trees[Math.floor(Math.random() * trees.length)];
+        const randomTree = trees[Math.floor(this.random() * trees.length)];
         return randomTree;
     }
 
     /**
-     * Set selected tool
-     * @param {HTMLElement} tool - Tool element
-     * @param {string} type - Item type
-     * @param {string} id - Item ID
+     * Swap a placed item for another item of the same type at the same spot, without cost
+     * Used when items change stage (a felled tree leaves a stump), the caller saves
+     * @param {Object} item - Placed item
+     * @param {string} id - ID of the replacement item
+     * @returns {Object|null} The replacement item, or null if its footprint doesn't fit
      */
-    setSelectedTool(tool, type, id) {
-        this.selectedTool = tool;
-        this.selectedType = type;
-        this.selectedId = id;
-        this.selectedFlipped = false; // Reset rotation when selecting a new tool
+    replaceItemFree(item, id) {
+        if (!this.isFootprintFree(item.isoX, item.isoY, item.type, id, item.flipped, item)) {
+            return null;
+        }
+        
+        this.removePlacedItem(item);
+        const replacement = {
+            type: item.type,
+            id: id,
+            isoX: item.isoX,
+            isoY: item.isoY,
+            flipped: item.flipped || false
+        };
+        this.addPlacedItem(replacement);
+        return replacement;
     }
 
     /**
-     * Clear selected tool
+     * Get the items within a number of tiles of an item's footprint
+     * @param {Object} item - Placed item
+     * @param {number} radius - Distance in tiles from the footprint's edge (diagonal steps count as 1)
+     * @returns {Array<{item: Object, distance: number}>} Other items in reach, each once at its closest distance
+     */
+    getItemsInRadius(item, radius) {
+        const { width, depth } = this.getFootprint(item.type, item.id, item.flipped);
+        const found = new Map();
+        
+        for (let dx = -radius; dx < width + radius; dx++) {
+            for (let dy = -radius; dy < depth + radius; dy++) {
+                const other = this.getItemAt(item.isoX + dx, item.isoY + dy);
+                if (!other || other === item) {
+                    continue;
+                }
+                const distanceX = dx < 0 ? -dx : Math.max(0, dx - width + 1);
+                const distanceY = dy < 0 ? -dy : Math.max(0, dy - depth + 1);
+                const distance = Math.max(distanceX, distanceY);
+                if (!found.has(other) || found.get(other) > distance) {
+                    found.set(other, distance);
+                }
+            }
+        }
+        
+        return [...found].map(([other, distance]) => ({ item: other, distance }));
+    }
+
+    /**
+     * Get the items a harvesting building can reach and harvest
+     * These are items listing the building in removableBy that turn into something when harvested
+     * @param {Object} building - Placed harvesting building
+     * @returns {Array<{item: Object, distance: number}>} Harvestable items, nearest first (empty if the building doesn't harvest)
+     */
+    getHarvestableItems(building) {
+        const harvest = itemRegistry.getHarvest(building.type, building.id);
+        if (!harvest) {
+            return [];
+        }
+        
+        return this.getItemsInRadius(building, harvest.radius)
+            .filter(({ item }) =>
+                itemRegistry.getHarvestInto(item.type, item.id) !== null &&
+                itemRegistry.getRemovableBy(item.type, item.id).includes(building.id)
+            )
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Count the trees a harvesting building can reach
+     * @param {Object} building - Placed harvesting building
+     * @returns {number} Reachable trees, weighted by their harvestYield
+     */
+    countReachableTrees(building) {
+        return this.getHarvestableItems(building)
+            .reduce((total, { item }) => total + itemRegistry.getHarvestYield(item.type, item.id), 0);
+    }
+
+    /**
+     * Get the share of its full output a building produces, before workers and time of day
+     * Harvesting buildings scale with the trees they can reach, production effects from nearby items add on top
+     * the season and weather change the yield of some buildings (see seasonData.js and weatherData.js)
+     * and village events can speed every building up or slow it down for a while
+     * @param {Object} item - Placed building
+     * @returns {number} Output factor, 1 for a building working normally
+     */
+    getItemOutputFactor(item) {
+        const boost = (1 + (this.getItemEffects(item).production || 0)) *
+            this.getItemSeasonYield(item) * this.getItemWeatherYield(item) * this.getEventProductionMultiplier();
+        const harvest = itemRegistry.getHarvest(item.type, item.id);
+        if (!harvest) {
+            return boost;
+        }
+        return Math.min(1, this.countReachableTrees(item) / harvest.fullOutputTrees) * boost;
+    }
+
+    /**
+     * Get the harvesting buildings that have no trees left in reach
+     * @returns {Array<Object>} Placed buildings
+     */
+    getBuildingsWithoutTrees() {
+        return this.getItemsOfType('building').filter(item =>
+            itemRegistry.getHarvest(item.type, item.id) !== null && this.countReachableTrees(item) === 0
+        );
+    }
+
+    /**
+     * Harvest the nearest item a building can reach
+     * Trees are felled first, once none are left stumps are cleared down to roots
+     * @param {Object} building - Placed harvesting building
+     * @returns {Object|null} The item left in place of the harvested one, or null if nothing could be harvested
+     */
+    harvestNearestItem(building) {
+        const harvestable = this.getHarvestableItems(building);
+        const target = harvestable.find(({ item }) => itemRegistry.getHarvestYield(item.type, item.id) > 0) ||
+            harvestable[0];
+        if (!target) {
+            return null;
+        }
+        
+        const { item } = target;
+        return this.replaceItemFree(item, itemRegistry.getHarvestInto(item.type, item.id));
+    }
+
+    /**
+     * Spread the influence of every placed item over the tiles around it
+     * @returns {Map} "isoX,isoY" -> [{ source, modifiers }] for every tile some influence reaches
+     */
+    buildInfluenceMap() {
+        const influenceMap = new Map();
+        
+        this.placedItems.forEach(source => {
+            const influence = itemRegistry.getInfluence(source.type, source.id);
+            if (!influence) {
+                return;
+            }
+            const { width, depth } = this.getFootprint(source.type, source.id, source.flipped);
+            for (let dx = -influence.radius; dx < width + influence.radius; dx++) {
+                for (let dy = -influence.radius; dy < depth + influence.radius; dy++) {
+                    const key = GameState.tileKey(source.isoX + dx, source.isoY + dy);
+                    if (!influenceMap.has(key)) {
+                        influenceMap.set(key, []);
+                    }
+                    influenceMap.get(key).push({ source, modifiers: influence.modifiers });
+                }
+            }
+        });
+        
+        return influenceMap;
+    }
+
+    /**
+     * Get the influences reaching a tile
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @returns {Array<{source: Object, modifiers: Object}>} Items whose influence covers the tile
+     */
+    getTileInfluences(isoX, isoY) {
+        if (!this.influenceMap) {
+            this.influenceMap = this.buildInfluenceMap();
+        }
+        return this.influenceMap.get(GameState.tileKey(isoX, isoY)) || [];
+    }
+
+    /**
+     * Get the total of each modifier reaching a tile, whatever stands on it
+     * @param {number} isoX - Isometric X coordinate
+     * @param {number} isoY - Isometric Y coordinate
+     * @returns {Object} Modifier ID -> summed value
+     */
+    getTileEffects(isoX, isoY) {
+        const effects = {};
+        this.getTileInfluences(isoX, isoY).forEach(({ modifiers }) => {
+            Object.entries(modifiers).forEach(([modifierId, value]) => {
+                effects[modifierId] = (effects[modifierId] || 0) + value;
+            });
+        });
+        return effects;
+    }
+
+    /**
+     * Get the items influencing an item, and what each of them gives it
+     * A source reaching several tiles of a multi-tile footprint counts once, and an item never influences itself
+     * @param {Object} item - Placed item (or one about to be placed)
+     * @returns {Array<{source: Object, modifiers: Object}>} Sources with only the modifiers that apply to this item
+     */
+    getItemInfluences(item) {
+        const sources = new Map();
+        this.getFootprintTiles(item.isoX, item.isoY, item.type, item.id, item.flipped).forEach(tile => {
+            this.getTileInfluences(tile.isoX, tile.isoY).forEach(({ source, modifiers }) => {
+                if (source === item || sources.has(source)) {
+                    return;
+                }
+                const applying = {};
+                Object.entries(modifiers).forEach(([modifierId, value]) => {
+                    if (itemRegistry.isInfluencedBy(modifierId, item.type, item.id)) {
+                        applying[modifierId] = value;
+                    }
+                });
+                if (Object.keys(applying).length > 0) {
+                    sources.set(source, applying);
+                }
+            });
+        });
+        return [...sources].map(([source, modifiers]) => ({ source, modifiers }));
+    }
+
+    /**
+     * Get the modifiers an item gets from the items around it
+     * @param {Object} item - Placed item (or one about to be placed)
+     * @param {Array<{source: Object, modifiers: Object}>} [influences] - The item's influences, when already known
+     * @returns {Object} Modifier ID -> total value, kept between each modifier's min and max
+     */
+    getItemEffects(item, influences = this.getItemInfluences(item)) {
+        const effects = {};
+        influences.forEach(({ modifiers }) => {
+            Object.entries(modifiers).forEach(([modifierId, value]) => {
+                effects[modifierId] = (effects[modifierId] || 0) + value;
+            });
+        });
+        Object.keys(effects).forEach(modifierId => {
+            const { min, max } = itemRegistry.getInfluenceModifier(modifierId);
+            if (max !== undefined) {
+                effects[modifierId] = Math.min(max, effects[modifierId]);
+            }
+            if (min !== undefined) {
+                effects[modifierId] = Math.max(min, effects[modifierId]);
+            }
+        });
+        return effects;
+    }
+
+    /**
+     * Get the number of residents a house holds, including extra room from nearby items
+     * @param {Object} item - Placed item (or one about to be placed)
+     * @returns {number} Housing capacity (0 if the item houses nobody)
+     */
+    getItemHousingCapacity(item) {
+        const baseCapacity = this.getHousingCapacity(item.type, item.id);
+        if (baseCapacity <= 0) {
+            return 0;
+        }
+        return baseCapacity + Math.floor(this.getItemEffects(item).housing || 0);
+    }
+
+    /**
+     * Get the multiplier applied to production for the current time of day
+     * @returns {number} 1 during the day, CONFIG.NIGHT_PRODUCTION_MULTIPLIER at night
+     */
+    getNightMultiplier() {
+        return this.isDay ? 1 : CONFIG.NIGHT_PRODUCTION_MULTIPLIER;
+    }
+
+    /**
+     * Get the time of day multiplier for one building, nearby lights keep it working at night
+     * @param {Object} item - Placed building
+     * @returns {number} 1 during the day, the night multiplier plus nightProduction effects (at most 1) at night
+     */
+    getItemNightMultiplier(item) {
+        if (this.isDay) {
+            return 1;
+        }
+        return Math.min(1, CONFIG.NIGHT_PRODUCTION_MULTIPLIER + (this.getItemEffects(item).nightProduction || 0));
+    }
+
+    /**
+     * Get how happy a house is and what makes it so
+     * Nearby items (wells, campfires, benches, noisy workshops), the village's employment, rent and food,
+     * village events and the best road next to the house all add to CONFIG.HAPPINESS_BASE
+     * @param {Object} item - Placed house
+     * @returns {{score: number, factors: Array<{label: string, value: number}>}} Score from 0 to 100,
+     *   and the points each factor adds (negative when it hurts)
+     */
+    getHouseHappiness(item) {
+        const cache = this.happinessCache;
+        if (cache && cache.houses.has(item)) {
+            return cache.houses.get(item);
+        }
+        
+        const factors = new Map();
+        const addFactor = (label, value) => {
+            if (value !== 0) {
+                factors.set(label, (factors.get(label) || 0) + value);
+            }
+        };
+        
+        // Nearby items, named after the item so the breakdown says which ones
+        const influences = this.getItemInfluences(item);
+        let nearbyTotal = 0;
+        influences.forEach(({ source, modifiers }) => {
+            if (modifiers.happiness) {
+                addFactor(this.getItemName(source.type, source.id), modifiers.happiness);
+                nearbyTotal += modifiers.happiness;
+            }
+        });
+        // Items pile up to the modifier's limits, the difference is shown on its own
+        const cappedBy = (this.getItemEffects(item, influences).happiness || 0) - nearbyTotal;
+        addFactor(cappedBy < 0 ? 'Too much of a good thing' : 'Used to the noise', cappedBy);
+        
+        if (this.population > 0) {
+            const employedShare = this.employedPopulation / this.population;
+            addFactor('Employment',
+                CONFIG.HAPPINESS_EMPLOYMENT_BONUS * employedShare - CONFIG.HAPPINESS_UNEMPLOYMENT_PENALTY * (1 - employedShare));
+        }
+        
+        addFactor('Rent', this.getTaxHappiness());
+        
+        if (this.food.supplied < 1) {
+            addFactor('Hunger', -CONFIG.FOOD_HAPPINESS_PENALTY * (1 - this.food.supplied));
+        }
+        
+        // Village events, named after the event (a festival cheers everyone up for a while)
+        this.villageEvents.effects
+            .filter(effect => effect.modifier === 'happiness')
+            .forEach(effect => addFactor(getEventData(effect.eventId).name, effect.amount));
+        
+        const roadHappiness = this.getItemsInRadius(item, 1)
+            .reduce((best, { item: road }) => Math.max(best, itemRegistry.getRoadHappiness(road.type, road.id)), 0);
+        addFactor('Roads', roadHappiness);
+        
+        const total = [...factors.values()].reduce((sum, value) => sum + value, CONFIG.HAPPINESS_BASE);
+        const happiness = {
+            score: Math.max(0, Math.min(100, total)),
+            factors: [...factors].map(([label, value]) => ({ label, value }))
+        };
+        if (cache) {
+            cache.houses.set(item, happiness);
+        }
+        return happiness;
+    }
+
+    /**
+     * Get the village's happiness, the average of its houses weighted by residents
+     * @returns {{score: number, factors: Array<{label: string, value: number}>}} Score from 0 to 100 and the
+     *   average points each factor adds, best first (CONFIG.HAPPINESS_BASE and no factors for an empty village)
+     */
+    getVillageHappiness() {
+        const cache = this.happinessCache;
+        if (cache && cache.village) {
+            return cache.village;
+        }
+        
+        const houses = this.placedItems.filter(item => item.residents > 0);
+        const residents = houses.reduce((sum, item) => sum + item.residents, 0);
+        if (residents === 0) {
+            return { score: CONFIG.HAPPINESS_BASE, factors: [] };
+        }
+        
+        let score = 0;
+        const factors = new Map();
+        houses.forEach(item => {
+            const weight = item.residents / residents;
+            const happiness = this.getHouseHappiness(item);
+            score += happiness.score * weight;
+            happiness.factors.forEach(({ label, value }) => {
+                factors.set(label, (factors.get(label) || 0) + value * weight);
+            });
+        });
+        
+        const village = {
+            score,
+            factors: [...factors]
+                .map(([label, value]) => ({ label, value }))
+                .sort((a, b) => b.value - a.value)
+        };
+        if (cache) {
+            cache.village = village;
+        }
+        return village;
+    }
+
+    /**
+     * Hold on to house and village happiness until clearHappinessCache instead of working it out on every call
+     * Happiness depends on most of the village, so the cache is only held while nothing but residents change
+     * (the simulation holds it while villagers move in and out)
+     */
+    cacheHappiness() {
+        this.happinessCache = { houses: new Map(), village: null };
+    }
+
+    /**
+     * Go back to working out happiness on every call
+     */
+    clearHappinessCache() {
+        this.happinessCache = null;
+    }
+
+    /**
+     * Get the multiplier happiness puts on production, on top of getProductionMultiplier
+     * @returns {number} 1 at CONFIG.HAPPINESS_BASE, down to CONFIG.HAPPINESS_MIN_MULTIPLIER at 0
+     *   and up to CONFIG.HAPPINESS_MAX_MULTIPLIER at 100
+     */
+    getHappinessMultiplier() {
+        const { score } = this.getVillageHappiness();
+        if (score >= CONFIG.HAPPINESS_BASE) {
+            return 1 + (CONFIG.HAPPINESS_MAX_MULTIPLIER - 1) * (score - CONFIG.HAPPINESS_BASE) / (100 - CONFIG.HAPPINESS_BASE);
+        }
+        return CONFIG.HAPPINESS_MIN_MULTIPLIER + (1 - CONFIG.HAPPINESS_MIN_MULTIPLIER) * score / CONFIG.HAPPINESS_BASE;
+    }
+
+    /**
+     * Set selected tool
+     * @param {HTMLElement} tool - Tool element
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     */
+    setSelectedTool(tool, type, id) {
+        this.selectedTool = tool;
+        this.selectedType = type;
+        this.selectedId = id;
+        this.selectedFlipped = false; // Reset rotation when selecting a new tool
+    }
+
+    /**
+     * Clear selected tool
+     */
+    clearSelectedTool() {
+        // Remove active class from tool item if it exists
+        if (this.selectedTool) {
+            this.selectedTool.classList.remove('active');
+        }
+        this.selectedTool = null;
+        this.selectedType = null;
+        this.selectedId = null;
+        this.selectedFlipped = false;
+    }
+
+    /**
+     * Get selected tool info
+     * @returns {{tool: HTMLElement, type: string, id: string, flipped: boolean}|null}
+     */
+    getSelectedTool() {
+        if (!this.selectedTool) return null;
+        return {
+            tool: this.selectedTool,
+            type: this.selectedType,
+            id: this.selectedId,
+            flipped: this.selectedFlipped
+        };
+    }
+
+    /**
+     * Toggle rotation state for selected tool
+     */
+    toggleRotation() {
+        if (this.selectedTool) {
+            this.selectedFlipped = !this.selectedFlipped;
+        }
+    }
+
+    /**
+     * Get the current game speed
+     * @returns {number} Speed multiplier, 0 when paused
+     */
+    getGameSpeed() {
+        return this.gameSpeed;
+    }
+
+    /**
+     * Check whether the game is paused
+     * @returns {boolean} True if time is stopped
+     */
+    isPaused() {
+        return this.gameSpeed === 0;
+    }
+
+    /**
+     * Set the game speed
+     * Only economy ticks, villagers, environment events and ambient animations are affected,
+     * building and demolishing keep working while paused
+     * @param {number} speed - One of CONFIG.GAME_SPEEDS
+     * @returns {boolean} True if the speed is supported
+     */
+    setGameSpeed(speed) {
+        if (!CONFIG.GAME_SPEEDS.includes(speed)) {
+            return false;
+        }
+        if (speed !== this.gameSpeed) {
+            if (speed === 0) {
+                this.speedBeforePause = this.gameSpeed;
+            }
+            this.gameSpeed = speed;
+            this.emit('speedChanged', { speed });
+        }
+        return true;
+    }
+
+    /**
+     * Pause the game, or resume it at the speed it had before pausing
+     */
+    togglePause() {
+        this.setGameSpeed(this.isPaused() ? this.speedBeforePause : 0);
+    }
+
+    /**
+     * Get current budget
+     * @returns {number} Current budget
+     */
+    getBudget() {
+        return this.budget;
+    }
+
+    /**
+     * Add money to the budget
+     * @param {number} amount - Amount to add
+     */
+    addBudget(amount) {
+        this.setBudget(this.budget + amount);
+        // Save state to localStorage
+        this.saveToLocalStorage();
+    }
+
+    /**
+     * Set the budget and notify subscribers if it changed
+     * @param {number} budget - New budget
+     */
+    setBudget(budget) {
+        const change = budget - this.budget;
+        this.budget = budget;
+        if (change !== 0) {
+            this.emit('budgetChanged', { budget, change });
+        }
+    }
+
+    /**
+     * Get the rent each resident pays per interval
+     * @returns {number} Tax rate
+     */
+    getTaxRate() {
+        return this.taxRate;
+    }
+
+    /**
+     * Keep a rent within 0 and CONFIG.TAX_MAX_RATE, in steps of CONFIG.TAX_RATE_STEP
+     * @param {number} taxRate - Requested rent
+     * @returns {number} Rent that can be set
+     */
+    clampTaxRate(taxRate) {
+        const stepped = Math.round(taxRate / CONFIG.TAX_RATE_STEP) * CONFIG.TAX_RATE_STEP;
+        // Rounding to whole cents drops floating point noise from the steps
+        return Math.max(0, Math.min(CONFIG.TAX_MAX_RATE, Math.round(stepped * 100) / 100));
+    }
+
+    /**
+     * Set the rent each resident pays per interval, save and notify subscribers if it changed
+     * @param {number} taxRate - New rent, kept within 0 and CONFIG.TAX_MAX_RATE
+     * @returns {number} The rent that was set
+     */
+    setTaxRate(taxRate) {
+        if (!Number.isFinite(taxRate)) {
+            return this.taxRate;
+        }
+        const clamped = this.clampTaxRate(taxRate);
+        if (clamped !== this.taxRate) {
+            this.taxRate = clamped;
+            this.emit('taxRateChanged', { taxRate: clamped });
+            this.saveToLocalStorage();
+        }
+        return this.taxRate;
+    }
+
+    /**
+     * Get the rent collected from residents per interval
+     * @returns {number} Tax income per interval
+     */
+    getTaxIncomePerInterval() {
+        return this.population * this.taxRate;
+    }
+
+    /**
+     * Get the happiness the current rent adds (negative when it is above CONFIG.TAX_TOLERATED_RATE)
+     * @param {number} taxRate - Rent to check, the current one by default
+     * @returns {number} Happiness points
+     */
+    getTaxHappiness(taxRate = this.taxRate) {
+        return CONFIG.TAX_HAPPINESS_PER_COIN * (CONFIG.TAX_TOLERATED_RATE - taxRate);
+    }
+
+    /**
+     * Get the share of would-be villagers the current rent still lets move in
+     * @param {number} taxRate - Rent to check, the current one by default
+     * @returns {number} 1 without rent, down to 1 - CONFIG.TAX_IMMIGRATION_PENALTY at the highest rent
+     */
+    getTaxImmigrationMultiplier(taxRate = this.taxRate) {
+        return 1 - CONFIG.TAX_IMMIGRATION_PENALTY * taxRate / CONFIG.TAX_MAX_RATE;
+    }
+
+    /**
+     * Create the village event state of a new village
+     * @returns {{pending: string|null, effects: Array<Object>}} Event waiting for the player's choice, and the
+     *   timed effects running: { eventId, modifier, amount, daysLeft }
+     */
+    createInitialVillageEvents() {
+        return { pending: null, effects: [] };
+    }
+
+    /**
+     * Get the event waiting for the player's choice
+     * @returns {string|null} Event ID, or null if there is none
+     */
+    getPendingEvent() {
+        return this.villageEvents.pending;
+    }
+
+    /**
+     * Get the timed event effects running
+     * @returns {Array<Object>} Copies of the effects: { eventId, modifier, amount, daysLeft }
+     */
+    getEventEffects() {
+        return this.villageEvents.effects.map(effect => ({ ...effect }));
+    }
+
+    /**
+     * Add up the running event effects of one kind
+     * @param {string} modifier - 'happiness', 'production' or 'income'
+     * @returns {number} Total amount (0 if none is running)
+     */
+    getEventModifier(modifier) {
+        return this.villageEvents.effects
+            .filter(effect => effect.modifier === modifier)
+            .reduce((total, effect) => total + effect.amount, 0);
+    }
+
+    /**
+     * Get the multiplier running event effects put on every building's output
+     * @returns {number} Multiplier, 1 when no event changes production
+     */
+    getEventProductionMultiplier() {
+        return Math.max(0, 1 + this.getEventModifier('production'));
+    }
+
+    /**
+     * Check whether the village meets an event's conditions
+     * @param {string} eventId - Event ID
+     * @returns {boolean} True if the event can happen now
+     */
+    canEventHappen(eventId) {
+        const conditions = getEventData(eventId).conditions || {};
+        if (Number.isFinite(conditions.population) && this.population < conditions.population) {
+            return false;
+        }
+        const missingItem = Object.entries(conditions.items || {})
+            .some(([type, ids]) => ids.some(id => this.countItemsOfKind(type, id) === 0));
+        if (missingItem) {
+            return false;
+        }
+        if (Array.isArray(conditions.seasons) && !conditions.seasons.includes(this.season.id)) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Maybe start a village event, called as each day starts
+     * Events are drawn by weight among those whose conditions are met, nothing happens while one is still waiting
+     * @returns {string|null} ID of the event that happened, or null
+     */
+    rollVillageEvent() {
+        if (this.villageEvents.pending || this.random() >= CONFIG.EVENT_DAILY_CHANCE) {
+            return null;
+        }
+        
+        const eligible = getEventIds().filter(eventId => this.canEventHappen(eventId));
+        const total = eligible.reduce((sum, eventId) => sum + getEventData(eventId).weight, 0);
+        let roll = this.random() * total;
+        const eventId = eligible.find(candidate => {
+            roll -= getEventData(candidate).weight;
+            return roll < 0;
+        });
+        if (!eventId) {
+            return null;
+        }
+        
+        this.villageEvents.pending = eventId;
+        this.emit('villageEvent', { eventId });
+        return eventId;
+    }
+
+    /**
+     * Check whether the village can pay for a choice of the event waiting
+     * @param {number} choice - Index in the event's choices
+     * @returns {{allowed: boolean, reason: string}} Whether it can be chosen, and why not
+     */
+    canChooseEventOption(choice) {
+        const event = getEventData(this.villageEvents.pending);
+        const option = event && event.choices[choice];
+        if (!option) {
+            return { allowed: false, reason: 'No such choice' };
+        }
+        if (this.budget < (option.cost || 0)) {
+            return { allowed: false, reason: 'Not enough money' };
+        }
+        const missing = Object.entries(option.resourceCost || {})
+            .filter(([resourceId, amount]) => this.getResource(resourceId) < amount)
+            .map(([resourceId]) => itemRegistry.getResourceName(resourceId));
+        if (missing.length > 0) {
+            return { allowed: false, reason: `Not enough ${missing.join(', ').toLowerCase()}` };
+        }
+        return { allowed: true, reason: '' };
+    }
+
+    /**
+     * Settle the event waiting with one of its choices: pay for it, apply what it does at once
+     * and start its timed effects
+     * @param {number} choice - Index in the event's choices
+     * @returns {boolean} True if the choice was made
+     */
+    chooseEventOption(choice) {
+        if (!this.canChooseEventOption(choice).allowed) {
+            return false;
+        }
+        
+        const eventId = this.villageEvents.pending;
+        const option = getEventData(eventId).choices[choice];
+        this.villageEvents.pending = null;
+        
+        const budgetChange = (option.budget || 0) - (option.cost || 0);
+        if (budgetChange !== 0) {
+            this.setBudget(this.budget + budgetChange);
+        }
+        if (option.resourceCost) {
+            this.spendResources(option.resourceCost);
+        }
+        if (option.resources) {
+            this.addResources(option.resources);
+        }
+        
+        const effects = (option.effects || []).map(effect => ({
+            eventId,
+            modifier: effect.modifier,
+            amount: effect.amount,
+            daysLeft: effect.days
+        }));
+        this.emit('villageEventResolved', { eventId, choice });
+        if (effects.length > 0) {
+            this.villageEvents.effects.push(...effects);
+            this.emit('eventEffectsChanged', { effects: this.getEventEffects() });
+        }
+        this.saveToLocalStorage();
+        return true;
+    }
+
+    /**
+     * Count a morning off every running event effect and drop those that ran out, called as each day starts
+     */
+    expireEventEffects() {
+        if (this.villageEvents.effects.length === 0) {
+            return;
+        }
+        this.villageEvents.effects.forEach(effect => {
+            effect.daysLeft--;
+        });
+        this.villageEvents.effects = this.villageEvents.effects.filter(effect => effect.daysLeft > 0);
+        this.emit('eventEffectsChanged', { effects: this.getEventEffects() });
+    }
+
+    /**
+     * Create the debt state of a new village
+     * @returns {{days: number, bankrupt: boolean, bailouts: number}} Mornings in a row below
+     *   CONFIG.BANKRUPTCY_THRESHOLD, whether the village went bankrupt and bailouts it has had
+     */
+    createInitialDebt() {
+        return { days: 0, bankrupt: false, bailouts: 0 };
+    }
+
+    /**
+     * Get the loans being repaid
+     * @returns {Array<Object>} Copies of the loans: { id, offerId, amount, owed, installment, dayTaken }
+     */
+    getLoans() {
+        return this.loans.map(loan => ({ ...loan }));
+    }
+
+    /**
+     * Get the money taken from the budget for loans each interval
+     * @returns {number} Repayments per interval
+     */
+    getLoanRepaymentPerInterval() {
+        return this.loans.reduce((total, loan) => total + Math.min(loan.installment, loan.owed), 0);
+    }
+
+    /**
+     * Get the day a loan will be paid off if repayments keep being taken every interval
+     * @param {Object} loan - Loan from getLoans
+     * @returns {number} Day number
+     */
+    getLoanPayoffDay(loan) {
+        const cycleLength = CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH;
+        const remainingTicks = Math.ceil(loan.owed / loan.installment - 1e-9);
+        return this.day + Math.floor((this.currentTick + remainingTicks) / cycleLength);
+    }
+
+    /**
+     * Check whether a loan can be taken
+     * @param {string} offerId - Loan offer ID from loanData.js
+     * @returns {{allowed: boolean, reason: string}} Whether it can be taken, and why not
+     */
+    canTakeLoan(offerId) {
+        if (!getLoanOffer(offerId)) {
+            return { allowed: false, reason: 'Unknown loan' };
+        }
+        if (this.debt.bankrupt) {
+            return { allowed: false, reason: 'Nobody lends to a bankrupt village' };
+        }
+        if (this.loans.length >= CONFIG.LOAN_MAX_ACTIVE) {
+            return { allowed: false, reason: `Repay a loan first, the village can't owe more than ${CONFIG.LOAN_MAX_ACTIVE}` };
+        }
+        return { allowed: true, reason: '' };
+    }
+
+    /**
+     * Take a loan: its amount goes into the budget, and it is repaid with interest every interval
+     * @param {string} offerId - Loan offer ID from loanData.js
+     * @returns {Object|null} The new loan, or null if it can't be taken
+     */
+    takeLoan(offerId) {
+        if (!this.canTakeLoan(offerId).allowed) {
+            return null;
+        }
+        
+        const offer = getLoanOffer(offerId);
+        const owed = offer.amount * (1 + offer.interest);
+        const loan = {
+            id: this.loans.reduce((highest, existing) => Math.max(highest, existing.id), 0) + 1,
+            offerId,
+            amount: offer.amount,
+            owed,
+            installment: owed / (offer.days * (CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH)),
+            dayTaken: this.day
+        };
+        this.loans.push(loan);
+        this.setBudget(this.budget + offer.amount);
+        this.emit('loansChanged', { loans: this.getLoans() });
+        this.saveToLocalStorage();
+        return { ...loan };
+    }
+
+    /**
+     * Pay off the rest of a loan at once
+     * @param {number} loanId - Loan ID
+     * @returns {boolean} True if the loan was repaid, false if it doesn't exist or the budget is too small
+     */
+    repayLoan(loanId) {
+        const loan = this.loans.find(existing => existing.id === loanId);
+        if (!loan || this.budget < loan.owed) {
+            return false;
+        }
+        this.loans = this.loans.filter(existing => existing !== loan);
+        this.setBudget(this.budget - loan.owed);
+        this.emit('loansChanged', { loans: this.getLoans() });
+        this.saveToLocalStorage();
+        return true;
+    }
+
+    /**
+     * Take this interval's repayment of every loan, the budget may go negative
+     * Loans that are paid off are dropped
+     * @returns {number} Money repaid
+     */
+    collectLoanRepayments() {
+        let repaid = 0;
+        this.loans.forEach(loan => {
+            const payment = Math.min(loan.installment, loan.owed);
+            loan.owed -= payment;
+            repaid += payment;
+        });
+        
+        // Floating point leftovers of a cent or less don't keep a loan open
+        const remaining = this.loans.filter(loan => loan.owed > 0.005);
+        if (remaining.length !== this.loans.length) {
+            this.loans = remaining;
+            this.emit('loansChanged', { loans: this.getLoans() });
+        }
+        if (repaid > 0) {
+            this.setBudget(this.budget - repaid);
+        }
+        return repaid;
+    }
+
+    /**
+     * Check whether the village went bankrupt
+     * @returns {boolean} True while the village is bankrupt
+     */
+    isBankrupt() {
+        return this.debt.bankrupt;
+    }
+
+    /**
+     * Check whether a bankrupt village can still be bailed out
+     * @returns {boolean} True if the village has bailouts left
+     */
+    canBailout() {
+        return this.debt.bailouts < CONFIG.MAX_BAILOUTS;
+    }
+
+    /**
+     * Count another morning for the bankruptcy check, called as each day starts
+     * The village goes bankrupt after CONFIG.BANKRUPTCY_DAYS mornings in a row below CONFIG.BANKRUPTCY_THRESHOLD
+     */
+    checkDebt() {
+        if (this.debt.bankrupt) {
+            return;
+        }
+        if (this.budget >= CONFIG.BANKRUPTCY_THRESHOLD) {
+            this.debt.days = 0;
+            return;
+        }
+        
+        this.debt.days++;
+        if (this.debt.days >= CONFIG.BANKRUPTCY_DAYS) {
+            this.debt.bankrupt = true;
+            this.emit('bankrupt', { canBailout: this.canBailout() });
+        } else {
+            this.emit('debtWarning', { days: this.debt.days, daysLeft: CONFIG.BANKRUPTCY_DAYS - this.debt.days });
+        }
+    }
+
+    /**
+     * Bail a bankrupt village out: loans are written off and the budget starts again from CONFIG.BAILOUT_BUDGET
+     * @returns {boolean} True if the village was bailed out
+     */
+    bailout() {
+        if (!this.debt.bankrupt || !this.canBailout()) {
+            return false;
+        }
+        this.debt = { days: 0, bankrupt: false, bailouts: this.debt.bailouts + 1 };
+        this.loans = [];
+        this.setBudget(CONFIG.BAILOUT_BUDGET);
+        this.emit('loansChanged', { loans: [] });
+        this.emit('bailedOut', { budget: this.budget });
+        this.saveToLocalStorage();
+        return true;
+    }
+
+    /**
+     * Build the starting stockpile from CONFIG.INITIAL_RESOURCES
+     * @returns {Object} Resource ID -> amount, with every known resource present
+     */
+    createInitialResources() {
+        const resources = {};
+        itemRegistry.getResourceIds().forEach(resourceId => {
+            const amount = CONFIG.INITIAL_RESOURCES[resourceId];
+            resources[resourceId] = Number.isFinite(amount) ? amount : 0;
+        });
+        return resources;
+    }
+
+    /**
+     * Get the whole stockpile
+     * @returns {Object} Copy of the stockpile (resource ID -> amount)
+     */
+    getResources() {
+        return { ...this.resources };
+    }
+
+    /**
+     * Get the amount of one resource in store
+     * @param {string} resourceId - Resource ID
+     * @returns {number} Amount in store (0 for unknown resources)
+     */
+    getResource(resourceId) {
+        return this.resources[resourceId] || 0;
+    }
+
+    /**
+     * Add resources to the stockpile (negative amounts take them away, never below 0)
+     * @param {Object} changes - Resource ID -> amount to add
+     */
+    addResources(changes) {
+        const applied = {};
+        Object.entries(changes).forEach(([resourceId, change]) => {
+            if (!itemRegistry.hasResource(resourceId) || !Number.isFinite(change) || change === 0) {
+                return;
+            }
+            const amount = Math.max(0, this.getResource(resourceId) + change);
+            applied[resourceId] = amount - this.getResource(resourceId);
+            this.resources[resourceId] = amount;
+        });
+        
+        if (Object.keys(applied).length > 0) {
+            this.emit('resourcesChanged', { resources: this.getResources(), changes: applied });
+        }
+    }
+
+    /**
+     * Take resources out of the stockpile
+     * @param {Object} amounts - Resource ID -> amount to spend
+     */
+    spendResources(amounts) {
+        const changes = {};
+        Object.entries(amounts).forEach(([resourceId, amount]) => {
+            changes[resourceId] = -amount;
+        });
+        this.addResources(changes);
+    }
+
+    /**
+     * Replace the whole stockpile and notify subscribers
+     * @param {Object} resources - Resource ID -> amount, missing resources are set to 0
+     */
+    setResources(resources) {
+        const changes = {};
+        itemRegistry.getResourceIds().forEach(resourceId => {
+            const amount = Number.isFinite(resources[resourceId]) ? Math.max(0, resources[resourceId]) : 0;
+            changes[resourceId] = amount - this.getResource(resourceId);
+            this.resources[resourceId] = amount;
+        });
+        this.emit('resourcesChanged', { resources: this.getResources(), changes });
+    }
+
+    /**
+     * Remember how well each building kind was supplied with inputs in the last tick
+     * @param {Object} supply - Building ID -> share of its inputs it got (0 to 1)
+     */
+    setBuildingSupply(supply) {
+        this.buildingSupply = new Map(Object.entries(supply));
+    }
+
+    /**
+     * Get how well a building kind is supplied with its inputs
+     * Before the first tick this is guessed from the stockpile
+     * @param {string} id - Building ID
+     * @returns {number} Share of its inputs it gets, 0 (stalled) to 1 (fully supplied or needs none)
+     */
+    getBuildingSupply(id) {
+        if (this.buildingSupply.has(id)) {
+            return this.buildingSupply.get(id);
+        }
+        return this.getMissingInputs(id).length > 0 ? 0 : 1;
+    }
+
+    /**
+     * Get the inputs of a building that the stockpile has run out of
+     * @param {string} id - Building ID
+     * @returns {Array<string>} Resource IDs with nothing left in store
+     */
+    getMissingInputs(id) {
+        return Object.keys(itemRegistry.getConsumption('building', id))
+            .filter(resourceId => this.getResource(resourceId) <= 0);
+    }
+
+    /**
+     * Get the buildings that stalled because an input ran out
+     * @returns {Array<Object>} Placed buildings
+     */
+    getStalledBuildings() {
+        return this.getItemsOfType('building').filter(item =>
+            Object.keys(itemRegistry.getConsumption(item.type, item.id)).length > 0 &&
+            this.getBuildingSupply(item.id) <= 0
+        );
+    }
+
+    /**
+     * Calculate how much of each resource placed buildings produce and consume per interval
+     * Applies the production and happiness multipliers, time of day, output factors and input supply like getTotalIncomePerInterval
+     * @returns {{produced: Object, consumed: Object}} Resource ID -> amount per interval
+     */
+    getResourceRatesPerInterval() {
+        const produced = {};
+        const consumed = {};
+        const multiplier = this.getProductionMultiplier() * this.getHappinessMultiplier();
+        
+        this.getItemsOfType('building').forEach(item => {
+            if (!itemRegistry.hasResourceFlow(item.type, item.id)) {
+                return;
+            }
+            const itemMultiplier = multiplier * this.getItemNightMultiplier(item) *
+                this.getItemOutputFactor(item) * this.getBuildingSupply(item.id);
+            Object.entries(itemRegistry.getProduction(item.type, item.id)).forEach(([resourceId, amount]) => {
+                produced[resourceId] = (produced[resourceId] || 0) + amount * itemMultiplier;
+            });
+            Object.entries(itemRegistry.getConsumption(item.type, item.id)).forEach(([resourceId, amount]) => {
+                consumed[resourceId] = (consumed[resourceId] || 0) + amount * itemMultiplier;
+            });
+        });
+        
+        return { produced, consumed };
+    }
+
+    /**
+     * Get income generation data for a building
+     * @param {string} id - Building ID
+     * @returns {{amount: number}|null} Income data or null if building doesn't generate income
+     */
+    getBuildingIncomeData(id) {
+        if (itemRegistry.hasIncome('building', id)) {
+            return {
+                amount: itemRegistry.getIncomeAmount('building', id)
+            };
+        }
+        return null;
+    }
+
+    /**
+     * Calculate total workers required by all placed items
+     * @returns {number} Total workers required
+     */
+    calculateWorkersRequired() {
+        let totalWorkers = 0;
+        
+        this.placedItems.forEach(item => {
+            totalWorkers += this.getWorkerSlots(item.type, item.id);
+        });
+        
+        return totalWorkers;
+    }
+
+    /**
+     * Get the number of workers an item employs when fully staffed
+     * Staffing comes from the item's unemployedPopulation requirement
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @returns {number} Worker slots (0 if the item employs nobody)
+     */
+    getWorkerSlots(type, id) {
+        return itemRegistry.getWorkerSlots(type, id);
+    }
+
+    /**
+     * Get the number of residents a house holds
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @returns {number} Housing capacity (0 if the item is not a house)
+     */
+    getHousingCapacity(type, id) {
+        return itemRegistry.getHousingCapacity(type, id);
+    }
+
+    /**
+     * Recalculate population, employment and worker totals from per-item residents and workers
+     */
+    updateWorkforceTotals() {
+        let population = 0;
+        let employed = 0;
+        let required = 0;
+        
+        this.placedItems.forEach(item => {
+            if (typeof item.residents === 'number') {
+                population += item.residents;
+            }
+            if (typeof item.workers === 'number') {
+                employed += item.workers;
+            }
+            required += this.getWorkerSlots(item.type, item.id);
+        });
+        
+        const unemployed = Math.max(0, population - employed);
+        const changed = population !== this.population ||
+            employed !== this.employedPopulation ||
+            unemployed !== this.unemployedPopulation;
+        
+        this.population = population;
+        this.employedPopulation = employed;
+        this.unemployedPopulation = unemployed;
+        this.workersRequired = required;
+        
+        if (changed) {
+            this.emit('populationChanged', { population, employed, unemployed });
+        }
+    }
+
+    /**
+     * Redistribute workers so that staffing matches the housed population
+     * Newest buildings lose workers first when there are fewer residents than jobs,
+     * oldest buildings are filled first when there are unemployed residents
+     */
+    rebalanceWorkforce() {
+        this.settleResidents();
+        
+        const staffedItems = this.placedItems.filter(item => 
+            this.getWorkerSlots(item.type, item.id) > 0
+        );
+        
+        let population = 0;
+        let employed = 0;
+        this.placedItems.forEach(item => {
+            if (typeof item.residents === 'number') {
+                population += item.residents;
+            }
+        });
+        staffedItems.forEach(item => {
+            const slots = this.getWorkerSlots(item.type, item.id);
+            item.workers = Math.max(0, Math.min(slots, item.workers || 0));
+            employed += item.workers;
+        });
+        
+        // Lay off workers when there aren't enough residents to fill the current jobs
+        for (let i = staffedItems.length - 1; i >= 0 && employed > population; i--) {
+            const item = staffedItems[i];
+            const layoffs = Math.min(item.workers, employed - population);
+            item.workers -= layoffs;
+            employed -= layoffs;
+        }
+        
+        // Hire unemployed residents into understaffed buildings
+        let unemployed = population - employed;
+        for (let i = 0; i < staffedItems.length && unemployed > 0; i++) {
+            const item = staffedItems[i];
+            const vacancies = this.getWorkerSlots(item.type, item.id) - item.workers;
+            const hires = Math.min(vacancies, unemployed);
+            item.workers += hires;
+            unemployed -= hires;
+        }
+        
+        this.updateWorkforceTotals();
+    }
+
+    /**
+     * Move residents out of houses that lost room, for example when a nearby well was removed
+     */
+    settleResidents() {
+        this.placedItems.forEach(item => {
+            if (typeof item.residents === 'number') {
+                item.residents = Math.min(item.residents, this.getItemHousingCapacity(item));
+            }
+        });
+    }
+
+    /**
+     * Create the migration state of a new village
+     * @returns {{arrivals: number, departures: number, unemployedTicks: number}} Progress towards the next
+     *   villager moving in and out, and ticks in a row with someone out of work
+     */
+    createInitialMigration() {
+        return { arrivals: 0, departures: 0, unemployedTicks: 0 };
+    }
+
+    /**
+     * Create the food state of a new village
+     * @returns {{supplied: number, hungryTicks: number}} Share of the food villagers needed they got last tick
+     *   (1 when fed), and ticks in a row they went short
+     */
+    createInitialFood() {
+        return { supplied: 1, hungryTicks: 0 };
+    }
+
+    /**
+     * Get the food villagers eat per interval
+     * @returns {number} Food needed per interval
+     */
+    getFoodNeedPerInterval() {
+        return this.population * CONFIG.FOOD_PER_RESIDENT;
+    }
+
+    /**
+     * Get the food in the stockpile
+     * @returns {number} Food in store, each resource counted by its nutrition
+     */
+    getFoodInStore() {
+        return itemRegistry.getFoodIds()
+            .reduce((total, resourceId) => total + this.getResource(resourceId) * itemRegistry.getNutrition(resourceId), 0);
+    }
+
+    /**
+     * Get the food buildings add to the stockpile per interval, after what mills and other buildings use up
+     * @returns {number} Net food produced per interval (negative when buildings use more than they make)
+     */
+    getFoodProductionPerInterval() {
+        const { produced, consumed } = this.getResourceRatesPerInterval();
+        return itemRegistry.getFoodIds().reduce((total, resourceId) =>
+            total + ((produced[resourceId] || 0) - (consumed[resourceId] || 0)) * itemRegistry.getNutrition(resourceId), 0);
+    }
+
+    /**
+     * Get how long the food in store would feed the villagers without any more coming in
+     * @returns {number} Days of reserve (Infinity when nobody needs feeding)
      */
-    clearSelectedTool() {
-        // Remove active class from tool item if it exists
-        if (this.selectedTool) {
-            this.selectedTool.classList.remove('active');
-        }
-        this.selectedTool = null;
-        this.selectedType = null;
-        this.selectedId = null;
-        this.selectedFlipped = false;
+    getFoodReserveDays() {
+        const needPerDay = this.getFoodNeedPerInterval() * (CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH);
+        return needPerDay > 0 ? this.getFoodInStore() / needPerDay : Infinity;
     }
 
     /**
-     * Get selected tool info
-     * @returns {{tool: HTMLElement, type: string, id: string, flipped: boolean}|null}
+     * Get the room in the village's houses
+     * @returns {{capacity: number, residents: number, free: number}} Total capacity, residents and free places
      */
-    getSelectedTool() {
-        if (!this.selectedTool) return null;
-        return {
-            tool: this.selectedTool,
-            type: this.selectedType,
-            id: this.selectedId,
-            flipped: this.selectedFlipped
-        };
+    getHousingTotals() {
+        let capacity = 0;
+        let residents = 0;
+        this.placedItems.forEach(item => {
+            if (typeof item.residents === 'number') {
+                capacity += this.getItemHousingCapacity(item);
+                residents += item.residents;
+            }
+        });
+        return { capacity, residents, free: Math.max(0, capacity - residents) };
     }
 
     /**
-     * Toggle rotation state for selected tool
+     * Get the number of jobs nobody fills
+     * @returns {number} Open jobs
      */
-    toggleRotation() {
-        if (this.selectedTool) {
-            this.selectedFlipped = !this.selectedFlipped;
-        }
+    getOpenJobs() {
+        return Math.max(0, this.workersRequired - this.employedPopulation);
     }
 
     /**
-     * Get current budget
-     * @returns {number} Current budget
+     * Work out how fast villagers are moving in and out
+     * Free houses draw villagers in, faster when the village is happy, has open jobs and low rent, and nobody comes to a
+     * village in debt or short of food for CONFIG.FOOD_GROWTH_STALL_TICKS. Residents of unhappy houses, villagers
+     * out of work for longer than CONFIG.UNEMPLOYMENT_PATIENCE, villagers going hungry for longer than
+     * CONFIG.FOOD_DEPARTURE_TICKS and everyone in a village in debt move out at CONFIG.EMIGRATION_RATE.
+     * @returns {{arrivalRate: number, departureRate: number, departures: Object, reason: string|null}} Villagers
+     *   per tick moving in and out, departures per reason ('unhappiness', 'unemployment', 'hunger', 'debt')
+     *   and the main one
      */
-    getBudget() {
-        return this.budget;
+    getMigrationOutlook() {
+        const inDebt = this.budget < 0;
+        const starving = this.food.hungryTicks >= CONFIG.FOOD_GROWTH_STALL_TICKS;
+        
+        let arrivalRate = 0;
+        if (this.getHousingTotals().free > 0 && !inDebt && !starving) {
+            const { score } = this.getVillageHappiness();
+            const jobsBonus = this.getOpenJobs() > 0 ? 1 + CONFIG.IMMIGRATION_JOBS_BONUS : 1;
+            arrivalRate = CONFIG.IMMIGRATION_RATE * (score / CONFIG.HAPPINESS_BASE) * jobsBonus * this.getTaxImmigrationMultiplier();
+        }
+        
+        const unhappyResidents = this.placedItems
+            .filter(item => item.residents > 0 && this.getHouseHappiness(item).score < CONFIG.HAPPINESS_LEAVE_THRESHOLD)
+            .reduce((sum, item) => sum + item.residents, 0);
+        const jobless = this.migration.unemployedTicks >= CONFIG.UNEMPLOYMENT_PATIENCE ? this.unemployedPopulation : 0;
+        const hungry = this.food.hungryTicks >= CONFIG.FOOD_DEPARTURE_TICKS ? this.population * (1 - this.food.supplied) : 0;
+        const departures = {
+            unhappiness: unhappyResidents * CONFIG.EMIGRATION_RATE,
+            unemployment: jobless * CONFIG.EMIGRATION_RATE,
+            hunger: hungry * CONFIG.EMIGRATION_RATE,
+            debt: inDebt ? this.population * CONFIG.EMIGRATION_RATE : 0
+        };
+        
+        const departureRate = Object.values(departures).reduce((sum, rate) => sum + rate, 0);
+        const reason = departureRate > 0
+            ? Object.keys(departures).reduce((main, key) => (departures[key] > departures[main] ? key : main))
+            : null;
+        return { arrivalRate, departureRate, departures, reason };
     }
 
     /**
-     * Add money to the budget
-     * @param {number} amount - Amount to add
+     * Move one villager into the happiest house with room
+     * Call rebalanceWorkforce once the moves are done
+     * @returns {Object|null} The house, or null if every house is full
      */
-    addBudget(amount) {
-        this.budget += amount;
-        // Save state to localStorage
-        this.saveToLocalStorage();
+    moveInResident() {
+        let best = null;
+        let bestScore = -Infinity;
+        this.placedItems.forEach(item => {
+            if (typeof item.residents === 'number' && item.residents < this.getItemHousingCapacity(item)) {
+                const { score } = this.getHouseHappiness(item);
+                if (score > bestScore) {
+                    best = item;
+                    bestScore = score;
+                }
+            }
+        });
+        if (best) {
+            best.residents++;
+        }
+        return best;
     }
 
     /**
-     * Get income generation data for a building
-     * @param {string} id - Building ID
-     * @returns {{amount: number}|null} Income data or null if building doesn't generate income
+     * Move one villager out of the unhappiest occupied house
+     * Call rebalanceWorkforce once the moves are done
+     * @returns {Object|null} The house, or null if nobody lives in the village
      */
-    getBuildingIncomeData(id) {
-        if (BUILDING_DATA[id] && BUILDING_DATA[id].incomeAmount) {
-            return {
-                amount: BUILDING_DATA[id].incomeAmount
-            };
+    moveOutResident() {
+        let worst = null;
+        let worstScore = Infinity;
+        this.placedItems.forEach(item => {
+            if (item.residents > 0) {
+                const { score } = this.getHouseHappiness(item);
+                if (score < worstScore) {
+                    worst = item;
+                    worstScore = score;
+                }
+            }
+        });
+        if (worst) {
+            worst.residents--;
         }
-        return null;
+        return worst;
     }
 
     /**
-     * Calculate total workers required by all placed items
-     * @returns {number} Total workers required
+     * Ensure every house has a residents count and every staffed building a workers count
+     * Used when loading saves that predate per-item workforce tracking
      */
-    calculateWorkersRequired() {
-        let totalWorkers = 0;
-        
+    normalizeWorkforce() {
         this.placedItems.forEach(item => {
-            let itemData = null;
-            if (item.type === 'building' && BUILDING_DATA[item.id]) {
-                itemData = BUILDING_DATA[item.id];
-            } else if (item.type === 'decoration' && DECORATION_DATA[item.id]) {
-                itemData = DECORATION_DATA[item.id];
-            } else if (item.type === 'road' && ROAD_DATA[item.id]) {
-                itemData = ROAD_DATA[item.id];
+            const housingCapacity = this.getItemHousingCapacity(item);
+            if (housingCapacity > 0) {
+                const residents = typeof item.residents === 'number' ? item.residents : housingCapacity;
+                item.residents = Math.max(0, Math.min(housingCapacity, residents));
+            } else {
+                delete item.residents;
             }
             
-            if (itemData && itemData.requires && itemData.requires.unemployedPopulation) {
-                totalWorkers += itemData.requires.unemployedPopulation;
+            if (this.getWorkerSlots(item.type, item.id) > 0) {
+                item.workers = typeof item.workers === 'number' ? item.workers : 0;
+            } else {
+                delete item.workers;
             }
         });
         
-        return totalWorkers;
+        this.rebalanceWorkforce();
     }
 
     /**
@@ -714,10 +2640,8 @@ export class GameState {
      * @returns {number} Production multiplier (1 if enough workers, <1 if insufficient)
      */
     calculateProductionMultiplier() {
-        this.workersRequired = this.calculateWorkersRequired();
-        
-        // Calculate actual available workers (population minus unemployed)
-        const availableWorkers = this.population - this.unemployedPopulation;
+        // Workers actually assigned to staffed buildings
+        const availableWorkers = this.employedPopulation;
         
         // Handle edge cases
         if (this.workersRequired === 0) {
@@ -760,26 +2684,26 @@ export class GameState {
 
     /**
      * Calculate total income generated per interval from all placed buildings
-     * Applies production multiplier if workers are insufficient
+     * Applies production multiplier if workers are insufficient, the happiness multiplier,
+     * time of day (nearby lights help at night), each building's output factor and input supply
      * @returns {number} Total income per interval (after production multiplier)
      */
     getTotalIncomePerInterval() {
         let totalIncome = 0;
         
-        this.placedItems.forEach(item => {
-            if (item.type === 'building') {
-                const incomeData = this.getBuildingIncomeData(item.id);
-                if (incomeData) {
-                    totalIncome += incomeData.amount;
-                }
+        this.getItemsOfType('building').forEach(item => {
+            const incomeData = this.getBuildingIncomeData(item.id);
+            if (incomeData) {
+                totalIncome += incomeData.amount * this.getItemNightMultiplier(item) *
+                    this.getItemOutputFactor(item) * this.getBuildingSupply(item.id);
             }
         });
         
         // Update production multiplier based on current state
         this.productionMultiplier = this.calculateProductionMultiplier();
         
-        // Apply production multiplier to income
-        return totalIncome * this.productionMultiplier;
+        // Apply production and happiness multipliers to income
+        return totalIncome * this.productionMultiplier * this.getHappinessMultiplier();
     }
 
     /**
@@ -788,44 +2712,34 @@ export class GameState {
      * @returns {number|null} Expense amount or null if building doesn't have expenses
      */
     getBuildingExpenseData(id) {
-        if (BUILDING_DATA[id] && BUILDING_DATA[id].expenseAmount) {
-            return BUILDING_DATA[id].expenseAmount;
-        }
-        return null;
+        return this.getItemExpenseData('building', id);
     }
 
     /**
-     * Get expense data for an item (building or road)
+     * Get expense data for any item
      * @param {string} type - Item type
      * @param {string} id - Item ID
      * @returns {number|null} Expense amount or null if item doesn't have expenses
      */
     getItemExpenseData(type, id) {
-        if (type === 'building' && BUILDING_DATA[id] && BUILDING_DATA[id].expenseAmount) {
-            return BUILDING_DATA[id].expenseAmount;
-        } else if (type === 'road' && ROAD_DATA[id] && ROAD_DATA[id].expenseAmount) {
-            return ROAD_DATA[id].expenseAmount;
-        }
-        return null;
+        return itemRegistry.getExpenseAmount(type, id) || null;
     }
 
     /**
-     * Calculate total expenses per interval from all placed buildings and roads
+     * Calculate total expenses per interval from all placed items, with the season's heating
      * @returns {number} Total expenses per interval
      */
     getTotalExpensesPerInterval() {
         let totalExpenses = 0;
         
         this.placedItems.forEach(item => {
-            if (item.type === 'building' || item.type === 'road') {
-                const expenseAmount = this.getItemExpenseData(item.type, item.id);
-                if (expenseAmount !== null) {
-                    totalExpenses += expenseAmount;
-                }
+            const expenseAmount = this.getItemExpenseData(item.type, item.id);
+            if (expenseAmount !== null) {
+                totalExpenses += expenseAmount;
             }
         });
         
-        return totalExpenses;
+        return totalExpenses + this.getHeatingPerInterval();
     }
 
     /**
@@ -844,26 +2758,249 @@ export class GameState {
         return this.unemployedPopulation;
     }
 
+    /**
+     * Get current employed population
+     * @returns {number} Residents currently working in staffed buildings
+     */
+    getEmployedPopulation() {
+        return this.employedPopulation;
+    }
+
     /**
      * Advance the day/night cycle by one tick
      * Called when income generation interval occurs
      */
     advanceTimeCycle() {
+        const wasDay = this.isDay;
         this.currentTick++;
         const cycleLength = CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH;
         
-        // Reset tick when cycle completes
+        // Reset tick when cycle completes, a new day begins
         if (this.currentTick >= cycleLength) {
             this.currentTick = 0;
+            this.day++;
         }
         
         // Determine if it's day or night
         this.isDay = this.currentTick < CONFIG.DAY_LENGTH;
+        
+        this.history.tick();
+        this.emit('tick', { tick: this.currentTick, day: this.day, isDay: this.isDay });
+        if (this.isDay && !wasDay) {
+            this.emit('dayStarted', { day: this.day });
+            this.advanceSeason();
+        } else if (!this.isDay && wasDay) {
+            this.emit('nightStarted', { day: this.day });
+        }
+        this.advanceWeather();
+    }
+
+    /**
+     * Create the calendar of a new village, which starts on the first day of the first season
+     * @returns {{id: string, day: number}} Season ID and day within the season, counting from 1
+     */
+    createInitialSeason() {
+        return { id: getSeasonIds()[0], day: 1 };
+    }
+
+    /**
+     * Count a new day towards the season, moving on to the next one after CONFIG.SEASON_LENGTH days
+     */
+    advanceSeason() {
+        this.season.day++;
+        if (this.season.day <= CONFIG.SEASON_LENGTH) {
+            return;
+        }
+        
+        const previous = this.season.id;
+        this.season = { id: getNextSeasonId(previous), day: 1 };
+        this.emit('seasonChanged', { season: this.season.id, previous });
+    }
+
+    /**
+     * Get the current season
+     * @returns {{id: string, day: number, length: number, data: Object}} Season ID, day within it,
+     *   days it lasts and its data from seasonData.js
+     */
+    getSeasonInfo() {
+        return {
+            id: this.season.id,
+            day: this.season.day,
+            length: CONFIG.SEASON_LENGTH,
+            data: getSeasonData(this.season.id)
+        };
+    }
+
+    /**
+     * Get the season a number of ticks from now
+     * @param {number} ticksAhead - Ticks from now
+     * @returns {string} Season ID
+     */
+    getSeasonAhead(ticksAhead) {
+        const cycleLength = CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH;
+        const daysAhead = Math.floor((this.currentTick + ticksAhead) / cycleLength);
+        const seasonsAhead = Math.floor((this.season.day - 1 + daysAhead) / CONFIG.SEASON_LENGTH);
+        
+        let seasonId = this.season.id;
+        for (let i = 0; i < seasonsAhead % getSeasonIds().length; i++) {
+            seasonId = getNextSeasonId(seasonId);
+        }
+        return seasonId;
+    }
+
+    /**
+     * Create the weather of a new village: a clear first spell with no forecast yet, see extendForecast
+     * @returns {{id: string, ticksLeft: number, forecast: Array<string>}} Weather ID, ticks until it turns
+     *   and the weather of the spells after it
+     */
+    createInitialWeather() {
+        return { id: getWeatherIds()[0], ticksLeft: CONFIG.WEATHER_SPELL_LENGTH, forecast: [] };
+    }
+
+    /**
+     * Pick the weather of a spell
+     * The weather tends to hold (CONFIG.WEATHER_PERSISTENCE), otherwise it is drawn from the season's chances
+     * @param {string} seasonId - Season the spell falls in
+     * @param {string} previousId - Weather of the spell before it
+     * @returns {string} Weather ID
+     */
+    rollWeather(seasonId, previousId) {
+        const chances = getSeasonData(seasonId).weather;
+        if (chances[previousId] > 0 && this.random() < CONFIG.WEATHER_PERSISTENCE) {
+            return previousId;
+        }
+        
+        const entries = Object.entries(chances).filter(([weatherId, chance]) => chance > 0 && getWeatherData(weatherId));
+        const total = entries.reduce((sum, [, chance]) => sum + chance, 0);
+        let roll = this.random() * total;
+        for (const [weatherId, chance] of entries) {
+            roll -= chance;
+            if (roll < 0) {
+                return weatherId;
+            }
+        }
+        return entries.length > 0 ? entries[entries.length - 1][0] : previousId;
+    }
+
+    /**
+     * Roll the forecast up to CONFIG.WEATHER_FORECAST_LENGTH spells, each from the season it will fall in
+     */
+    extendForecast() {
+        const { forecast } = this.weather;
+        while (forecast.length < CONFIG.WEATHER_FORECAST_LENGTH) {
+            const ticksAhead = this.weather.ticksLeft + forecast.length * CONFIG.WEATHER_SPELL_LENGTH;
+            const previousId = forecast.length > 0 ? forecast[forecast.length - 1] : this.weather.id;
+            forecast.push(this.rollWeather(this.getSeasonAhead(ticksAhead), previousId));
+        }
+    }
+
+    /**
+     * Count a tick towards the current spell of weather, moving on to the forecast one when it ends
+     */
+    advanceWeather() {
+        this.weather.ticksLeft--;
+        if (this.weather.ticksLeft > 0) {
+            return;
+        }
+        
+        const previous = this.weather.id;
+        this.weather.id = this.weather.forecast.shift();
+        this.weather.ticksLeft = CONFIG.WEATHER_SPELL_LENGTH;
+        this.extendForecast();
+        if (this.weather.id !== previous) {
+            this.emit('weatherChanged', { weather: this.weather.id, previous });
+        }
+    }
+
+    /**
+     * Get the current weather and the forecast
+     * @returns {{id: string, data: Object, ticksLeft: number, forecast: Array<{id: string, data: Object, inTicks: number}>}}
+     *   Weather ID, its data from weatherData.js, ticks until it turns, and the spells after it with the ticks until each starts
+     */
+    getWeatherInfo() {
+        return {
+            id: this.weather.id,
+            data: getWeatherData(this.weather.id),
+            ticksLeft: this.weather.ticksLeft,
+            forecast: this.weather.forecast.map((weatherId, index) => ({
+                id: weatherId,
+                data: getWeatherData(weatherId),
+                inTicks: this.weather.ticksLeft + index * CONFIG.WEATHER_SPELL_LENGTH
+            }))
+        };
+    }
+
+    /**
+     * Get how much the weather changes a building's output
+     * @param {Object} item - Placed item
+     * @returns {number} Multiplier (1 for items the weather doesn't affect)
+     */
+    getItemWeatherYield(item) {
+        if (item.type !== 'building') {
+            return 1;
+        }
+        const yields = getWeatherData(this.weather.id).yields || {};
+        return Number.isFinite(yields[item.id]) ? yields[item.id] : 1;
+    }
+
+    /**
+     * Get how fast villagers walk in the current weather
+     * @returns {number} Multiplier on walking speed (1 in clear weather)
+     */
+    getWalkSpeed() {
+        const { walkSpeed } = getWeatherData(this.weather.id);
+        return Number.isFinite(walkSpeed) ? walkSpeed : 1;
+    }
+
+    /**
+     * Knock down a random tree, leaving what a felled tree leaves behind, the caller saves
+     * @returns {boolean} True if a tree fell, false if there was none standing
+     */
+    knockDownTree() {
+        const tree = this.findRandomTree();
+        if (!tree) {
+            return false;
+        }
+        const remains = itemRegistry.getHarvestInto(tree.type, tree.id);
+        if (!remains || !this.replaceItemFree(tree, remains)) {
+            this.removePlacedItem(tree);
+        }
+        return true;
+    }
+
+    /**
+     * Get how much the season changes a building's output
+     * @param {Object} item - Placed item
+     * @returns {number} Multiplier (1 for items the season doesn't affect)
+     */
+    getItemSeasonYield(item) {
+        if (item.type !== 'building') {
+            return 1;
+        }
+        const yields = getSeasonData(this.season.id).yields || {};
+        return Number.isFinite(yields[item.id]) ? yields[item.id] : 1;
+    }
+
+    /**
+     * Get what houses cost to heat this season, on top of their maintenance
+     * @returns {number} Heating per interval
+     */
+    getHeatingPerInterval() {
+        const heating = getSeasonData(this.season.id).heating || 0;
+        if (heating <= 0) {
+            return 0;
+        }
+        return this.placedItems.reduce((total, item) => {
+            if (!itemRegistry.housesPeople(item.type, item.id)) {
+                return total;
+            }
+            return total + (this.getItemExpenseData(item.type, item.id) || 0) * heating;
+        }, 0);
     }
 
     /**
      * Get current time cycle information
-     * @returns {{isDay: boolean, progress: number, tick: number}} Time cycle info
+     * @returns {{isDay: boolean, progress: number, tick: number, day: number}} Time cycle info
      */
     getTimeCycleInfo() {
         const cycleLength = CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH;
@@ -876,26 +3013,20 @@ export class GameState {
             progress: progress,
             tick: this.currentTick,
             phaseTick: phaseTick,
-            phaseLength: currentPhaseLength
+            phaseLength: currentPhaseLength,
+            day: this.day
         };
     }
 
     /**
-     * Check if player has at least one Woodcutter or Timberman building
-     * @returns {boolean} True if player has at least one Woodcutter or Timberman
-     */
-    hasWoodcutterOrTimberman() {
-        return this.placedItems.some(item => 
-            item.type === 'building' && (item.id === 'woodcutter' || item.id === 'timberman')
-        );
-    }
-
-    /**
-     * Check if player has at least one Stonecutter building
-     * @returns {boolean} True if player has at least one Stonecutter
+     * Check if the buildings needed to remove an item are in place
+     * @param {string} type - Item type
+     * @param {string} id - Item ID
+     * @returns {boolean} True if the item can be removed (cost aside)
      */
-    hasStonecutter() {
-        return this.hasBuilding('stonecutter');
+    canRemoveItem(type, id) {
+        const removableBy = itemRegistry.getRemovableBy(type, id);
+        return removableBy.length === 0 || removableBy.some(buildingId => this.hasBuilding(buildingId));
     }
 
     /**
@@ -904,9 +3035,7 @@ export class GameState {
      * @returns {boolean} True if player has at least one building of this type
      */
     hasBuilding(buildingId) {
-        return this.placedItems.some(item => 
-            item.type === 'building' && item.id === buildingId
-        );
+        return this.countItemsOfKind('building', buildingId) > 0;
     }
 
     /**
@@ -915,24 +3044,80 @@ export class GameState {
      * @returns {number} Number of buildings of this type
      */
     countBuildings(buildingId) {
-        return this.placedItems.filter(item => 
-            item.type === 'building' && item.id === buildingId
-        ).length;
+        return this.countItemsOfKind('building', buildingId);
+    }
+
+    /**
+     * Build the persisted form of the current game state
+     * @returns {Object} State in the current save format
+     */
+    serializeState() {
+        return {
+            version: SAVE_VERSION,
+            placedItems: this.placedItems,
+            budget: this.budget,
+            taxRate: this.taxRate,
+            loans: this.getLoans(),
+            debt: { ...this.debt },
+            resources: this.getResources(),
+            migration: { ...this.migration },
+            food: { ...this.food },
+            villageEvents: {
+                pending: this.villageEvents.pending,
+                effects: this.getEventEffects()
+            },
+            currentTick: this.currentTick,
+            day: this.day,
+            season: { ...this.season },
+            weather: { ...this.weather, forecast: [...this.weather.forecast] },
+            savedAt: Date.now(),
+            itemPacks: this.getItemPackDependencies()
+        };
+    }
+
+    /**
+     * Get the item packs the placed items come from
+     * @returns {Array<{id: string, name: string, version: string|null}>} Packs the village depends on
+     */
+    getItemPackDependencies() {
+        const dependencies = new Map();
+        this.placedItems.forEach(item => {
+            const packId = itemRegistry.getItemPackId(item.type, item.id);
+            if (packId && !dependencies.has(packId)) {
+                const pack = itemRegistry.getItemPack(packId);
+                dependencies.set(packId, { id: pack.id, name: pack.name, version: pack.version });
+            }
+        });
+        return [...dependencies.values()];
+    }
+
+    /**
+     * Check whether any placed item comes from an item pack
+     * @param {string} packId - Pack ID
+     * @returns {boolean} True if removing the pack would break this village
+     */
+    isItemPackInUse(packId) {
+        return this.getItemPackDependencies().some(pack => pack.id === packId);
     }
 
     /**
      * Save current game state to localStorage
      */
     saveToLocalStorage() {
+        // Never overwrite a save we refused to load
+        if (this.persistenceDisabled) {
+            return;
+        }
+        
         try {
-            const state = {
-                placedItems: this.placedItems,
+            const state = this.serializeState();
+            localStorage.setItem(this.getStorageKey(), JSON.stringify(state));
+            
+            this.saveSlots.updateSummary(this.getActiveSlotId(), {
                 budget: this.budget,
                 population: this.population,
-                unemployedPopulation: this.unemployedPopulation,
-                currentTick: this.currentTick
-            };
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+                day: this.day
+            });
         } catch (error) {
             console.warn('Failed to save game state to localStorage:', error);
         }
@@ -944,69 +3129,34 @@ export class GameState {
      */
     loadFromLocalStorage() {
         try {
-            const savedState = localStorage.getItem(STORAGE_KEY);
+            const savedState = localStorage.getItem(this.getStorageKey());
             if (savedState) {
-                const state = JSON.parse(savedState);
+                // Upgrade older saves step by step to the current format
+                const state = migrateSave(JSON.parse(savedState));
                 
-                // Validate and restore placed items
-                if (Array.isArray(state.placedItems)) {
-                    this.placedItems = state.placedItems;
-                }
-                
-                // Validate and restore budget
-                if (typeof state.budget === 'number' && state.budget >= 0) {
-                    this.budget = state.budget;
-                }
-                
-                // Validate and restore population, or recalculate from placed items
-                if (typeof state.population === 'number' && state.population >= 0) {
-                    this.population = state.population;
-                } else {
-                    // Recalculate population from placed items if not in saved state
-                    this.population = 0;
-                    this.placedItems.forEach(item => {
-                        if (item.type === 'building' && BUILDING_DATA[item.id] && BUILDING_DATA[item.id].population) {
-                            this.population += BUILDING_DATA[item.id].population;
-                        }
-                    });
-                }
-                
-                // Validate and restore unemployed population, or recalculate from placed items
-                if (typeof state.unemployedPopulation === 'number' && state.unemployedPopulation >= 0) {
-                    this.unemployedPopulation = state.unemployedPopulation;
-                } else {
-                    // Recalculate unemployed population from placed items if not in saved state
-                    // Start with total population, then subtract workers from items that require unemployed
-                    this.unemployedPopulation = this.population;
-                    this.placedItems.forEach(item => {
-                        let itemData = null;
-                        if (item.type === 'building' && BUILDING_DATA[item.id]) {
-                            itemData = BUILDING_DATA[item.id];
-                        } else if (item.type === 'decoration' && DECORATION_DATA[item.id]) {
-                            itemData = DECORATION_DATA[item.id];
-                        } else if (item.type === 'road' && ROAD_DATA[item.id]) {
-                            itemData = ROAD_DATA[item.id];
-                        }
-                        
-                        if (itemData && itemData.requires && itemData.requires.unemployedPopulation) {
-                            const required = itemData.requires.unemployedPopulation;
-                            this.unemployedPopulation = Math.max(0, this.unemployedPopulation - required);
-                        }
-                    });
+                // Without its pack items the village would lose them on the next save, so don't load it at all
+                const missingItemPacks = getMissingItemPacks(state.itemPacks);
+                if (missingItemPacks.length > 0) {
+                    const names = missingItemPacks.map(pack => `"${pack.name}"`).join(', ');
+                    console.warn('Refusing to load game state from localStorage, missing item packs:', names);
+                    this.loadError = `This village uses item packs that aren't installed: ${names}. Install them from the Item Packs dialog to play it.`;
+                    this.missingItemPacks = missingItemPacks;
+                    this.persistenceDisabled = true;
+                    return false;
                 }
                 
-                // Safety check: ensure unemployed never exceeds total population
-                this.unemployedPopulation = Math.min(this.population, this.unemployedPopulation);
-                
-                // Restore time cycle state if saved
-                if (typeof state.currentTick === 'number' && state.currentTick >= 0) {
-                    this.currentTick = state.currentTick % (CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH);
-                    this.isDay = this.currentTick < CONFIG.DAY_LENGTH;
-                }
+                this.applySavedState(state);
                 
                 return true; // Saved state was found and loaded
             }
         } catch (error) {
+            if (error instanceof SaveVersionError) {
+                // Refuse to half-load a newer save, and keep it intact for a newer version of the game
+                console.warn('Refusing to load game state from localStorage:', error.message);
+                this.loadError = `${error.message}. Your progress won't be saved until the game is updated.`;
+                this.persistenceDisabled = true;
+                return false;
+            }
             console.warn('Failed to load game state from localStorage:', error);
             // If loading fails, use default values (already set in constructor)
         }
@@ -1014,6 +3164,158 @@ export class GameState {
         return false; // No saved state found
     }
 
+    /**
+     * Restore game state from a saved state in the current save format
+     * @param {Object} state - Migrated saved state
+     */
+    applySavedState(state) {
+        // Validate and restore placed items
+        if (Array.isArray(state.placedItems)) {
+            this.placedItems = state.placedItems;
+            this.rebuildTileIndex();
+        }
+        
+        // Validate and restore budget (it may be negative, expenses can outrun income)
+        if (Number.isFinite(state.budget)) {
+            this.setBudget(state.budget);
+        }
+        
+        // Restore the rent, saves from before rent existed pay none
+        this.taxRate = Number.isFinite(state.taxRate) ? this.clampTaxRate(state.taxRate) : 0;
+        
+        // Restore village events, effects of events this version doesn't know are dropped
+        this.villageEvents = this.createInitialVillageEvents();
+        if (state.villageEvents && typeof state.villageEvents === 'object') {
+            if (getEventData(state.villageEvents.pending)) {
+                this.villageEvents.pending = state.villageEvents.pending;
+            }
+            if (Array.isArray(state.villageEvents.effects)) {
+                this.villageEvents.effects = state.villageEvents.effects
+                    .filter(effect => effect && getEventData(effect.eventId) &&
+                        isEventModifier(effect.modifier) && Number.isFinite(effect.amount) &&
+                        Number.isInteger(effect.daysLeft) && effect.daysLeft >= 1)
+                    .map(effect => ({ ...effect }));
+            }
+        }
+        
+        // Restore loans and debt, saves from before loans existed owe nothing
+        this.loans = Array.isArray(state.loans)
+            ? state.loans
+                .filter(loan => loan && getLoanOffer(loan.offerId) &&
+                    Number.isFinite(loan.owed) && Number.isFinite(loan.installment) && loan.installment > 0)
+                .map(loan => ({ ...loan }))
+            : [];
+        this.debt = this.createInitialDebt();
+        if (state.debt && typeof state.debt === 'object') {
+            this.debt.days = Number.isInteger(state.debt.days) && state.debt.days >= 0 ? state.debt.days : 0;
+            this.debt.bankrupt = state.debt.bankrupt === true;
+            this.debt.bailouts = Number.isInteger(state.debt.bailouts) && state.debt.bailouts >= 0 ? state.debt.bailouts : 0;
+        }
+        
+        // Restore the stockpile, resources the save doesn't know start empty
+        if (state.resources && typeof state.resources === 'object') {
+            this.setResources(state.resources);
+        }
+        this.buildingSupply.clear();
+        
+        this.migration = this.createInitialMigration();
+        if (state.migration && typeof state.migration === 'object') {
+            Object.keys(this.migration).forEach(field => {
+                if (Number.isFinite(state.migration[field]) && state.migration[field] >= 0) {
+                    this.migration[field] = state.migration[field];
+                }
+            });
+        }
+        
+        this.food = this.createInitialFood();
+        if (state.food && typeof state.food === 'object') {
+            if (Number.isFinite(state.food.supplied)) {
+                this.food.supplied = Math.max(0, Math.min(1, state.food.supplied));
+            }
+            if (Number.isFinite(state.food.hungryTicks) && state.food.hungryTicks >= 0) {
+                this.food.hungryTicks = state.food.hungryTicks;
+            }
+        }
+        
+        // Rebuild population and employment from per-item residents and workers
+        this.normalizeWorkforce();
+        
+        // Restore time cycle state if saved
+        if (typeof state.currentTick === 'number' && state.currentTick >= 0) {
+            this.currentTick = state.currentTick % (CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH);
+            this.isDay = this.currentTick < CONFIG.DAY_LENGTH;
+        }
+        
+        if (typeof state.day === 'number' && state.day >= 1) {
+            this.day = Math.floor(state.day);
+        }
+        
+        // A season that ran longer than CONFIG.SEASON_LENGTH now ends the next morning
+        this.season = this.createInitialSeason();
+        if (state.season && getSeasonData(state.season.id)) {
+            this.season.id = state.season.id;
+            if (Number.isInteger(state.season.day) && state.season.day >= 1) {
+                this.season.day = Math.min(state.season.day, CONFIG.SEASON_LENGTH);
+            }
+        }
+        
+        // Unknown weather is dropped from the forecast, which is then rolled up to its full length again
+        this.weather = this.createInitialWeather();
+        if (state.weather && getWeatherData(state.weather.id)) {
+            const ticksLeft = Number.isInteger(state.weather.ticksLeft) && state.weather.ticksLeft >= 1
+                ? Math.min(state.weather.ticksLeft, CONFIG.WEATHER_SPELL_LENGTH)
+                : CONFIG.WEATHER_SPELL_LENGTH;
+            const forecast = Array.isArray(state.weather.forecast)
+                ? state.weather.forecast.filter(weatherId => getWeatherData(weatherId))
+                : [];
+            this.weather = { id: state.weather.id, ticksLeft, forecast: forecast.slice(0, CONFIG.WEATHER_FORECAST_LENGTH) };
+        }
+        this.extendForecast();
+        
+        this.lastSavedAt = Number.isFinite(state.savedAt) ? state.savedAt : null;
+    }
+
+    /**
+     * Replace the current village with an imported one and save it to the active slot
+     * @param {Object} state - Validated state in the current save format
+     */
+    importState(state) {
+        this.resetInMemoryState();
+        this.clearSelectedTool();
+        
+        // Copy items so the imported file object isn't shared with the game,
+        // and drop the export time, time away from a file doesn't earn offline progress
+        this.applySavedState({
+            ...state,
+            placedItems: state.placedItems.map(item => ({ ...item })),
+            savedAt: null
+        });
+        
+        // The imported village is a fresh start for this slot, so it may be saved again
+        this.loadError = null;
+        this.persistenceDisabled = false;
+        this.missingItemPacks = [];
+        this.saveToLocalStorage();
+        
+        this.emit('stateLoaded', { source: 'import', offlineReport: null });
+    }
+
+    /**
+     * Get the reason the saved village couldn't be loaded
+     * @returns {string|null} Error message, or null if loading succeeded or there was no save
+     */
+    getLoadError() {
+        return this.loadError;
+    }
+
+    /**
+     * Get the item packs the saved village needs that aren't installed
+     * @returns {Array<{id: string, name: string}>} Missing packs (empty if the village loaded)
+     */
+    getMissingItemPacks() {
+        return this.missingItemPacks;
+    }
+
     /**
      * Initialize the game with initial map items randomly placed on the map
      */
@@ -1030,7 +3332,7 @@ export class GameState {
             
             if (emptyCell) {
                 // Randomly choose between 'tree' and 'pine'
-                const randomTreeType = treeTypes[Math.floor(Math.random() * treeTypes.length)];
+                const randomTreeType = treeTypes[Math.floor(this.random() * treeTypes.length)];
                 
                 // Place the tree without cost
                 if (this.placeItemFree(emptyCell.isoX, emptyCell.isoY, 'decoration', randomTreeType)) {
@@ -0,0 +1,237 @@
+const SLOTS_KEY = 'isometric_game_slots';
+
+/**
+ * Manages the index of named save slots in localStorage
+ * Each slot stores its game state under its own storage key and keeps a short summary
+ * (budget, population, day, last played) so slots can be listed without loading them
+ */
+export class SaveSlots {
+    /**
+     * @param {string} baseStorageKey - Storage key of the original single-village save
+     */
+    constructor(baseStorageKey) {
+        this.baseStorageKey = baseStorageKey;
+        this.index = this.loadIndex();
+    }
+
+    /**
+     * Load the slot index, creating one around the original save if none exists yet
+     * @returns {{activeSlotId: string, slots: Array}} Slot index
+     */
+    loadIndex() {
+        try {
+            const savedIndex = localStorage.getItem(SLOTS_KEY);
+            if (savedIndex) {
+                const index = JSON.parse(savedIndex);
+                if (Array.isArray(index.slots) && index.slots.length > 0) {
+                    // Fall back to the first slot if the active one went missing
+                    if (!index.slots.some(slot => slot.id === index.activeSlotId)) {
+                        index.activeSlotId = index.slots[0].id;
+                    }
+                    return index;
+                }
+            }
+        } catch (error) {
+            console.warn('Failed to load save slots from localStorage:', error);
+        }
+
+        // First run with slots: the existing village (if any) becomes the first slot, stored where it always was
+        const now = Date.now();
+        return {
+            activeSlotId: 'slot-1',
+            slots: [{
+                id: 'slot-1',
+                name: 'My Village',
+                storageKey: this.baseStorageKey,
+                createdAt: now,
+                lastPlayed: now,
+                summary: null
+            }]
+        };
+    }
+
+    /**
+     * Persist the slot index
+     */
+    saveIndex() {
+        try {
+            localStorage.setItem(SLOTS_KEY, JSON.stringify(this.index));
+        } catch (error) {
+            console.warn('Failed to save slots to localStorage:', error);
+        }
+    }
+
+    /**
+     * Generate a unique slot id
+     * @returns {string} Slot id
+     */
+    generateSlotId() {
+        let id;
+        do {
+            id = `slot-${Date.now().toString(36)}-${Math.floor(Math.random() * 1e6).toString(36)}`;
+        } while (this.getSlot(id));
+        return id;
+    }
+
+    /**
+     * Get all slots
+     * @returns {Array} Slot records, in creation order
+     */
+    getSlots() {
+        return this.index.slots.map(slot => ({ ...slot }));
+    }
+
+    /**
+     * Get a slot by id
+     * @param {string} id - Slot id
+     * @returns {Object|null} Slot record or null if not found
+     */
+    getSlot(id) {
+        return this.index.slots.find(slot => slot.id === id) || null;
+    }
+
+    /**
+     * Get the active slot
+     * @returns {Object} Active slot record
+     */
+    getActiveSlot() {
+        return this.getSlot(this.index.activeSlotId);
+    }
+
+    /**
+     * Make a slot the active one
+     * @param {string} id - Slot id
+     * @returns {boolean} True if the slot exists and is now active
+     */
+    setActiveSlot(id) {
+        if (!this.getSlot(id)) {
+            return false;
+        }
+        this.index.activeSlotId = id;
+        this.saveIndex();
+        return true;
+    }
+
+    /**
+     * Get a name for a new slot that isn't taken yet
+     * @param {string} baseName - Preferred name
+     * @returns {string} Unique slot name
+     */
+    getUniqueName(baseName) {
+        const names = new Set(this.index.slots.map(slot => slot.name));
+        if (!names.has(baseName)) {
+            return baseName;
+        }
+        let counter = 2;
+        while (names.has(`${baseName} ${counter}`)) {
+            counter++;
+        }
+        return `${baseName} ${counter}`;
+    }
+
+    /**
+     * Create a new, empty slot
+     * @param {string} name - Slot name (defaults to "Village N")
+     * @returns {Object} Created slot record
+     */
+    createSlot(name = null) {
+        const id = this.generateSlotId();
+        const now = Date.now();
+        const slot = {
+            id: id,
+            name: this.getUniqueName((name && name.trim()) || `Village ${this.index.slots.length + 1}`),
+            storageKey: `${this.baseStorageKey}:${id}`,
+            createdAt: now,
+            lastPlayed: now,
+            summary: null
+        };
+        this.index.slots.push(slot);
+        this.saveIndex();
+        return { ...slot };
+    }
+
+    /**
+     * Rename a slot
+     * @param {string} id - Slot id
+     * @param {string} name - New name
+     * @returns {boolean} True if the slot was renamed
+     */
+    renameSlot(id, name) {
+        const slot = this.getSlot(id);
+        const trimmedName = name ? name.trim() : '';
+        if (!slot || !trimmedName) {
+            return false;
+        }
+        slot.name = trimmedName;
+        this.saveIndex();
+        return true;
+    }
+
+    /**
+     * Duplicate a slot, including its saved game state
+     * @param {string} id - Slot id to copy
+     * @returns {Object|null} New slot record or null if the slot couldn't be copied
+     */
+    duplicateSlot(id) {
+        const source = this.getSlot(id);
+        if (!source) {
+            return null;
+        }
+
+        const copy = this.createSlot(this.getUniqueName(`${source.name} (copy)`));
+        try {
+            const savedState = localStorage.getItem(source.storageKey);
+            if (savedState) {
+                localStorage.setItem(copy.storageKey, savedState);
+            }
+        } catch (error) {
+            console.warn('Failed to copy save slot:', error);
+            this.deleteSlot(copy.id);
+            return null;
+        }
+
+        const slot = this.getSlot(copy.id);
+        slot.summary = source.summary ? { ...source.summary } : null;
+        slot.lastPlayed = source.lastPlayed;
+        this.saveIndex();
+        return { ...slot };
+    }
+
+    /**
+     * Delete a slot and its saved game state
+     * The active slot can't be deleted; switch to another slot first
+     * @param {string} id - Slot id
+     * @returns {boolean} True if the slot was deleted
+     */
+    deleteSlot(id) {
+        const slot = this.getSlot(id);
+        if (!slot || id === this.index.activeSlotId) {
+            return false;
+        }
+
+        try {
+            localStorage.removeItem(slot.storageKey);
+        } catch (error) {
+            console.warn('Failed to remove save slot from localStorage:', error);
+        }
+
+        this.index.slots = this.index.slots.filter(other => other.id !== id);
+        this.saveIndex();
+        return true;
+    }
+
+    /**
+     * Record the latest summary of a slot's village
+     * @param {string} id - Slot id
+     * @param {{budget: number, population: number, day: number}} summary - Village summary
+     */
+    updateSummary(id, summary) {
+        const slot = this.getSlot(id);
+        if (!slot) {
+            return;
+        }
+        slot.summary = { ...summary };
+        slot.lastPlayed = Date.now();
+        this.saveIndex();
+    }
+}
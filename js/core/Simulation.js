@@ -0,0 +1,554 @@
+import { CONFIG } from '../config.js';
+import { getConsumption, getFoodIds, getHarvest, getNutrition, getProduction, hasResourceFlow } from '../data/itemRegistry.js';
+import { getWeatherData } from '../data/weatherData.js';
+
+/**
+ * Runs the village economy one tick at a time, without touching the DOM
+ * A tick is one CONFIG.INCOME_GENERATION_INTERVAL: the day/night cycle advances, villagers move in
+ * and out and eat, buildings produce income and resources scaled by the production, happiness and night multipliers,
+ * harvesting buildings fell the trees around them, trees grow back with the season, and maintenance expenses are paid.
+ * The browser game loop drives it in real time; in Node it can be run directly
+ * to balance numbers or check results deterministically: chance (weather, storms, tree growth, events) comes from
+ * the game state's random source, which can be seeded.
+ */
+export class Simulation {
+    /**
+     * @param {GameState} gameState - Game state to simulate
+     */
+    constructor(gameState) {
+        this.gameState = gameState;
+    }
+
+    /**
+     * Get the multiplier applied to income for the current time of day
+     * @returns {number} 1 during the day, CONFIG.NIGHT_PRODUCTION_MULTIPLIER at night
+     */
+    getNightMultiplier() {
+        return this.gameState.getNightMultiplier();
+    }
+
+    /**
+     * Get how much a building counts towards its kind's output this tick
+     * @param {Object} item - Placed building
+     * @returns {number} Output factor scaled by the building's own time of day multiplier
+     */
+    getItemWeight(item) {
+        return this.gameState.getItemOutputFactor(item) * this.gameState.getItemNightMultiplier(item);
+    }
+
+    /**
+     * Sort building kinds along their production chains
+     * A building comes after the buildings making its inputs (Wheat, then Mill, then Bakery),
+     * so goods move down a whole chain in one tick. Loops between buildings are cut anywhere.
+     * @param {Array<string>} buildingIds - Building IDs taking part in the resource economy
+     * @returns {Array<string>} The same IDs, suppliers first
+     */
+    orderByChain(buildingIds) {
+        const depths = new Map();
+        const getDepth = (buildingId, visiting) => {
+            if (depths.has(buildingId)) {
+                return depths.get(buildingId);
+            }
+            if (visiting.has(buildingId)) {
+                return 0;
+            }
+            visiting.add(buildingId);
+
+            let depth = 0;
+            Object.keys(getConsumption('building', buildingId)).forEach(resourceId => {
+                buildingIds
+                    .filter(supplierId => supplierId !== buildingId && getProduction('building', supplierId)[resourceId])
+                    .forEach(supplierId => {
+                        depth = Math.max(depth, getDepth(supplierId, visiting) + 1);
+                    });
+            });
+
+            visiting.delete(buildingId);
+            depths.set(buildingId, depth);
+            return depth;
+        };
+
+        return [...buildingIds].sort((a, b) => getDepth(a, new Set()) - getDepth(b, new Set()));
+    }
+
+    /**
+     * Run the buildings that produce or consume resources for one tick
+     * Buildings work along their production chains, so what a supplier makes can be used in the same tick.
+     * A building short of an input only works as far as its scarcest input allows, and stalls without any.
+     * @param {number} multiplier - Production multiplier for this tick
+     * @returns {{produced: Object, consumed: Object, supply: Object}} Resource ID -> amount produced and consumed,
+     *   and building ID -> share of its inputs it got (1 for buildings without inputs)
+     */
+    produceResources(multiplier) {
+        const gameState = this.gameState;
+
+        // Buildings of a kind are added up by their weight, a Woodcutter without trees adds nothing
+        const buildingCounts = new Map();
+        gameState.getItemsOfType('building').forEach(item => {
+            if (hasResourceFlow('building', item.id)) {
+                buildingCounts.set(item.id, (buildingCounts.get(item.id) || 0) + this.getItemWeight(item));
+            }
+        });
+        const buildingIds = this.orderByChain([...buildingCounts.keys()]);
+
+        const stock = gameState.getResources();
+        const produced = {};
+        const consumed = {};
+        const supply = {};
+        buildingIds.forEach(buildingId => {
+            const scale = buildingCounts.get(buildingId) * multiplier;
+            const inputs = getConsumption('building', buildingId);
+
+            let supplied = 1;
+            Object.entries(inputs).forEach(([resourceId, amount]) => {
+                const available = stock[resourceId] || 0;
+                // Idle buildings need nothing, they only count as stalled with an input missing entirely
+                const share = scale > 0 ? available / (amount * scale) : (available > 0 ? 1 : 0);
+                supplied = Math.min(supplied, share);
+            });
+            supply[buildingId] = supplied;
+            if (supplied <= 0 || scale <= 0) {
+                return;
+            }
+
+            Object.entries(inputs).forEach(([resourceId, amount]) => {
+                const used = amount * scale * supplied;
+                stock[resourceId] -= used;
+                consumed[resourceId] = (consumed[resourceId] || 0) + used;
+            });
+            Object.entries(getProduction('building', buildingId)).forEach(([resourceId, amount]) => {
+                const made = amount * scale * supplied;
+                stock[resourceId] = (stock[resourceId] || 0) + made;
+                produced[resourceId] = (produced[resourceId] || 0) + made;
+            });
+        });
+
+        const changes = {};
+        Object.keys({ ...produced, ...consumed }).forEach(resourceId => {
+            changes[resourceId] = (produced[resourceId] || 0) - (consumed[resourceId] || 0);
+        });
+        gameState.addResources(changes);
+        gameState.setBuildingSupply(supply);
+
+        return { produced, consumed, supply };
+    }
+
+    /**
+     * Let harvesting buildings work through the trees around them
+     * Each building builds up progress with production and harvests its nearest item
+     * every harvest.ticksPerHarvest ticks at full production
+     * @param {number} multiplier - Production multiplier for this tick
+     * @returns {number} Number of items harvested
+     */
+    harvest(multiplier) {
+        const gameState = this.gameState;
+        let harvested = 0;
+
+        gameState.getItemsOfType('building').forEach(building => {
+            const harvest = getHarvest(building.type, building.id);
+            if (!harvest) {
+                return;
+            }
+
+            // Progress is kept on the item, so it survives saving and loading
+            const buildingMultiplier = multiplier * gameState.getItemNightMultiplier(building);
+            let progress = (building.harvestProgress || 0) + buildingMultiplier / harvest.ticksPerHarvest;
+            while (progress >= 1) {
+                if (!gameState.harvestNearestItem(building)) {
+                    // Nothing left to harvest, start over once something grows back
+                    progress = 0;
+                    break;
+                }
+                progress -= 1;
+                harvested++;
+            }
+            building.harvestProgress = progress;
+        });
+
+        return harvested;
+    }
+
+    /**
+     * Let the weather knock down trees, a storm has a chance each tick to fell one
+     * @returns {number} Number of trees knocked down
+     */
+    weatherDamage() {
+        const gameState = this.gameState;
+        const treeFall = getWeatherData(gameState.weather.id).treeFall || 0;
+        if (treeFall <= 0 || gameState.random() >= treeFall) {
+            return 0;
+        }
+        return gameState.knockDownTree() ? 1 : 0;
+    }
+
+    /**
+     * Every CONFIG.ENVIRONMENT_EVENT_INTERVAL of game time, replace a random tree with the season's growth
+     * of new ones at random empty cells. Over a whole year the number of trees stays the same
+     * @returns {number} Number of trees that grew (0 when none was due, a map cleared of trees stays clear)
+     */
+    growTrees() {
+        const gameState = this.gameState;
+        const interval = Math.max(1, Math.round(CONFIG.ENVIRONMENT_EVENT_INTERVAL / CONFIG.INCOME_GENERATION_INTERVAL));
+        const elapsedTicks = (gameState.day - 1) * (CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH) + gameState.currentTick;
+        if (elapsedTicks % interval !== 0) {
+            return 0;
+        }
+
+        const treeToRemove = gameState.findRandomTree();
+        if (!treeToRemove) {
+            return 0;
+        }
+        gameState.removePlacedItem(treeToRemove);
+
+        // Fractional growth is the chance of one more tree (spring grows more than it loses, winter less)
+        const { treeGrowth } = gameState.getSeasonInfo().data;
+        const newTrees = Math.floor(treeGrowth) + (gameState.random() < treeGrowth % 1 ? 1 : 0);
+
+        const treeTypes = ['tree', 'pine'];
+        let grown = 0;
+        for (let i = 0; i < newTrees; i++) {
+            const emptyCell = gameState.findRandomEmptyCell();
+            if (!emptyCell) {
+                break;
+            }
+            gameState.addPlacedItem({
+                type: 'decoration',
+                id: treeTypes[Math.floor(gameState.random() * treeTypes.length)],
+                isoX: emptyCell.isoX,
+                isoY: emptyCell.isoY,
+                flipped: false
+            });
+            grown++;
+        }
+        return grown;
+    }
+
+    /**
+     * Move villagers in and out of the village for one tick
+     * Arrivals and departures build up from GameState.getMigrationOutlook, a villager moves each time one reaches 1.
+     * Emits villagersArrived and villagersLeft so the UI can report them.
+     * @returns {{arrived: number, left: number}} Villagers who moved in and out
+     */
+    migrate() {
+        const gameState = this.gameState;
+        const migration = gameState.migration;
+
+        migration.unemployedTicks = gameState.getUnemployedPopulation() > 0 ? migration.unemployedTicks + 1 : 0;
+
+        // Each house's happiness is worked out once for the outlook and all of this tick's moves,
+        // a single villager coming or going barely changes it
+        let outlook;
+        let arrived = 0;
+        let left = 0;
+        gameState.cacheHappiness();
+        try {
+            // Progress is dropped when nobody is coming or going, so old momentum doesn't carry over
+            outlook = gameState.getMigrationOutlook();
+            migration.arrivals = outlook.arrivalRate > 0 ? migration.arrivals + outlook.arrivalRate : 0;
+            migration.departures = outlook.departureRate > 0 ? migration.departures + outlook.departureRate : 0;
+
+            while (migration.arrivals >= 1) {
+                if (!gameState.moveInResident()) {
+                    migration.arrivals = 0;
+                    break;
+                }
+                migration.arrivals -= 1;
+                arrived++;
+            }
+
+            while (migration.departures >= 1) {
+                if (!gameState.moveOutResident()) {
+                    migration.departures = 0;
+                    break;
+                }
+                migration.departures -= 1;
+                left++;
+            }
+        } finally {
+            gameState.clearHappinessCache();
+        }
+
+        if (arrived > 0 || left > 0) {
+            gameState.rebalanceWorkforce();
+        }
+        if (arrived > 0) {
+            gameState.emit('villagersArrived', { count: arrived, population: gameState.getPopulation() });
+        }
+        if (left > 0) {
+            gameState.emit('villagersLeft', { count: left, reason: outlook.reason, population: gameState.getPopulation() });
+        }
+        return { arrived, left };
+    }
+
+    /**
+     * Let villagers eat their food for one tick, the most nourishing food first
+     * Going short lowers happiness at once, stops villagers moving in after CONFIG.FOOD_GROWTH_STALL_TICKS
+     * and makes them move out after CONFIG.FOOD_DEPARTURE_TICKS (see GameState.getMigrationOutlook)
+     * @returns {{eaten: Object, supplied: number}} Resource ID -> amount eaten, and the share of the need met
+     */
+    feedVillagers() {
+        const gameState = this.gameState;
+        const need = gameState.getFoodNeedPerInterval();
+        const eaten = {};
+
+        let hunger = need;
+        getFoodIds().forEach(resourceId => {
+            if (hunger <= 0) {
+                return;
+            }
+            const nutrition = getNutrition(resourceId);
+            const amount = Math.min(gameState.getResource(resourceId), hunger / nutrition);
+            if (amount > 0) {
+                eaten[resourceId] = amount;
+                hunger -= amount * nutrition;
+            }
+        });
+
+        const changes = {};
+        Object.entries(eaten).forEach(([resourceId, amount]) => {
+            changes[resourceId] = -amount;
+        });
+        gameState.addResources(changes);
+
+        // Rounding can leave a crumb of hunger behind, that still counts as fed
+        const supplied = need > 0 ? Math.max(0, Math.min(1, 1 - hunger / need)) : 1;
+        const fed = supplied > 0.999;
+        gameState.food.supplied = fed ? 1 : supplied;
+        gameState.food.hungryTicks = fed ? 0 : gameState.food.hungryTicks + 1;
+
+        return { eaten, supplied: gameState.food.supplied };
+    }
+
+    /**
+     * Simulate a single tick
+     * @returns {Object} Tick report: tick, day, isDay, season, productionMultiplier, happinessMultiplier,
+     *   nightMultiplier, income (buildings, rent and events), taxes (rent alone), eventIncome, expenses (maintenance, heating and loans),
+     *   loanRepayments, net, residentsLeft, residentsArrived, foodSupplied (share of the food villagers needed
+     *   they got), incomeByBuilding (building id -> income),
+     *   resourcesProduced and resourcesConsumed (resource id -> amount), buildingSupply
+     *   (building id -> share of inputs it got, 0 means stalled), harvested (items harvested),
+     *   treesKnockedDown (trees the weather felled) and treesGrown (trees that grew back)
+     */
+    step() {
+        const gameState = this.gameState;
+
+        // Advance the day/night cycle first, so the new tick's time of day applies
+        const previousDay = gameState.day;
+        gameState.advanceTimeCycle();
+        const residents = this.migrate();
+
+        // Villagers eat before buildings take their inputs, a Mill can't grind the grain they live on
+        const meal = this.feedVillagers();
+
+        // Time of day is applied per building, lamps and campfires keep the buildings around them working at night
+        const productionMultiplier = gameState.getProductionMultiplier();
+        const happinessMultiplier = gameState.getHappinessMultiplier();
+        const nightMultiplier = this.getNightMultiplier();
+        const multiplier = productionMultiplier * happinessMultiplier;
+
+        // Resources first, buildings that stalled for lack of inputs earn nothing
+        const resources = this.produceResources(multiplier);
+
+        // Count producing buildings per kind by their weight, then pay each kind at once
+        const buildingCounts = new Map();
+        gameState.getItemsOfType('building').forEach(item => {
+            if (gameState.getBuildingIncomeData(item.id)) {
+                buildingCounts.set(item.id, (buildingCounts.get(item.id) || 0) + this.getItemWeight(item));
+            }
+        });
+
+        const incomeByBuilding = {};
+        let income = 0;
+        buildingCounts.forEach((count, buildingId) => {
+            const supplied = buildingId in resources.supply ? resources.supply[buildingId] : 1;
+            const amount = count * gameState.getBuildingIncomeData(buildingId).amount * multiplier * supplied;
+            incomeByBuilding[buildingId] = amount;
+            income += amount;
+        });
+
+        // What villagers ate counts as consumed too
+        Object.entries(meal.eaten).forEach(([resourceId, amount]) => {
+            resources.consumed[resourceId] = (resources.consumed[resourceId] || 0) + amount;
+        });
+
+        // Residents pay rent whatever the production level, and village events may bring in (or cost) money
+        const taxes = gameState.getTaxIncomePerInterval();
+        const eventIncome = gameState.getEventModifier('income');
+        income += taxes + eventIncome;
+
+        // Trees are felled after everyone was paid for the trees they had
+        const harvested = this.harvest(multiplier);
+        const treesKnockedDown = this.weatherDamage();
+        const treesGrown = this.growTrees();
+
+        // Maintenance (and the season's heating) is paid in full whatever the production level (budget can go negative)
+        const maintenance = gameState.getTotalExpensesPerInterval();
+
+        const balance = income - maintenance;
+        if (balance !== 0) {
+            gameState.setBudget(gameState.getBudget() + balance);
+        }
+
+        // Loan repayments are taken like maintenance, then each morning checks how deep in debt the village is,
+        // counts down event effects and maybe brings a new event
+        const loanRepayments = gameState.collectLoanRepayments();
+        const expenses = maintenance + loanRepayments;
+        const net = income - expenses;
+        if (gameState.day !== previousDay) {
+            gameState.checkDebt();
+            gameState.expireEventEffects();
+            gameState.rollVillageEvent();
+        }
+
+        return {
+            tick: gameState.currentTick,
+            day: gameState.day,
+            isDay: gameState.isDay,
+            season: gameState.season.id,
+            productionMultiplier,
+            happinessMultiplier,
+            nightMultiplier,
+            income,
+            taxes,
+            eventIncome,
+            expenses,
+            loanRepayments,
+            net,
+            residentsLeft: residents.left,
+            residentsArrived: residents.arrived,
+            foodSupplied: meal.supplied,
+            incomeByBuilding,
+            resourcesProduced: resources.produced,
+            resourcesConsumed: resources.consumed,
+            buildingSupply: resources.supply,
+            harvested,
+            treesKnockedDown,
+            treesGrown
+        };
+    }
+
+    /**
+     * Simulate a number of ticks and save the result once at the end
+     * A village that goes bankrupt stops working until it is bailed out or started over
+     * @param {number} ticks - Number of ticks to simulate
+     * @returns {Object} Report: ticks (number run), startDay, endDay, daysPassed, income, taxes, eventIncome,
+     *   expenses, loanRepayments, net, startBudget, endBudget, residentsLeft, residentsArrived, incomeByBuilding,
+     *   resourcesProduced, resourcesConsumed, harvested, treesKnockedDown, treesGrown and steps (one report per tick)
+     */
+    run(ticks) {
+        const count = Math.max(0, Math.floor(ticks));
+        const report = this.startReport();
+        for (let i = 0; i < count; i++) {
+            if (!this.runTick(report)) {
+                break;
+            }
+        }
+        return this.finishReport(report);
+    }
+
+    /**
+     * Simulate a number of ticks a chunk at a time, waiting for the browser between chunks so the page stays responsive
+     * Each chunk runs for about CONFIG.CATCH_UP_CHUNK_DURATION, the result is saved once at the end like run()
+     * @param {number} ticks - Number of ticks to simulate
+     * @param {function(number): void} [onProgress] - Called after each chunk with the share of ticks run so far (0 to 1)
+     * @returns {Promise<Object>} Report, same as run()
+     */
+    async runInChunks(ticks, onProgress = () => {}) {
+        const count = Math.max(0, Math.floor(ticks));
+        const report = this.startReport();
+        let working = true;
+        while (working && report.ticks < count) {
+            const chunkEnd = performance.now() + CONFIG.CATCH_UP_CHUNK_DURATION;
+            while (working && report.ticks < count && performance.now() < chunkEnd) {
+                working = this.runTick(report);
+            }
+            onProgress(report.ticks / count);
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        return this.finishReport(report);
+    }
+
+    /**
+     * Start an empty report for run() or runInChunks()
+     * @returns {Object} Report with nothing simulated yet
+     */
+    startReport() {
+        const gameState = this.gameState;
+        return {
+            ticks: 0,
+            startDay: gameState.day,
+            endDay: gameState.day,
+            daysPassed: 0,
+            income: 0,
+            taxes: 0,
+            eventIncome: 0,
+            expenses: 0,
+            loanRepayments: 0,
+            net: 0,
+            startBudget: gameState.getBudget(),
+            endBudget: gameState.getBudget(),
+            residentsLeft: 0,
+            residentsArrived: 0,
+            incomeByBuilding: {},
+            resourcesProduced: {},
+            resourcesConsumed: {},
+            harvested: 0,
+            treesKnockedDown: 0,
+            treesGrown: 0,
+            steps: []
+        };
+    }
+
+    /**
+     * Simulate one tick and add it to a report
+     * @param {Object} report - Report from startReport
+     * @returns {boolean} False if the village is bankrupt and nothing was simulated
+     */
+    runTick(report) {
+        if (this.gameState.isBankrupt()) {
+            return false;
+        }
+        const step = this.step();
+        report.ticks++;
+        report.income += step.income;
+        report.taxes += step.taxes;
+        report.eventIncome += step.eventIncome;
+        report.loanRepayments += step.loanRepayments;
+        report.expenses += step.expenses;
+        report.harvested += step.harvested;
+        report.treesKnockedDown += step.treesKnockedDown;
+        report.treesGrown += step.treesGrown;
+        report.residentsLeft += step.residentsLeft;
+        report.residentsArrived += step.residentsArrived;
+        Object.entries(step.incomeByBuilding).forEach(([buildingId, amount]) => {
+            report.incomeByBuilding[buildingId] = (report.incomeByBuilding[buildingId] || 0) + amount;
+        });
+        Object.entries(step.resourcesProduced).forEach(([resourceId, amount]) => {
+            report.resourcesProduced[resourceId] = (report.resourcesProduced[resourceId] || 0) + amount;
+        });
+        Object.entries(step.resourcesConsumed).forEach(([resourceId, amount]) => {
+            report.resourcesConsumed[resourceId] = (report.resourcesConsumed[resourceId] || 0) + amount;
+        });
+        report.steps.push(step);
+        return true;
+    }
+
+    /**
+     * Fill in a report's totals and save the village if anything was simulated
+     * @param {Object} report - Report from startReport
+     * @returns {Object} The finished report
+     */
+    finishReport(report) {
+        const gameState = this.gameState;
+        report.net = report.income - report.expenses;
+        report.endDay = gameState.day;
+        report.daysPassed = report.endDay - report.startDay;
+        report.endBudget = gameState.getBudget();
+
+        if (report.ticks > 0) {
+            gameState.saveToLocalStorage();
+        }
+
+        return report;
+    }
+}
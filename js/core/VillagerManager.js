@@ -9,8 +9,8 @@ export class VillagerManager {
         this.gameState = gameState;
         this.pathfinder = new Pathfinder(gameState);
         this.villagers = [];
-        this.spawnInterval = 1000; // Spawn a new villager every 5 seconds
-        this.lastSpawnTime = Date.now();
+        this.spawnInterval = 1000; // Spawn a new villager every second of game time
+        this.spawnTimer = 0; // Game time since the last spawn
     }
 
     /**
@@ -80,7 +80,7 @@ export class VillagerManager {
 
     /**
      * Update all villagers (movement, behavior)
-     * @param {number} deltaTime - Time since last update in milliseconds
+     * @param {number} deltaTime - Game time since last update in milliseconds (0 while paused)
      */
     update(deltaTime) {
         // At night, use total population; during day, use unemployed population
@@ -89,10 +89,10 @@ export class VillagerManager {
             : this.gameState.getPopulation();
         
         // Spawn new villagers periodically (only if population > 0)
-        const now = Date.now();
-        if (maxVillagers > 0 && now - this.lastSpawnTime >= this.spawnInterval && this.villagers.length < maxVillagers) {
+        this.spawnTimer += deltaTime;
+        if (maxVillagers > 0 && this.spawnTimer >= this.spawnInterval && this.villagers.length < maxVillagers) {
             this.spawnVillager();
-            this.lastSpawnTime = now;
+            this.spawnTimer = 0;
         }
         
         // Remove excess villagers if population decreased
@@ -101,6 +101,9 @@ export class VillagerManager {
             this.villagers.splice(0, excess);
         }
 
+        // Snow and rain slow everyone down
+        const walkSpeed = this.gameState.getWalkSpeed();
+
         // Update each villager
         this.villagers.forEach(villager => {
             // Ensure villager is on a valid road tile
@@ -196,7 +199,7 @@ export class VillagerManager {
                     }
                 } else {
                     // Move towards target tile
-                    villager.progress += villager.speed * deltaTime;
+                    villager.progress += villager.speed * walkSpeed * deltaTime;
                     
                     if (villager.progress >= 1.0) {
                         // Reached target tile
@@ -0,0 +1,383 @@
+import { getCategory, getInfluenceModifier, getItemPack, getItemPacks, hasItem, hasResource, registerItemPack, unregisterItemPack } from '../data/itemRegistry.js';
+
+export const ITEM_PACK_FORMAT = 'folkrow-item-pack';
+
+// Installed packs are kept in full, so they load again without the original file or URL
+const STORAGE_KEY = 'folkrow-item-packs';
+
+// Pack and item IDs are used in save files and DOM attributes, so keep them simple
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/i;
+
+const isString = (value) => typeof value === 'string' && value.length > 0;
+const isNumber = (value) => Number.isFinite(value);
+const isPositiveNumber = (value) => Number.isFinite(value) && value > 0;
+const isNonNegativeNumber = (value) => Number.isFinite(value) && value >= 0;
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isBoolean = (value) => typeof value === 'boolean';
+const isFootprintSize = (value) => Number.isInteger(value) && value >= 1 && value <= 4;
+const isPlainObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value);
+const isResourceAmounts = (value) => isPlainObject(value) && Object.values(value).every(isPositiveNumber);
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Item properties a pack may set, with a check and a description used in error messages
+ * Mirrors the property list at the top of js/data/itemData.js
+ */
+const ITEM_PROPERTIES = {
+    name: { check: isString, expected: 'a text' },
+    description: { check: isString, expected: 'a text' },
+    hoverText: { check: isString, expected: 'a text' },
+    height: { check: isPositiveNumber, expected: 'a positive number' },
+    width: { check: isFootprintSize, expected: 'a whole number of tiles from 1 to 4' },
+    depth: { check: isFootprintSize, expected: 'a whole number of tiles from 1 to 4' },
+    cost: { check: isNonNegativeNumber, expected: 'a number of 0 or more' },
+    demolitionCostMultiplier: { check: isNonNegativeNumber, expected: 'a number of 0 or more' },
+    sprite: { check: isString, expected: 'a path or URL' },
+    offsetY: { check: isNumber, expected: 'a number' },
+    population: { check: isNonNegativeInteger, expected: 'a whole number of 0 or more' },
+    incomeAmount: { check: isNonNegativeNumber, expected: 'a number of 0 or more' },
+    expenseAmount: { check: isNonNegativeNumber, expected: 'a number of 0 or more' },
+    produces: { check: isResourceAmounts, expected: 'an object of resource amounts above 0' },
+    consumes: { check: isResourceAmounts, expected: 'an object of resource amounts above 0' },
+    resourceCost: { check: isResourceAmounts, expected: 'an object of resource amounts above 0' },
+    throughput: { check: isPositiveNumber, expected: 'a number above 0' },
+    allowAdjacentPlacement: { check: isBoolean, expected: 'true or false' },
+    requires: { check: isPlainObject, expected: 'an object' },
+    removableBy: { check: (value) => Array.isArray(value) && value.every(isString), expected: 'a list of building IDs' },
+    harvest: { check: isPlainObject, expected: 'an object' },
+    harvestInto: { check: isString, expected: 'an item ID' },
+    harvestYield: { check: isNonNegativeNumber, expected: 'a number of 0 or more' },
+    influence: { check: isPlainObject, expected: 'an object' },
+    happiness: { check: isNumber, expected: 'a number' }
+};
+
+/**
+ * Harvest settings a pack may use, matching itemRegistry.getHarvest
+ */
+const HARVEST_PROPERTIES = {
+    radius: { check: isPositiveInteger, expected: 'a whole number of tiles above 0' },
+    fullOutputTrees: { check: isPositiveNumber, expected: 'a number above 0' },
+    ticksPerHarvest: { check: isPositiveNumber, expected: 'a number above 0' }
+};
+
+/**
+ * Requirement types a pack may use, matching GameState.getRequirementCheckers
+ */
+const REQUIREMENT_PROPERTIES = {
+    population: { check: isNonNegativeInteger, expected: 'a whole number of 0 or more' },
+    unemployedPopulation: { check: isNonNegativeInteger, expected: 'a whole number of 0 or more' },
+    budget: { check: isNonNegativeNumber, expected: 'a number of 0 or more' },
+    building: { check: isString, expected: 'a building ID' }
+};
+
+/**
+ * Influence settings a pack may use, matching itemRegistry.getInfluence
+ */
+const INFLUENCE_PROPERTIES = {
+    radius: { check: (value) => Number.isInteger(value) && value >= 1 && value <= 8, expected: 'a whole number of tiles from 1 to 8' },
+    modifiers: { check: (value) => isPlainObject(value) && Object.values(value).every(isNumber), expected: 'an object of modifier values' }
+};
+
+/**
+ * Thrown when an item pack can't be loaded
+ */
+export class ItemPackError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ItemPackError';
+    }
+}
+
+/**
+ * Check one item of a pack against the item property schema
+ * @param {*} data - Item data from the pack
+ * @param {Function} isBuilding - Tells whether a building ID exists in the game or the pack
+ * @param {Function} isSameTypeItem - Tells whether an item ID of the item's own type exists in the game or the pack
+ * @returns {Array<string>} Problems found (empty if the item is valid)
+ */
+function validateItemData(data, isBuilding, isSameTypeItem) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return ['is not an object'];
+    }
+
+    const problems = [];
+    if (data.name === undefined) {
+        problems.push('has no name');
+    }
+
+    Object.entries(data).forEach(([property, value]) => {
+        const schema = ITEM_PROPERTIES[property];
+        if (!schema) {
+            problems.push(`has unknown property "${property}"`);
+        } else if (!schema.check(value)) {
+            problems.push(`${property} must be ${schema.expected}`);
+        }
+    });
+
+    if (ITEM_PROPERTIES.requires.check(data.requires)) {
+        Object.entries(data.requires).forEach(([requirement, value]) => {
+            const schema = REQUIREMENT_PROPERTIES[requirement];
+            if (!schema) {
+                problems.push(`requires unknown "${requirement}"`);
+            } else if (!schema.check(value)) {
+                problems.push(`requires.${requirement} must be ${schema.expected}`);
+            } else if (requirement === 'building' && !isBuilding(value)) {
+                problems.push(`requires unknown building "${value}"`);
+            }
+        });
+    }
+
+    if (ITEM_PROPERTIES.harvest.check(data.harvest)) {
+        Object.entries(data.harvest).forEach(([setting, value]) => {
+            const schema = HARVEST_PROPERTIES[setting];
+            if (!schema) {
+                problems.push(`has unknown harvest setting "${setting}"`);
+            } else if (!schema.check(value)) {
+                problems.push(`harvest.${setting} must be ${schema.expected}`);
+            }
+        });
+    }
+
+    if (ITEM_PROPERTIES.influence.check(data.influence)) {
+        Object.entries(data.influence).forEach(([setting, value]) => {
+            const schema = INFLUENCE_PROPERTIES[setting];
+            if (!schema) {
+                problems.push(`has unknown influence setting "${setting}"`);
+            } else if (!schema.check(value)) {
+                problems.push(`influence.${setting} must be ${schema.expected}`);
+            } else if (setting === 'modifiers') {
+                Object.keys(value).filter(modifierId => !getInfluenceModifier(modifierId)).forEach(modifierId => {
+                    problems.push(`has unknown influence modifier "${modifierId}"`);
+                });
+            }
+        });
+    }
+
+    if (ITEM_PROPERTIES.harvestInto.check(data.harvestInto) && !isSameTypeItem(data.harvestInto)) {
+        problems.push(`is harvested into unknown item "${data.harvestInto}"`);
+    }
+
+    // Verb used in error messages for each resource property
+    const resourceVerbs = { produces: 'produces', consumes: 'consumes', resourceCost: 'costs' };
+    Object.entries(resourceVerbs).forEach(([property, verb]) => {
+        if (ITEM_PROPERTIES[property].check(data[property])) {
+            Object.keys(data[property]).filter(resourceId => !hasResource(resourceId)).forEach(resourceId => {
+                problems.push(`${verb} unknown resource "${resourceId}"`);
+            });
+        }
+    });
+
+    if (ITEM_PROPERTIES.removableBy.check(data.removableBy)) {
+        data.removableBy.filter(buildingId => !isBuilding(buildingId)).forEach(buildingId => {
+            problems.push(`is removable by unknown building "${buildingId}"`);
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Parse and validate an item pack
+ * @param {string} text - Pack contents (JSON)
+ * @param {string|null} baseUrl - URL the pack was loaded from, relative sprite paths are resolved against it
+ * @returns {Object} Pack ready for installItemPack: { id, name, version, items: { type: { id: data } } }
+ * @throws {ItemPackError} If the pack is malformed or doesn't match the item schema
+ */
+export function parseItemPack(text, baseUrl = null) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new ItemPackError('This file is not valid JSON');
+    }
+
+    if (!file || typeof file !== 'object' || file.format !== ITEM_PACK_FORMAT) {
+        throw new ItemPackError('This file is not a Folkrow item pack');
+    }
+    if (!isString(file.id) || !ID_PATTERN.test(file.id)) {
+        throw new ItemPackError('The pack ID must use only letters, digits, "-" and "_"');
+    }
+    if (!isString(file.name)) {
+        throw new ItemPackError('The pack has no name');
+    }
+    if (file.version !== undefined && file.version !== null && !isString(file.version)) {
+        throw new ItemPackError('The pack version must be a text');
+    }
+    if (!file.items || typeof file.items !== 'object' || Array.isArray(file.items)) {
+        throw new ItemPackError('The pack has no items');
+    }
+
+    const packBuildings = file.items.building && typeof file.items.building === 'object' ? file.items.building : {};
+    const isBuilding = (buildingId) => hasItem('building', buildingId) ||
+        Object.prototype.hasOwnProperty.call(packBuildings, buildingId);
+
+    const errors = [];
+    const items = {};
+    let itemCount = 0;
+    Object.entries(file.items).forEach(([type, typeItems]) => {
+        if (!getCategory(type)) {
+            errors.push(`unknown item type "${type}"`);
+            return;
+        }
+        if (!typeItems || typeof typeItems !== 'object' || Array.isArray(typeItems)) {
+            errors.push(`${type} items must be an object keyed by item ID`);
+            return;
+        }
+
+        items[type] = {};
+        Object.entries(typeItems).forEach(([id, data]) => {
+            if (!ID_PATTERN.test(id)) {
+                errors.push(`${type} "${id}" has an invalid ID`);
+                return;
+            }
+            const isSameTypeItem = (itemId) => hasItem(type, itemId) ||
+                Object.prototype.hasOwnProperty.call(typeItems, itemId);
+            const problems = validateItemData(data, isBuilding, isSameTypeItem);
+            if (problems.length > 0) {
+                problems.forEach(problem => errors.push(`${type} "${id}" ${problem}`));
+                return;
+            }
+
+            items[type][id] = { ...data };
+            if (data.sprite && baseUrl) {
+                items[type][id].sprite = new URL(data.sprite, baseUrl).href;
+            }
+            itemCount++;
+        });
+    });
+
+    if (errors.length > 0) {
+        // Keep the message readable when a pack is badly broken
+        const shown = errors.slice(0, 3).join('; ');
+        const more = errors.length > 3 ? ` (and ${errors.length - 3} more problems)` : '';
+        throw new ItemPackError(`Invalid item pack: ${shown}${more}`);
+    }
+    if (itemCount === 0) {
+        throw new ItemPackError('The pack has no items');
+    }
+
+    return {
+        id: file.id,
+        name: file.name,
+        version: file.version || null,
+        items
+    };
+}
+
+/**
+ * Read an item pack from a local file
+ * @param {File} file - Selected pack file
+ * @returns {Promise<Object>} Parsed pack
+ * @throws {ItemPackError} If the pack is invalid
+ */
+export async function readItemPackFile(file) {
+    return parseItemPack(await file.text());
+}
+
+/**
+ * Download an item pack from a URL
+ * @param {string} url - Pack URL, relative URLs are resolved against the page
+ * @returns {Promise<Object>} Parsed pack
+ * @throws {ItemPackError} If the pack can't be downloaded or is invalid
+ */
+export async function fetchItemPack(url) {
+    let absoluteUrl;
+    try {
+        absoluteUrl = new URL(url, document.baseURI).href;
+    } catch (error) {
+        throw new ItemPackError('This is not a valid URL');
+    }
+
+    let response;
+    try {
+        response = await fetch(absoluteUrl);
+    } catch (error) {
+        throw new ItemPackError('The pack could not be downloaded');
+    }
+    if (!response.ok) {
+        throw new ItemPackError(`The pack could not be downloaded (HTTP ${response.status})`);
+    }
+
+    return parseItemPack(await response.text(), absoluteUrl);
+}
+
+/**
+ * Save the installed packs so they are loaded again on the next visit
+ */
+function saveInstalledPacks() {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(getItemPacks()));
+    } catch (error) {
+        console.warn('Failed to save item packs to localStorage:', error);
+    }
+}
+
+/**
+ * Add an item pack to the game and remember it
+ * Installing a pack with the ID of an installed one updates it
+ * @param {Object} pack - Pack from parseItemPack
+ * @throws {ItemPackError} If one of its items clashes with an existing item
+ */
+export function installItemPack(pack) {
+    try {
+        registerItemPack(pack);
+    } catch (error) {
+        throw new ItemPackError(error.message);
+    }
+    saveInstalledPacks();
+}
+
+/**
+ * Remove an installed item pack
+ * @param {string} packId - Pack ID
+ * @returns {boolean} True if the pack was installed
+ */
+export function uninstallItemPack(packId) {
+    if (!unregisterItemPack(packId)) {
+        return false;
+    }
+    saveInstalledPacks();
+    return true;
+}
+
+/**
+ * Register the packs installed on earlier visits
+ * Must run before the saved village is loaded, so its pack items are known
+ * @returns {Array<string>} Problems with packs that couldn't be loaded (empty if all loaded)
+ */
+export function restoreItemPacks() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.warn('Failed to load item packs from localStorage:', error);
+        return ['Your item packs could not be loaded'];
+    }
+    if (!Array.isArray(stored)) {
+        return [];
+    }
+
+    const problems = [];
+    stored.forEach(pack => {
+        try {
+            // Validate again, the game's items may have changed since the pack was installed
+            registerItemPack(parseItemPack(JSON.stringify({ ...pack, format: ITEM_PACK_FORMAT })));
+        } catch (error) {
+            console.warn('Failed to restore item pack:', error);
+            problems.push(`Item pack "${pack && pack.name}" could not be loaded: ${error.message}`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Get the packs a village needs that aren't installed
+ * @param {Array<{id: string, name: string}>} dependencies - Packs recorded in the save
+ * @returns {Array<{id: string, name: string}>} Missing packs
+ */
+export function getMissingItemPacks(dependencies) {
+    if (!Array.isArray(dependencies)) {
+        return [];
+    }
+    return dependencies.filter(dependency => !getItemPack(dependency.id));
+}
@@ -0,0 +1,199 @@
+import { CONFIG } from '../config.js';
+import { getHousingCapacity, getWorkerSlots } from '../data/itemRegistry.js';
+import { getSeasonIds } from '../data/seasonData.js';
+import { getWeatherIds } from '../data/weatherData.js';
+
+/**
+ * Current save format version
+ * Bump this and add a migration to MIGRATIONS whenever the saved state changes shape
+ *
+ * Version history:
+ *   1 - Unversioned blob: placedItems, budget, population, unemployedPopulation, currentTick (optional)
+ *   2 - Per-item workforce: houses store residents, staffed buildings store workers,
+ *       population counters are no longer saved
+ *   3 - Day counter: day (1-based number of the current day)
+ *   4 - Save time: savedAt (milliseconds since epoch, null if unknown) for offline progress
+ *   5 - Item packs: itemPacks (list of { id, name, version } the placed items come from)
+ *   6 - Resources: resources (stockpile, resource ID -> amount in store)
+ *   7 - Migration: migration ({ arrivals, departures, unemployedTicks } progress towards villagers moving)
+ *   8 - Food: food ({ supplied, hungryTicks } share of the last meal villagers got and ticks of shortage in a row)
+ *   9 - Taxes: taxRate (rent each resident pays per interval)
+ *  10 - Loans: loans (list of { id, offerId, amount, owed, installment, dayTaken }) and
+ *       debt ({ days, bankrupt, bailouts } mornings in a row below the bankruptcy threshold)
+ *  11 - Seasons: season ({ id, day } current season from seasonData.js and day within it)
+ *  12 - Weather: weather ({ id, ticksLeft, forecast } current weather from weatherData.js, ticks until it
+ *       turns and the weather IDs of the spells after it)
+ *  13 - Village events: villageEvents ({ pending, effects } event ID waiting for a choice or null, and the
+ *       timed effects running, each { eventId, modifier, amount, daysLeft })
+ */
+export const SAVE_VERSION = 13;
+
+/**
+ * Thrown when a save was written by a newer version of the game than this code understands
+ */
+export class SaveVersionError extends Error {
+    constructor(version) {
+        super(`This village was saved by a newer version of Folkrow (save v${version}, supported up to v${SAVE_VERSION})`);
+        this.name = 'SaveVersionError';
+        this.version = version;
+    }
+}
+
+// Days of grain a village that didn't have to eat before gets when it is loaded, time to build up a harvest
+const MIGRATED_FOOD_DAYS = 3;
+
+/**
+ * Migrations keyed by the version they upgrade from
+ * Each migration receives a state of that version and returns a state of the next version
+ */
+const MIGRATIONS = {
+    1: (state) => {
+        const placedItems = Array.isArray(state.placedItems) ? state.placedItems : [];
+
+        // The legacy counters only knew how many villagers were working in total,
+        // so hand that many workers to staffed buildings in placement order
+        const population = typeof state.population === 'number' ? state.population : null;
+        const unemployed = typeof state.unemployedPopulation === 'number' ? state.unemployedPopulation : null;
+        let employed = (population !== null && unemployed !== null) ? Math.max(0, population - unemployed) : 0;
+
+        const items = placedItems.map(item => {
+            const migrated = { ...item };
+
+            const housingCapacity = getHousingCapacity(item.type, item.id);
+            if (housingCapacity > 0) {
+                migrated.residents = housingCapacity;
+            }
+
+            const workerSlots = getWorkerSlots(item.type, item.id);
+            if (workerSlots > 0) {
+                migrated.workers = Math.min(workerSlots, employed);
+                employed -= migrated.workers;
+            }
+
+            return migrated;
+        });
+
+        return {
+            version: 2,
+            placedItems: items,
+            budget: typeof state.budget === 'number' ? state.budget : undefined,
+            currentTick: typeof state.currentTick === 'number' ? state.currentTick : 0
+        };
+    },
+
+    2: (state) => ({
+        ...state,
+        version: 3,
+        // Days weren't counted before, so every older village starts on day 1
+        day: 1
+    }),
+
+    3: (state) => ({
+        ...state,
+        version: 4,
+        // There is no way to tell how long ago an older village was saved, so it gets no offline progress
+        savedAt: null
+    }),
+
+    4: (state) => ({
+        ...state,
+        version: 5,
+        // Item packs didn't exist, so older villages only use built-in items
+        itemPacks: []
+    }),
+
+    5: (state) => ({
+        ...state,
+        version: 6,
+        // Resources weren't stockpiled, so older villages start with the stockpile of a new one
+        resources: { ...CONFIG.INITIAL_RESOURCES }
+    }),
+
+    6: (state) => ({
+        ...state,
+        version: 7,
+        // Houses filled up at once, nobody was on their way in or out
+        migration: { arrivals: 0, departures: 0, unemployedTicks: 0 }
+    }),
+
+    7: (state) => {
+        // Villagers didn't eat, so nobody has gone hungry yet, and the store gets enough grain
+        // to feed everyone living there for a few days
+        const residents = (Array.isArray(state.placedItems) ? state.placedItems : [])
+            .reduce((total, item) => total + (Number.isInteger(item && item.residents) ? item.residents : 0), 0);
+        const ticksPerDay = CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH;
+        const grainNeeded = Math.ceil(residents * CONFIG.FOOD_PER_RESIDENT * ticksPerDay * MIGRATED_FOOD_DAYS);
+        const resources = state.resources && typeof state.resources === 'object' ? state.resources : {};
+        const grain = Number.isFinite(resources.grain) ? resources.grain : 0;
+
+        return {
+            ...state,
+            version: 8,
+            resources: { ...resources, grain: Math.max(grain, grainNeeded) },
+            food: { supplied: 1, hungryTicks: 0 }
+        };
+    },
+
+    8: (state) => ({
+        ...state,
+        version: 9,
+        // Houses never paid rent, keep it that way until the player sets one
+        taxRate: 0
+    }),
+
+    9: (state) => ({
+        ...state,
+        version: 10,
+        // Villages couldn't borrow or go bankrupt before
+        loans: [],
+        debt: { days: 0, bankrupt: false, bailouts: 0 }
+    }),
+
+    10: (state) => ({
+        ...state,
+        version: 11,
+        // The calendar starts with the first season when a village without one is loaded
+        season: { id: getSeasonIds()[0], day: 1 }
+    }),
+
+    11: (state) => ({
+        ...state,
+        version: 12,
+        // Skies were always clear, they turn at the next tick and the forecast is rolled when loaded
+        weather: { id: getWeatherIds()[0], ticksLeft: 1, forecast: [] }
+    }),
+
+    12: (state) => ({
+        ...state,
+        version: 13,
+        // Nothing ever happened to the village before
+        villageEvents: { pending: null, effects: [] }
+    })
+};
+
+/**
+ * Upgrade a saved state to the current version, one migration at a time
+ * Saves without a version field are treated as version 1
+ * @param {Object} state - Parsed saved state
+ * @returns {Object} State in the current save format
+ * @throws {SaveVersionError} If the save is newer than SAVE_VERSION
+ */
+export function migrateSave(state) {
+    let version = typeof state.version === 'number' ? state.version : 1;
+
+    if (version > SAVE_VERSION) {
+        throw new SaveVersionError(version);
+    }
+
+    let migrated = state;
+    while (version < SAVE_VERSION) {
+        const migrate = MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No save migration from version ${version}`);
+        }
+        migrated = migrate(migrated);
+        version = migrated.version;
+    }
+
+    return migrated;
+}
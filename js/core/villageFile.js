@@ -0,0 +1,259 @@
+import { CONFIG } from '../config.js';
+import { getCategory, getFootprint, hasItem, hasResource } from '../data/itemRegistry.js';
+import { getLoanOffer } from '../data/loanData.js';
+import { getSeasonData } from '../data/seasonData.js';
+import { getWeatherData } from '../data/weatherData.js';
+import { getEventData, isEventModifier } from '../data/eventData.js';
+import { SaveVersionError, migrateSave } from './saveMigrations.js';
+import { getMissingItemPacks } from './itemPacks.js';
+
+export const VILLAGE_FILE_FORMAT = 'folkrow-village';
+export const VILLAGE_FILE_EXTENSION = '.folkrow.json';
+
+// Stop listing problems after this many, a broken file usually has the same issue everywhere
+const MAX_REPORTED_ERRORS = 3;
+
+/**
+ * Thrown when an imported village file is malformed or doesn't fit this game
+ */
+export class VillageFileError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'VillageFileError';
+    }
+}
+
+/**
+ * Build the contents of a village file for download
+ * @param {GameState} gameState - Game state to export
+ * @param {string} name - Village name
+ * @returns {string} JSON text of the village file
+ */
+export function createVillageFile(gameState, name) {
+    const file = {
+        format: VILLAGE_FILE_FORMAT,
+        name: name,
+        exportedAt: new Date().toISOString(),
+        // Informational only, import rebuilds these from the placed items
+        population: gameState.getPopulation(),
+        unemployedPopulation: gameState.getUnemployedPopulation(),
+        employedPopulation: gameState.getEmployedPopulation(),
+        ...gameState.serializeState()
+    };
+    return JSON.stringify(file, null, 2);
+}
+
+/**
+ * Get a file name for a village export
+ * @param {string} name - Village name
+ * @returns {string} File name ending with VILLAGE_FILE_EXTENSION
+ */
+export function getVillageFileName(name) {
+    const slug = (name || 'village')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+    return `${slug || 'village'}${VILLAGE_FILE_EXTENSION}`;
+}
+
+/**
+ * Check a single loan against the loan offers
+ * @param {*} loan - Loan from the file
+ * @returns {boolean} True if the loan is valid
+ */
+function isValidLoan(loan) {
+    return !!loan && typeof loan === 'object' &&
+        Number.isInteger(loan.id) && loan.id >= 1 &&
+        getLoanOffer(loan.offerId) !== null &&
+        Number.isFinite(loan.amount) && loan.amount > 0 &&
+        Number.isFinite(loan.owed) && loan.owed >= 0 &&
+        Number.isFinite(loan.installment) && loan.installment > 0 &&
+        Number.isInteger(loan.dayTaken) && loan.dayTaken >= 1;
+}
+
+/**
+ * Check a single timed event effect against the event data
+ * @param {*} effect - Effect from the file
+ * @returns {boolean} True if the effect is valid
+ */
+function isValidEventEffect(effect) {
+    return !!effect && typeof effect === 'object' &&
+        getEventData(effect.eventId) !== null &&
+        isEventModifier(effect.modifier) &&
+        Number.isFinite(effect.amount) &&
+        Number.isInteger(effect.daysLeft) && effect.daysLeft >= 1;
+}
+
+/**
+ * Check a single placed item against item data and grid bounds
+ * @param {*} item - Item from the file
+ * @returns {string|null} Problem description or null if the item is valid
+ */
+function validateItem(item) {
+    if (!item || typeof item !== 'object') {
+        return 'is not an item';
+    }
+
+    if (!getCategory(item.type)) {
+        return `has unknown type "${item.type}"`;
+    }
+    if (!hasItem(item.type, item.id)) {
+        return `is an unknown ${item.type} "${item.id}"`;
+    }
+
+    if (!Number.isInteger(item.isoX) || !Number.isInteger(item.isoY)) {
+        return 'has no valid position';
+    }
+    if (item.flipped !== undefined && typeof item.flipped !== 'boolean') {
+        return 'has an invalid rotation';
+    }
+
+    // Multi-tile items must fit on the map with their whole footprint
+    const { width, depth } = getFootprint(item.type, item.id, item.flipped);
+    if (item.isoX < -CONFIG.GRID_SIZE || item.isoX + width - 1 > CONFIG.GRID_SIZE ||
+        item.isoY < -CONFIG.GRID_SIZE || item.isoY + depth - 1 > CONFIG.GRID_SIZE) {
+        return `is outside the map at (${item.isoX}, ${item.isoY})`;
+    }
+    for (const field of ['residents', 'workers']) {
+        if (item[field] !== undefined && (!Number.isInteger(item[field]) || item[field] < 0)) {
+            return `has an invalid ${field} count`;
+        }
+    }
+    if (item.harvestProgress !== undefined && (!Number.isFinite(item.harvestProgress) || item.harvestProgress < 0)) {
+        return 'has an invalid harvest progress';
+    }
+
+    return null;
+}
+
+/**
+ * Parse and validate a village file
+ * @param {string} text - File contents
+ * @returns {Object} State in the current save format, ready for GameState.importState
+ * @throws {VillageFileError} If the file is malformed or doesn't match this game's items and map
+ * @throws {SaveVersionError} If the file was exported by a newer version of the game
+ */
+export function parseVillageFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (error) {
+        throw new VillageFileError('This file is not valid JSON');
+    }
+
+    if (!file || typeof file !== 'object' || file.format !== VILLAGE_FILE_FORMAT) {
+        throw new VillageFileError('This file is not a Folkrow village');
+    }
+
+    // Migrations read every placed item, so a list with anything else in it can't be migrated
+    if (Array.isArray(file.placedItems) &&
+        !file.placedItems.every(item => item && typeof item === 'object' && !Array.isArray(item))) {
+        throw new VillageFileError('The village placed items list is invalid');
+    }
+
+    let state;
+    try {
+        state = migrateSave(file);
+    } catch (error) {
+        // A file too new for this game says so, anything else broken in it is just not a village
+        if (error instanceof SaveVersionError) {
+            throw error;
+        }
+        throw new VillageFileError('This file is not a valid Folkrow village');
+    }
+
+    const missingItemPacks = getMissingItemPacks(state.itemPacks);
+    if (missingItemPacks.length > 0) {
+        const names = missingItemPacks.map(pack => `"${pack.name}"`).join(', ');
+        throw new VillageFileError(`This village uses item packs that aren't installed: ${names}`);
+    }
+
+    if (!Array.isArray(state.placedItems)) {
+        throw new VillageFileError('The village has no placed items list');
+    }
+    if (!Number.isFinite(state.budget)) {
+        throw new VillageFileError('The village budget is missing or invalid');
+    }
+    const cycleLength = CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH;
+    if (!Number.isInteger(state.currentTick) || state.currentTick < 0 || state.currentTick >= cycleLength) {
+        throw new VillageFileError('The village time of day is invalid');
+    }
+    if (!Number.isInteger(state.day) || state.day < 1) {
+        throw new VillageFileError('The village day count is invalid');
+    }
+    if (!state.resources || typeof state.resources !== 'object' || Array.isArray(state.resources)) {
+        throw new VillageFileError('The village stockpile is missing or invalid');
+    }
+    Object.entries(state.resources).forEach(([resourceId, amount]) => {
+        if (!hasResource(resourceId)) {
+            throw new VillageFileError(`The village stockpile has unknown resource "${resourceId}"`);
+        }
+        if (!Number.isFinite(amount) || amount < 0) {
+            throw new VillageFileError(`The village stockpile has an invalid amount of ${resourceId}`);
+        }
+    });
+    if (!state.migration || typeof state.migration !== 'object' ||
+        !['arrivals', 'departures', 'unemployedTicks'].every(field => Number.isFinite(state.migration[field]) && state.migration[field] >= 0)) {
+        throw new VillageFileError('The village migration state is missing or invalid');
+    }
+    if (!state.food || typeof state.food !== 'object' ||
+        !Number.isFinite(state.food.supplied) || state.food.supplied < 0 || state.food.supplied > 1 ||
+        !Number.isFinite(state.food.hungryTicks) || state.food.hungryTicks < 0) {
+        throw new VillageFileError('The village food state is missing or invalid');
+    }
+    if (!Number.isFinite(state.taxRate) || state.taxRate < 0 || state.taxRate > CONFIG.TAX_MAX_RATE) {
+        throw new VillageFileError('The village rent is invalid');
+    }
+    if (!Array.isArray(state.loans) || !state.loans.every(isValidLoan)) {
+        throw new VillageFileError('The village loans are missing or invalid');
+    }
+    if (!state.debt || typeof state.debt !== 'object' ||
+        !Number.isInteger(state.debt.days) || state.debt.days < 0 ||
+        typeof state.debt.bankrupt !== 'boolean' ||
+        !Number.isInteger(state.debt.bailouts) || state.debt.bailouts < 0) {
+        throw new VillageFileError('The village debt state is missing or invalid');
+    }
+    if (!state.season || typeof state.season !== 'object' || !getSeasonData(state.season.id) ||
+        !Number.isInteger(state.season.day) || state.season.day < 1) {
+        throw new VillageFileError('The village season is missing or invalid');
+    }
+    if (!state.weather || typeof state.weather !== 'object' || !getWeatherData(state.weather.id) ||
+        !Number.isInteger(state.weather.ticksLeft) || state.weather.ticksLeft < 1 ||
+        !Array.isArray(state.weather.forecast) || !state.weather.forecast.every(weatherId => getWeatherData(weatherId))) {
+        throw new VillageFileError('The village weather is missing or invalid');
+    }
+    if (!state.villageEvents || typeof state.villageEvents !== 'object' ||
+        (state.villageEvents.pending !== null && !getEventData(state.villageEvents.pending)) ||
+        !Array.isArray(state.villageEvents.effects) || !state.villageEvents.effects.every(isValidEventEffect)) {
+        throw new VillageFileError('The village events are missing or invalid');
+    }
+
+    const errors = [];
+    const occupied = new Set();
+    state.placedItems.forEach((item, index) => {
+        let problem = validateItem(item);
+        if (!problem) {
+            const { width, depth } = getFootprint(item.type, item.id, item.flipped);
+            for (let dx = 0; dx < width && !problem; dx++) {
+                for (let dy = 0; dy < depth && !problem; dy++) {
+                    const key = `${item.isoX + dx},${item.isoY + dy}`;
+                    if (occupied.has(key)) {
+                        problem = `overlaps another item at (${item.isoX + dx}, ${item.isoY + dy})`;
+                    }
+                    occupied.add(key);
+                }
+            }
+        }
+        if (problem) {
+            errors.push(`item ${index + 1} ${problem}`);
+        }
+    });
+
+    if (errors.length > 0) {
+        const shown = errors.slice(0, MAX_REPORTED_ERRORS).join('; ');
+        const more = errors.length > MAX_REPORTED_ERRORS ? ` (and ${errors.length - MAX_REPORTED_ERRORS} more)` : '';
+        throw new VillageFileError(`Invalid village: ${shown}${more}`);
+    }
+
+    return state;
+}
@@ -0,0 +1,160 @@
+import { hasItem } from './itemRegistry.js';
+import { getSeasonData } from './seasonData.js';
+
+// Events that can happen to the village, one may be drawn each morning (see CONFIG.EVENT_DAILY_CHANCE)
+// Properties:
+//   - name: Display name shown in the UI
+//   - icon: Emoji shown next to the name
+//   - description: Text of the event dialog
+//   - weight: How likely the event is drawn compared to the others that can happen
+//   - conditions: Optional requirements for the event to happen, all must be met
+//     (e.g., { population: 10, items: { building: ['shop', 'campfire'], decoration: ['bench'] }, seasons: ['summer'] }),
+//     items lists IDs by item type and at least one of each has to be placed
+//   - choices: What the player can do about it, each with (one should be free, the dialog can't be dismissed):
+//     - label: Button text
+//     - cost: Optional money paid when chosen, the choice is unavailable if the village can't afford it
+//     - resourceCost: Optional resources paid when chosen (e.g., { grain: 20 })
+//     - budget: Optional money gained (or lost when negative) at once
+//     - resources: Optional resources gained (or lost when negative) at once, down to an empty store
+//     - effects: Optional timed effects, each { modifier, amount, days } with a modifier from EVENT_MODIFIERS,
+//       lasting that many mornings
+//
+// Item and season IDs are those of itemData.js and seasonData.js, unknown ones are rejected when this file loads
+
+// What timed event effects can change:
+//   - happiness: Points every house gets
+//   - production: Share added to every building's output (0.2 = +20%, -0.15 = -15%)
+//   - income: Money per interval (negative to charge it)
+export const EVENT_MODIFIERS = ['happiness', 'production', 'income'];
+
+export const EVENT_DATA = {
+    caravan: {
+        name: 'Merchant caravan',
+        icon: '🐪',
+        description: 'A caravan of merchants has stopped by the road, their carts heavy with grain and their purses heavy with coin.',
+        weight: 3,
+        conditions: { population: 8, items: { building: ['shop'] } },
+        choices: [
+            {
+                label: 'Let them trade in the shops',
+                cost: 150,
+                effects: [{ modifier: 'income', amount: 5, days: 2 }]
+            },
+            {
+                label: 'Buy their grain',
+                cost: 200,
+                resources: { grain: 40 }
+            },
+            {
+                label: 'Wave them on'
+            }
+        ]
+    },
+    festival: {
+        name: 'Festival at the campfire',
+        icon: '🎉',
+        description: 'The villagers want to gather around the campfire for a night of music, dancing and far too much bread.',
+        weight: 2,
+        conditions: { population: 6, items: { building: ['campfire'] } },
+        choices: [
+            {
+                label: 'Throw a feast',
+                cost: 250,
+                resourceCost: { grain: 15 },
+                effects: [{ modifier: 'happiness', amount: 15, days: 2 }]
+            },
+            {
+                label: 'A modest gathering',
+                cost: 80,
+                effects: [{ modifier: 'happiness', amount: 6, days: 1 }]
+            },
+            {
+                label: 'Not this year',
+                effects: [{ modifier: 'happiness', amount: -5, days: 1 }]
+            }
+        ]
+    },
+    badHarvest: {
+        name: 'Bad harvest',
+        icon: '🥀',
+        description: 'Blight has crept into the fields. The grain that made it to the store is already spoiling.',
+        weight: 2,
+        conditions: { items: { building: ['wheat'] }, seasons: ['summer', 'autumn'] },
+        choices: [
+            {
+                label: 'Buy fresh seed from the neighbours',
+                cost: 300,
+                resources: { grain: -10 }
+            },
+            {
+                label: 'Make do',
+                resources: { grain: -25 },
+                effects: [
+                    { modifier: 'happiness', amount: -8, days: 2 },
+                    { modifier: 'production', amount: -0.15, days: 2 }
+                ]
+            }
+        ]
+    },
+    travellingBlacksmith: {
+        name: 'Travelling blacksmith',
+        icon: '⚒️',
+        description: 'A travelling smith offers to sharpen every blade and mend every hinge in the village, for a price.',
+        weight: 2,
+        conditions: { population: 12 },
+        choices: [
+            {
+                label: 'Mend everything',
+                cost: 400,
+                effects: [{ modifier: 'production', amount: 0.2, days: 3 }]
+            },
+            {
+                label: 'Buy a crate of tools',
+                cost: 250,
+                resources: { tools: 10 }
+            },
+            {
+                label: 'No, thank you'
+            }
+        ]
+    }
+};
+
+// A condition on an item or season that doesn't exist would quietly keep its event from ever happening
+Object.entries(EVENT_DATA).forEach(([eventId, event]) => {
+    const conditions = event.conditions || {};
+    Object.entries(conditions.items || {}).forEach(([type, ids]) => {
+        ids.filter(id => !hasItem(type, id)).forEach(id => {
+            throw new Error(`Event "${eventId}" requires unknown ${type} "${id}"`);
+        });
+    });
+    (conditions.seasons || []).filter(seasonId => !getSeasonData(seasonId)).forEach(seasonId => {
+        throw new Error(`Event "${eventId}" happens in unknown season "${seasonId}"`);
+    });
+});
+
+/**
+ * Get all village event IDs
+ * @returns {Array<string>} Event IDs
+ */
+export function getEventIds() {
+    return Object.keys(EVENT_DATA);
+}
+
+/**
+ * Get village event data
+ * @param {string} eventId - Event ID
+ * @returns {Object|null} Event data or null if not found
+ */
+export function getEventData(eventId) {
+    return Object.prototype.hasOwnProperty.call(EVENT_DATA, eventId) ? EVENT_DATA[eventId] : null;
+}
+
+/**
+ * Check whether timed event effects can change something
+ * @param {string} modifier - Modifier ID
+ * @returns {boolean} True if the modifier is listed in EVENT_MODIFIERS
+ */
+export function isEventModifier(modifier) {
+    return EVENT_MODIFIERS.includes(modifier);
+}
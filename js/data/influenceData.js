@@ -0,0 +1,38 @@
+// Influence modifiers items can spread to the tiles around them (see the influence property in itemData.js)
+// Properties:
+//   - name: Display name shown in the UI
+//   - appliesTo: Which items pick the modifier up: 'houses' (items housing villagers) or 'workplaces'
+//     (buildings with income, resources or workers)
+//   - format: How values are shown: 'percent' (0.1 = +10%) or 'number'
+//   - max: Optional cap on the total one item can get from all sources around it
+//   - min: Optional floor for modifiers that can be negative, such as the happiness taken by noisy workshops
+//
+// Values from several sources reaching the same item add up
+
+export const INFLUENCE_MODIFIERS = {
+    happiness: {
+        name: 'Happiness',
+        appliesTo: 'houses',
+        format: 'number',
+        max: 30,
+        min: -30
+    },
+    housing: {
+        name: 'Extra residents',
+        appliesTo: 'houses',
+        format: 'number',
+        max: 2
+    },
+    production: {
+        name: 'Production',
+        appliesTo: 'workplaces',
+        format: 'percent',
+        max: 0.5
+    },
+    nightProduction: {
+        name: 'Night production',
+        appliesTo: 'workplaces',
+        format: 'percent',
+        max: 0.7
+    }
+};
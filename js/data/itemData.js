@@ -1,8 +1,11 @@
 // Building data definitions
 // Properties:
 //   - name: Display name shown in the UI
+//   - description: Optional text shown in the sidebar info panel
+//   - hoverText: Optional text shown in the tooltip when hovering the placed item
 //   - height: Building height in pixels (affects sprite scaling)
-//   - width: Building width in tiles (currently always 1)
+//   - width: Footprint size in tiles along isoX (default: 1)
+//   - depth: Footprint size in tiles along isoY (default: 1), width and depth swap when the item is rotated
 //   - cost: Purchase cost
 //   - demolitionCostMultiplier: Multiplier for demolition cost (default: 0.5 = half price)
 //   - sprite: Optional path to sprite file (PNG or WebP)
@@ -10,8 +13,26 @@
 //   - population: Number of villagers this building houses (for houses)
 //   - incomeAmount: Optional income generated per interval (for income-generating buildings)
 //   - expenseAmount: Optional maintenance cost per interval (for buildings that require maintenance)
+//   - produces: Optional resources one batch adds to the stockpile (e.g., { grain: 1 }), scaled like income
+//   - consumes: Optional resources one batch takes from the stockpile, output and income drop when they run short
+//     and the building stalls when one is missing entirely (this is how production chains are linked)
+//   - throughput: Optional number of batches worked through per interval at full production (default: 1)
+//   - resourceCost: Optional resources spent on placement on top of cost (e.g., { stone: 2 })
 //   - allowAdjacentPlacement: If true, allows placing items of the same type/id next to each other (default: false)
 //   - requires: Optional requirements object (e.g., { population: 10, unemployedPopulation: 3 })
+//   - removableBy: Optional list of building IDs, at least one of them must be built to demolish the item
+//   - harvest: Optional settings for buildings that harvest nearby items listing them in removableBy
+//     (e.g., { radius: 4, fullOutputTrees: 6, ticksPerHarvest: 12 }), production and income scale with reachable trees
+//   - harvestInto: Optional ID of the item (same type) this item becomes when harvested, e.g. a tree leaves a stump
+//   - harvestYield: Optional number of trees this item counts as for a harvesting building (default: 0)
+//   - influence: Optional effect on nearby items, { radius, modifiers } with modifier IDs from influenceData.js
+//     (e.g., { radius: 2, modifiers: { nightProduction: 0.3 } } lets nearby workplaces keep working at night,
+//     a negative happiness modifier makes a nuisance)
+//   - happiness: Optional happiness houses next to this road get, only the best road around a house counts (roads only)
+//
+// Resource IDs are defined in resourceData.js
+// Item types and their data tables are listed in itemRegistry.js, look items up through it
+// Item packs (js/core/itemPacks.js) use the same properties, update ITEM_PROPERTIES there when adding one
 
 export const BUILDING_DATA = {
     house1: { 
@@ -37,19 +58,22 @@ export const BUILDING_DATA = {
         offsetY: 0,
         population: 4,
         expenseAmount: 2.2,
+        resourceCost: { stone: 4 },
         requires: {
             population: 8,
         }
     },
     timberman: {
         name: 'Timberman',
-        description: 'Turns trees into planks and planks into pure profit',
+        description: 'Fells the trees around it and turns them into planks and pure profit',
         height: 20,
         width: 1,
         cost: 1000,
         demolitionCostMultiplier: 0.3,
         incomeAmount: 14,
         expenseAmount: 5,
+        produces: { planks: 1 },
+        harvest: { radius: 5, fullOutputTrees: 8, ticksPerHarvest: 18 },
         sprite: 'sprites/timberman.png',
         offsetY: 0,
         requires: {
@@ -69,6 +93,9 @@ export const BUILDING_DATA = {
         offsetY: 0,
         incomeAmount: 26,
         expenseAmount: 9,
+        consumes: { wood: 1, stone: 1 },
+        produces: { tools: 0.5 },
+        influence: { radius: 2, modifiers: { happiness: -15 } },
         requires: {
             population: 24,
             unemployedPopulation: 4
@@ -84,6 +111,7 @@ export const BUILDING_DATA = {
         sprite: 'sprites/wheat.png',
         incomeAmount: 3,
         expenseAmount: 1,
+        produces: { grain: 1 },
         offsetY: 4,
         allowAdjacentPlacement: true,
         requires: {
@@ -107,9 +135,30 @@ export const BUILDING_DATA = {
             unemployedPopulation: 2
         }
     },
+    market: {
+        name: 'Market',
+        description: 'Two rows of stalls, a hundred prices and one very loud cheese seller',
+        height: 20,
+        width: 2,
+        depth: 1,
+        cost: 1500,
+        demolitionCostMultiplier: 0.3,
+        sprite: 'sprites/market.png',
+        offsetY: 5,
+        incomeAmount: 24,
+        expenseAmount: 6,
+        consumes: { tools: 0.5 },
+        resourceCost: { planks: 4 },
+        influence: { radius: 2, modifiers: { happiness: 5 } },
+        requires: {
+            population: 20,
+            unemployedPopulation: 3,
+            building: 'shop'
+        }
+    },
     woodcutter: { 
         name: 'Woodcutter',
-        description: 'Chopping down trees and clearing paths',
+        description: 'Chopping down the trees around it and clearing paths',
         height: 20, 
         width: 1,
         cost: 170,
@@ -117,6 +166,8 @@ export const BUILDING_DATA = {
         sprite: 'sprites/woodcutter.png',
         offsetY: 7,
         expenseAmount: 0.3,
+        produces: { wood: 2 },
+        harvest: { radius: 4, fullOutputTrees: 6, ticksPerHarvest: 12 },
         requires: {
             unemployedPopulation: 1
         },
@@ -132,11 +183,69 @@ export const BUILDING_DATA = {
         sprite: 'sprites/stonecutter.png',
         offsetY: -2,
         expenseAmount: 0.3,
+        produces: { stone: 1 },
         requires: {
             unemployedPopulation: 1
         },
         // allows to remove stones and boulders, allows to place gravel and stone roards
     },
+    mill: {
+        name: 'Mill',
+        description: 'Grinds the fields\' grain into flour, one creak at a time',
+        height: 26,
+        width: 1,
+        cost: 450,
+        demolitionCostMultiplier: 0.3,
+        sprite: 'sprites/mill.png',
+        offsetY: 0,
+        incomeAmount: 2,
+        expenseAmount: 1.5,
+        consumes: { grain: 2 },
+        produces: { flour: 1 },
+        throughput: 2,
+        requires: {
+            population: 8,
+            unemployedPopulation: 2
+        }
+    },
+    bakery: {
+        name: 'Bakery',
+        description: 'Warm bread at dawn and a queue out the door by noon',
+        height: 20,
+        width: 1,
+        cost: 650,
+        demolitionCostMultiplier: 0.3,
+        sprite: 'sprites/bakery.png',
+        offsetY: 5,
+        incomeAmount: 12,
+        expenseAmount: 3,
+        consumes: { flour: 1 },
+        produces: { bread: 2 },
+        requires: {
+            population: 12,
+            unemployedPopulation: 2
+        }
+    },
+    mason: {
+        name: 'Mason',
+        description: 'Squares rough stone into blocks fit for proper walls',
+        height: 20,
+        width: 1,
+        cost: 550,
+        demolitionCostMultiplier: 0.3,
+        sprite: 'sprites/mason.png',
+        offsetY: 0,
+        incomeAmount: 9,
+        expenseAmount: 2,
+        consumes: { stone: 2 },
+        produces: { blocks: 1 },
+        influence: { radius: 1, modifiers: { happiness: -6 } },
+        requires: {
+            population: 10,
+            unemployedPopulation: 2,
+            building: 'stonecutter'
+        }
+    },
     campfire: { 
         name: 'Campfire',
         description: 'Stories get taller as the fire burns brighter',
@@ -147,7 +256,8 @@ export const BUILDING_DATA = {
         sprite: 'sprites/campfire.png',
         offsetY: 10,
         expenseAmount: 1,
-        allowAdjacentPlacement: true
+        allowAdjacentPlacement: true,
+        influence: { radius: 2, modifiers: { happiness: 8, nightProduction: 0.15 } }
     },
     well: { 
         name: 'Well',
@@ -159,7 +269,8 @@ export const BUILDING_DATA = {
         sprite: 'sprites/well.png',
         offsetY: 4,
         expenseAmount: 1,
-        allowAdjacentPlacement: true
+        allowAdjacentPlacement: true,
+        influence: { radius: 3, modifiers: { happiness: 10, housing: 1 } }
     }
 };
 
@@ -175,7 +286,9 @@ export const DECORATION_DATA = {
         demolitionCostMultiplier: 0.2,
         allowAdjacentPlacement: true,
         sprite: 'sprites/tree.png',
-        // requires a woodcutter or timberman to remove
+        removableBy: ['woodcutter', 'timberman'],
+        harvestInto: 'stump',
+        harvestYield: 1
     },
     pine: { 
         name: 'Pine Tree',
@@ -186,7 +299,9 @@ export const DECORATION_DATA = {
         demolitionCostMultiplier: 0.2,
         allowAdjacentPlacement: true,
         sprite: 'sprites/pine.png',
-        // requires a woodcutter or timberman to remove
+        removableBy: ['woodcutter', 'timberman'],
+        harvestInto: 'stump',
+        harvestYield: 1
     },
     stump: { 
         name: 'Stump',
@@ -197,7 +312,8 @@ export const DECORATION_DATA = {
         demolitionCostMultiplier: 0.8,
         allowAdjacentPlacement: false,
         sprite: 'sprites/stump.png',
-        // requires a woodcutter or timberman to remove
+        removableBy: ['woodcutter', 'timberman'],
+        harvestInto: 'roots'
     },
     roots: { 
         name: 'Roots',
@@ -208,7 +324,7 @@ export const DECORATION_DATA = {
         demolitionCostMultiplier: 0.8,
         allowAdjacentPlacement: false,
         sprite: 'sprites/roots.png',
-        // requires a woodcutter or timberman to remove
+        removableBy: ['woodcutter', 'timberman']
     },
     rocks: { 
         name: 'Rocks',
@@ -219,6 +335,7 @@ export const DECORATION_DATA = {
         demolitionCostMultiplier: 0.8,
         allowAdjacentPlacement: true,
         sprite: 'sprites/rocks.png',
+        removableBy: ['stonecutter']
     },
     boulder: { 
         name: 'Boulder',
@@ -229,6 +346,7 @@ export const DECORATION_DATA = {
         demolitionCostMultiplier: 0.8,
         allowAdjacentPlacement: true,
         sprite: 'sprites/boulder.png',
+        removableBy: ['stonecutter']
     },
     bush: { 
         name: 'Bush',
@@ -246,7 +364,8 @@ export const DECORATION_DATA = {
         demolitionCostMultiplier: 0.3,
         allowAdjacentPlacement: true,
         offsetY: 5,
-        sprite: 'sprites/lamp.png'
+        sprite: 'sprites/lamp.png',
+        influence: { radius: 2, modifiers: { nightProduction: 0.3 } }
     },
     bench: {
         name: 'Bench',
@@ -255,7 +374,8 @@ export const DECORATION_DATA = {
         demolitionCostMultiplier: 0.3,
         allowAdjacentPlacement: true,
         offsetY: 5,
-        sprite: 'sprites/bench.png'
+        sprite: 'sprites/bench.png',
+        influence: { radius: 1, modifiers: { happiness: 4 } }
     }
 };
 
@@ -281,6 +401,8 @@ export const ROAD_DATA = {
         offsetY: 10,
         allowAdjacentPlacement: true,
         expenseAmount: 0.1,
+        resourceCost: { stone: 1 },
+        happiness: 3,
         sprite: 'sprites/gravel.png',
         requires: {
             building: 'stonecutter'
@@ -295,6 +417,8 @@ export const ROAD_DATA = {
         offsetY: 10,
         allowAdjacentPlacement: true,
         expenseAmount: 0.3,
+        resourceCost: { blocks: 1 },
+        happiness: 8,
         sprite: 'sprites/stone.png',
         requires: {
             building: 'stonecutter'
@@ -309,6 +433,8 @@ export const ROAD_DATA = {
         offsetY: 10,
         allowAdjacentPlacement: true,
         expenseAmount: 0.3,
+        resourceCost: { wood: 1 },
+        happiness: 5,
         sprite: 'sprites/planks.png',
         requires: {
             building: 'woodcutter'
@@ -0,0 +1,615 @@
+import { CONFIG } from '../config.js';
+import { BUILDING_DATA, DECORATION_DATA, ROAD_DATA } from './itemData.js';
+import { RESOURCE_DATA } from './resourceData.js';
+import { INFLUENCE_MODIFIERS } from './influenceData.js';
+import { EventEmitter } from '../core/EventEmitter.js';
+
+// Item categories keyed by item type
+// Properties:
+//   - label: Display name of the category
+//   - items: Item data table of the category (id -> item data), built-in items first, then item pack items
+//   - needsRoadAccess: If true, items of this category must be placed next to a road
+const CATEGORIES = {
+    building: {
+        label: 'Buildings',
+        items: { ...BUILDING_DATA },
+        needsRoadAccess: true
+    },
+    decoration: {
+        label: 'Decorations',
+        items: { ...DECORATION_DATA },
+        needsRoadAccess: false
+    },
+    road: {
+        label: 'Roads',
+        items: { ...ROAD_DATA },
+        needsRoadAccess: false
+    }
+};
+
+// Registered item packs keyed by pack ID ({ id, name, version, items })
+const packs = new Map();
+
+// Item key ("type:id") -> ID of the pack that defined the item (built-in items aren't listed)
+const itemPackIds = new Map();
+
+// Emits 'itemsChanged' {} whenever item packs add or remove items
+const events = new EventEmitter();
+
+// Fraction of the cost paid to demolish an item without demolitionCostMultiplier
+const DEFAULT_DEMOLITION_COST_MULTIPLIER = 0.5;
+
+/**
+ * Get all item types, in sidebar order
+ * @returns {Array<string>} Item types
+ */
+export function getItemTypes() {
+    return Object.keys(CATEGORIES);
+}
+
+/**
+ * Get a category definition
+ * @param {string} type - Item type
+ * @returns {Object|null} Category or null if the type is unknown
+ */
+export function getCategory(type) {
+    return Object.prototype.hasOwnProperty.call(CATEGORIES, type) ? CATEGORIES[type] : null;
+}
+
+/**
+ * Check whether an item exists
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {boolean} True if the item is defined
+ */
+export function hasItem(type, id) {
+    const category = getCategory(type);
+    return !!category && Object.prototype.hasOwnProperty.call(category.items, id);
+}
+
+/**
+ * Get item data for any item type
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {Object|null} Item data or null if not found
+ */
+export function getItemData(type, id) {
+    return hasItem(type, id) ? getCategory(type).items[id] : null;
+}
+
+/**
+ * Get all items of a category
+ * @param {string} type - Item type
+ * @returns {Array<{id: string, data: Object}>} Items in definition order
+ */
+export function getItemsOfCategory(type) {
+    const category = getCategory(type);
+    if (!category) {
+        return [];
+    }
+    return Object.entries(category.items).map(([id, data]) => ({ id, data }));
+}
+
+/**
+ * Get every item of every category
+ * @returns {Array<{type: string, id: string, data: Object}>} All items
+ */
+export function getAllItems() {
+    return getItemTypes().flatMap(type =>
+        getItemsOfCategory(type).map(({ id, data }) => ({ type, id, data }))
+    );
+}
+
+/**
+ * Get the display name of an item
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {string} Item name, or the ID if the item is unknown
+ */
+export function getItemName(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.name) || id;
+}
+
+/**
+ * Get the cost of an item
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Cost, or 0 if the item is unknown or free
+ */
+export function getItemCost(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.cost) || 0;
+}
+
+/**
+ * Get the fraction of the cost paid to demolish an item
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Demolition cost multiplier
+ */
+export function getDemolitionCostMultiplier(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.demolitionCostMultiplier) ?? DEFAULT_DEMOLITION_COST_MULTIPLIER;
+}
+
+/**
+ * Get the size of an item's footprint in tiles
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @param {boolean} flipped - Whether the item is rotated
+ * @returns {{width: number, depth: number}} Tiles along isoX (width) and isoY (depth)
+ */
+export function getFootprint(type, id, flipped = false) {
+    const itemData = getItemData(type, id);
+    const width = (itemData && itemData.width) || 1;
+    const depth = (itemData && itemData.depth) || 1;
+    // Rotating turns the footprint a quarter, so its sides swap
+    return flipped ? { width: depth, depth: width } : { width, depth };
+}
+
+/**
+ * Check whether items of the same kind may be placed next to each other
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {boolean} True if adjacent placement is allowed
+ */
+export function allowsAdjacentPlacement(type, id) {
+    const itemData = getItemData(type, id);
+    return !!itemData && itemData.allowAdjacentPlacement === true;
+}
+
+/**
+ * Check whether items of a category must be placed next to a road
+ * @param {string} type - Item type
+ * @returns {boolean} True if road access is required
+ */
+export function needsRoadAccess(type) {
+    const category = getCategory(type);
+    return !!category && category.needsRoadAccess === true;
+}
+
+/**
+ * Get the requirements for placing an item
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {Object|null} Requirements object or null if the item has none
+ */
+export function getRequirements(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.requires) || null;
+}
+
+/**
+ * Get the income an item generates per interval at full production
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Income amount (0 if the item generates none)
+ */
+export function getIncomeAmount(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.incomeAmount) || 0;
+}
+
+/**
+ * Check whether an item generates income
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {boolean} True if the item has income
+ */
+export function hasIncome(type, id) {
+    return getIncomeAmount(type, id) > 0;
+}
+
+/**
+ * Get the maintenance an item costs per interval
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Expense amount (0 if the item costs nothing to keep)
+ */
+export function getExpenseAmount(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.expenseAmount) || 0;
+}
+
+/**
+ * Get how many batches of its recipe an item works through per interval at full production
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Batches per interval (default: 1)
+ */
+export function getThroughput(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.throughput) || 1;
+}
+
+/**
+ * Scale a recipe's resource amounts by an item's throughput
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @param {Object|undefined} amounts - Resource ID -> amount per batch
+ * @returns {Object} Resource ID -> amount per interval
+ */
+function scaleByThroughput(type, id, amounts) {
+    const throughput = getThroughput(type, id);
+    const scaled = {};
+    Object.entries(amounts || {}).forEach(([resourceId, amount]) => {
+        scaled[resourceId] = amount * throughput;
+    });
+    return scaled;
+}
+
+/**
+ * Get the resources an item produces per interval at full production
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {Object} Resource ID -> amount (empty if the item produces nothing)
+ */
+export function getProduction(type, id) {
+    const itemData = getItemData(type, id);
+    return scaleByThroughput(type, id, itemData && itemData.produces);
+}
+
+/**
+ * Get the resources an item consumes per interval at full production
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {Object} Resource ID -> amount (empty if the item needs no input)
+ */
+export function getConsumption(type, id) {
+    const itemData = getItemData(type, id);
+    return scaleByThroughput(type, id, itemData && itemData.consumes);
+}
+
+/**
+ * Get the buildings that produce a resource
+ * @param {string} resourceId - Resource ID
+ * @returns {Array<string>} Building IDs, in sidebar order
+ */
+export function getProducersOf(resourceId) {
+    return getItemsOfCategory('building')
+        .filter(({ id }) => getProduction('building', id)[resourceId] > 0)
+        .map(({ id }) => id);
+}
+
+/**
+ * Check whether an item produces or consumes resources
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {boolean} True if the item takes part in the resource economy
+ */
+export function hasResourceFlow(type, id) {
+    return Object.keys(getProduction(type, id)).length > 0 || Object.keys(getConsumption(type, id)).length > 0;
+}
+
+/**
+ * Get the resources it takes to build an item, on top of its money cost
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {Object} Resource ID -> amount (empty if the item only costs money)
+ */
+export function getResourceCost(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.resourceCost) || {};
+}
+
+/**
+ * Get all resource IDs, in stats panel order
+ * @returns {Array<string>} Resource IDs
+ */
+export function getResourceIds() {
+    return Object.keys(RESOURCE_DATA);
+}
+
+/**
+ * Check whether a resource exists
+ * @param {string} resourceId - Resource ID
+ * @returns {boolean} True if the resource is defined
+ */
+export function hasResource(resourceId) {
+    return Object.prototype.hasOwnProperty.call(RESOURCE_DATA, resourceId);
+}
+
+/**
+ * Get resource data
+ * @param {string} resourceId - Resource ID
+ * @returns {Object|null} Resource data or null if not found
+ */
+export function getResourceData(resourceId) {
+    return hasResource(resourceId) ? RESOURCE_DATA[resourceId] : null;
+}
+
+/**
+ * Get the display name of a resource
+ * @param {string} resourceId - Resource ID
+ * @returns {string} Resource name, or the ID if the resource is unknown
+ */
+export function getResourceName(resourceId) {
+    const resourceData = getResourceData(resourceId);
+    return resourceData ? resourceData.name : resourceId;
+}
+
+/**
+ * Get the food one unit of a resource gives villagers
+ * @param {string} resourceId - Resource ID
+ * @returns {number} Nutrition (0 if villagers don't eat it)
+ */
+export function getNutrition(resourceId) {
+    const resourceData = getResourceData(resourceId);
+    return resourceData && resourceData.nutrition ? resourceData.nutrition : 0;
+}
+
+/**
+ * Get the resources villagers eat, the most nourishing first
+ * @returns {Array<string>} Food resource IDs
+ */
+export function getFoodIds() {
+    return getResourceIds()
+        .filter(resourceId => getNutrition(resourceId) > 0)
+        .sort((a, b) => getNutrition(b) - getNutrition(a));
+}
+
+/**
+ * Get the number of residents an item houses
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Housing capacity (0 if the item is not a house)
+ */
+export function getHousingCapacity(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.population) || 0;
+}
+
+/**
+ * Get the happiness a road gives the houses next to it
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Happiness points (0 if the item is not a road or gives none)
+ */
+export function getRoadHappiness(type, id) {
+    const itemData = getItemData(type, id);
+    return type === 'road' && itemData && itemData.happiness ? itemData.happiness : 0;
+}
+
+/**
+ * Check whether an item houses people
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {boolean} True if the item is a house
+ */
+export function housesPeople(type, id) {
+    return getHousingCapacity(type, id) > 0;
+}
+
+/**
+ * Get the number of workers an item employs when fully staffed
+ * Staffing comes from the item's unemployedPopulation requirement
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Worker slots (0 if the item employs nobody)
+ */
+export function getWorkerSlots(type, id) {
+    const requirements = getRequirements(type, id);
+    return (requirements && requirements.unemployedPopulation) || 0;
+}
+
+/**
+ * Get the buildings that allow removing an item, any one of them is enough
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {Array<string>} Building IDs (empty if anyone can remove the item)
+ */
+export function getRemovableBy(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.removableBy) || [];
+}
+
+/**
+ * Get how a building harvests the items around it
+ * Missing settings fall back to CONFIG.HARVEST_RADIUS and CONFIG.HARVEST_FULL_OUTPUT_TREES
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {{radius: number, fullOutputTrees: number, ticksPerHarvest: number}|null} Harvest settings or null if the item doesn't harvest
+ */
+export function getHarvest(type, id) {
+    const itemData = getItemData(type, id);
+    if (!itemData || !itemData.harvest) {
+        return null;
+    }
+    return {
+        radius: itemData.harvest.radius || CONFIG.HARVEST_RADIUS,
+        fullOutputTrees: itemData.harvest.fullOutputTrees || CONFIG.HARVEST_FULL_OUTPUT_TREES,
+        ticksPerHarvest: itemData.harvest.ticksPerHarvest || CONFIG.HARVEST_TICKS_PER_HARVEST
+    };
+}
+
+/**
+ * Get the item an item turns into when it is harvested
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {string|null} ID of the next stage (same type) or null if the item can't be harvested
+ */
+export function getHarvestInto(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.harvestInto) || null;
+}
+
+/**
+ * Get how many trees an item counts as for a harvesting building's output
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {number} Tree count (0 for stumps and anything else that is cleared without yield)
+ */
+export function getHarvestYield(type, id) {
+    const itemData = getItemData(type, id);
+    return (itemData && itemData.harvestYield) || 0;
+}
+
+/**
+ * Get the influence an item spreads to the tiles around it
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {{radius: number, modifiers: Object}|null} Radius in tiles from the footprint's edge and
+ *   modifier ID -> value, or null if the item has no influence
+ */
+export function getInfluence(type, id) {
+    const itemData = getItemData(type, id);
+    if (!itemData || !itemData.influence) {
+        return null;
+    }
+    return {
+        radius: itemData.influence.radius || 1,
+        modifiers: itemData.influence.modifiers || {}
+    };
+}
+
+/**
+ * Get all influence modifier IDs
+ * @returns {Array<string>} Modifier IDs
+ */
+export function getInfluenceModifierIds() {
+    return Object.keys(INFLUENCE_MODIFIERS);
+}
+
+/**
+ * Get influence modifier data
+ * @param {string} modifierId - Modifier ID
+ * @returns {Object|null} Modifier data or null if not found
+ */
+export function getInfluenceModifier(modifierId) {
+    return Object.prototype.hasOwnProperty.call(INFLUENCE_MODIFIERS, modifierId) ? INFLUENCE_MODIFIERS[modifierId] : null;
+}
+
+/**
+ * Check whether an item is a workplace that picks up workplace modifiers
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {boolean} True for buildings with income, resources or workers
+ */
+export function isWorkplace(type, id) {
+    return type === 'building' && (hasIncome(type, id) || hasResourceFlow(type, id) || getWorkerSlots(type, id) > 0);
+}
+
+/**
+ * Check whether a modifier applies to an item
+ * @param {string} modifierId - Modifier ID
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {boolean} True if the item picks the modifier up
+ */
+export function isInfluencedBy(modifierId, type, id) {
+    const modifier = getInfluenceModifier(modifierId);
+    if (!modifier) {
+        return false;
+    }
+    return modifier.appliesTo === 'houses' ? housesPeople(type, id) : isWorkplace(type, id);
+}
+
+/**
+ * Get the key used to look up which pack an item belongs to
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {string} Item key
+ */
+function getItemKey(type, id) {
+    return `${type}:${id}`;
+}
+
+/**
+ * Subscribe to changes of the item list (item packs registered or removed)
+ * @param {Function} handler - Called with no arguments after the change
+ * @returns {Function} Call to unsubscribe
+ */
+export function onItemsChanged(handler) {
+    return events.on('itemsChanged', handler);
+}
+
+/**
+ * Add the items of a validated item pack to the registry
+ * Registering a pack again replaces its previous version
+ * @param {Object} pack - Item pack ({ id, name, version, items: { type: { id: data } } })
+ * @throws {Error} If an item ID is already used by the game or another pack
+ */
+export function registerItemPack(pack) {
+    // Check every item first so a conflicting pack adds nothing
+    Object.entries(pack.items).forEach(([type, items]) => {
+        Object.keys(items).forEach(id => {
+            const ownerId = itemPackIds.get(getItemKey(type, id));
+            if (hasItem(type, id) && ownerId !== pack.id) {
+                const owner = ownerId ? `the "${packs.get(ownerId).name}" pack` : 'the game';
+                throw new Error(`${type} "${id}" is already defined by ${owner}`);
+            }
+        });
+    });
+
+    removePackItems(pack.id);
+    Object.entries(pack.items).forEach(([type, items]) => {
+        Object.entries(items).forEach(([id, data]) => {
+            getCategory(type).items[id] = data;
+            itemPackIds.set(getItemKey(type, id), pack.id);
+        });
+    });
+    packs.set(pack.id, pack);
+
+    events.emit('itemsChanged');
+}
+
+/**
+ * Remove an item pack and its items from the registry
+ * @param {string} packId - Pack ID
+ * @returns {boolean} True if the pack was registered
+ */
+export function unregisterItemPack(packId) {
+    if (!packs.has(packId)) {
+        return false;
+    }
+    removePackItems(packId);
+    packs.delete(packId);
+
+    events.emit('itemsChanged');
+    return true;
+}
+
+/**
+ * Remove the items a pack added, keeping the pack itself registered
+ * @param {string} packId - Pack ID
+ */
+function removePackItems(packId) {
+    const pack = packs.get(packId);
+    if (!pack) {
+        return;
+    }
+    Object.entries(pack.items).forEach(([type, items]) => {
+        Object.keys(items).forEach(id => {
+            delete getCategory(type).items[id];
+            itemPackIds.delete(getItemKey(type, id));
+        });
+    });
+}
+
+/**
+ * Get all registered item packs
+ * @returns {Array<Object>} Packs in registration order
+ */
+export function getItemPacks() {
+    return [...packs.values()];
+}
+
+/**
+ * Get a registered item pack
+ * @param {string} packId - Pack ID
+ * @returns {Object|null} Pack or null if it isn't registered
+ */
+export function getItemPack(packId) {
+    return packs.get(packId) || null;
+}
+
+/**
+ * Get the ID of the item pack that defined an item
+ * @param {string} type - Item type
+ * @param {string} id - Item ID
+ * @returns {string|null} Pack ID, or null for built-in and unknown items
+ */
+export function getItemPackId(type, id) {
+    return itemPackIds.get(getItemKey(type, id)) || null;
+}
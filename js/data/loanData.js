@@ -0,0 +1,44 @@
+// Loans the village can take from the Finances panel
+// Properties:
+//   - name: Display name shown in the UI
+//   - amount: Money paid into the budget when the loan is taken
+//   - interest: Share of the amount owed on top of it (0.1 = 10%)
+//   - days: Days over which the loan and its interest are repaid, in equal parts every interval
+
+export const LOAN_OFFERS = {
+    small: {
+        name: 'Small loan',
+        amount: 1000,
+        interest: 0.1,
+        days: 4
+    },
+    village: {
+        name: 'Village loan',
+        amount: 3000,
+        interest: 0.2,
+        days: 8
+    },
+    royal: {
+        name: 'Royal loan',
+        amount: 8000,
+        interest: 0.3,
+        days: 16
+    }
+};
+
+/**
+ * Get all loan offer IDs, smallest first
+ * @returns {Array<string>} Loan offer IDs
+ */
+export function getLoanOfferIds() {
+    return Object.keys(LOAN_OFFERS);
+}
+
+/**
+ * Get loan offer data
+ * @param {string} offerId - Loan offer ID
+ * @returns {Object|null} Loan offer data or null if not found
+ */
+export function getLoanOffer(offerId) {
+    return Object.prototype.hasOwnProperty.call(LOAN_OFFERS, offerId) ? LOAN_OFFERS[offerId] : null;
+}
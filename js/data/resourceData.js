@@ -0,0 +1,44 @@
+// Resource definitions for the village stockpile
+// Properties:
+//   - name: Display name shown in the UI
+//   - icon: Emoji shown next to the amount in the stats panel
+//   - nutrition: Optional food one unit gives villagers, resources with it are eaten (richest first)
+//
+// Items use resource IDs in their produces, consumes and resourceCost properties (see itemData.js)
+
+export const RESOURCE_DATA = {
+    wood: {
+        name: 'Wood',
+        icon: '🪵'
+    },
+    stone: {
+        name: 'Stone',
+        icon: '🪨'
+    },
+    planks: {
+        name: 'Planks',
+        icon: '🪚'
+    },
+    grain: {
+        name: 'Grain',
+        icon: '🌾',
+        nutrition: 1
+    },
+    flour: {
+        name: 'Flour',
+        icon: '🥣'
+    },
+    bread: {
+        name: 'Bread',
+        icon: '🍞',
+        nutrition: 3
+    },
+    blocks: {
+        name: 'Stone blocks',
+        icon: '🧱'
+    },
+    tools: {
+        name: 'Tools',
+        icon: '🔨'
+    }
+};
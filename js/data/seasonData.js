@@ -0,0 +1,77 @@
+// Seasons of the village calendar, in the order they follow each other (the first one starts a new village)
+// Properties:
+//   - name: Display name shown in the UI
+//   - icon: Emoji shown next to the season name
+//   - yields: Optional output multiplier per building ID (e.g., { wheat: 0.5 }), buildings not listed work as usual
+//   - treeGrowth: Trees that grow back for each tree lost in an environment event (fractions are a chance of one more)
+//   - heating: Share of their maintenance houses cost on top of it for heating (0.5 = 50% more)
+//   - ground: Ground color as [red, green, blue]
+//   - weather: Chance of each kind of weather (IDs from weatherData.js), kinds not listed never happen
+//
+// Each season lasts CONFIG.SEASON_LENGTH days, over a year trees grow back as fast as they are lost
+
+export const SEASON_DATA = {
+    spring: {
+        name: 'Spring',
+        icon: '🌱',
+        yields: { wheat: 1 },
+        treeGrowth: 1.75,
+        heating: 0.2,
+        ground: [58, 158, 52],
+        weather: { clear: 0.45, rain: 0.35, storm: 0.05, fog: 0.15 }
+    },
+    summer: {
+        name: 'Summer',
+        icon: '☀️',
+        yields: { wheat: 1.3 },
+        treeGrowth: 1,
+        heating: 0,
+        ground: [34, 139, 34],
+        weather: { clear: 0.65, rain: 0.15, storm: 0.15, fog: 0.05 }
+    },
+    autumn: {
+        name: 'Autumn',
+        icon: '🍂',
+        yields: { wheat: 0.7 },
+        treeGrowth: 0.75,
+        heating: 0.4,
+        ground: [156, 122, 38],
+        weather: { clear: 0.35, rain: 0.3, storm: 0.15, fog: 0.2 }
+    },
+    winter: {
+        name: 'Winter',
+        icon: '❄️',
+        yields: { wheat: 0.2 },
+        treeGrowth: 0.5,
+        heating: 1,
+        ground: [205, 215, 225],
+        weather: { clear: 0.35, snow: 0.45, fog: 0.2 }
+    }
+};
+
+/**
+ * Get all season IDs, in calendar order
+ * @returns {Array<string>} Season IDs
+ */
+export function getSeasonIds() {
+    return Object.keys(SEASON_DATA);
+}
+
+/**
+ * Get season data
+ * @param {string} seasonId - Season ID
+ * @returns {Object|null} Season data or null if not found
+ */
+export function getSeasonData(seasonId) {
+    return Object.prototype.hasOwnProperty.call(SEASON_DATA, seasonId) ? SEASON_DATA[seasonId] : null;
+}
+
+/**
+ * Get the season that follows another one, winter is followed by spring again
+ * @param {string} seasonId - Season ID
+ * @returns {string} Next season ID
+ */
+export function getNextSeasonId(seasonId) {
+    const seasonIds = getSeasonIds();
+    return seasonIds[(seasonIds.indexOf(seasonId) + 1) % seasonIds.length];
+}
@@ -0,0 +1,62 @@
+// Weather the village can get, each season says how likely each kind is (see seasonData.js)
+// Properties:
+//   - name: Display name shown in the UI
+//   - icon: Emoji shown next to the weather name
+//   - yields: Optional output multiplier per building ID (e.g., { wheat: 1.2 }), on top of the season's
+//   - treeFall: Optional chance per interval that the wind knocks down a tree, leaving a stump
+//   - walkSpeed: Optional multiplier on how fast villagers walk (default: 1)
+//   - particles: Optional overlay drawn over the map, { style, count } with style 'rain', 'snow' or 'fog'
+//     and the number of particles on screen at once
+//   - lightning: If true, the overlay flashes now and then (default: false)
+
+export const WEATHER_DATA = {
+    clear: {
+        name: 'Clear',
+        icon: '☀️'
+    },
+    rain: {
+        name: 'Rain',
+        icon: '🌧️',
+        yields: { wheat: 1.25 },
+        walkSpeed: 0.85,
+        particles: { style: 'rain', count: 140 }
+    },
+    storm: {
+        name: 'Storm',
+        icon: '⛈️',
+        yields: { wheat: 1.1 },
+        treeFall: 0.25,
+        walkSpeed: 0.7,
+        particles: { style: 'rain', count: 320 },
+        lightning: true
+    },
+    snow: {
+        name: 'Snow',
+        icon: '🌨️',
+        walkSpeed: 0.5,
+        particles: { style: 'snow', count: 160 }
+    },
+    fog: {
+        name: 'Fog',
+        icon: '🌫️',
+        walkSpeed: 0.9,
+        particles: { style: 'fog', count: 14 }
+    }
+};
+
+/**
+ * Get all weather IDs
+ * @returns {Array<string>} Weather IDs
+ */
+export function getWeatherIds() {
+    return Object.keys(WEATHER_DATA);
+}
+
+/**
+ * Get weather data
+ * @param {string} weatherId - Weather ID
+ * @returns {Object|null} Weather data or null if not found
+ */
+export function getWeatherData(weatherId) {
+    return Object.prototype.hasOwnProperty.call(WEATHER_DATA, weatherId) ? WEATHER_DATA[weatherId] : null;
+}
@@ -1,11 +1,19 @@
+// Number keys for the game speeds
+const SPEED_KEYS = {
+    '1': 1,
+    '2': 2,
+    '3': 4
+};
+
 /**
  * Handles keyboard input events
  */
 export class KeyboardHandler {
-    constructor(gameState, renderer, canvas) {
+    constructor(gameState, renderer, canvas, toast = null) {
         this.gameState = gameState;
         this.renderer = renderer;
         this.canvas = canvas;
+        this.toast = toast;
         this.keys = {};
         // Get sidebar reference for UI interaction control
         this.sidebar = document.querySelector('.sidebar');
@@ -27,17 +35,60 @@ export class KeyboardHandler {
         this.keydownHandler = (e) => {
             this.keys[e.key] = true;
             
+            // Shortcuts act on the map, leave keys to text fields and to a dialog that's open over it
+            if (this.isTypingTarget(e.target) || this.isModalOpen()) {
+                return;
+            }
+            
             // Handle Escape key to cancel tool selection
             if (e.key === 'Escape') {
                 this.cancelToolSelection();
             }
             
-            // Handle R key to toggle rotation when tool is selected
+            // Handle Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) and Ctrl+Y for undo/redo
+            if ((e.ctrlKey || e.metaKey) && !e.altKey) {
+                const key = e.key.toLowerCase();
+                if (key === 'z') {
+                    e.preventDefault();
+                    this.applyHistory(e.shiftKey ? this.gameState.redo() : this.gameState.undo());
+                    return;
+                } else if (key === 'y') {
+                    e.preventDefault();
+                    this.applyHistory(this.gameState.redo());
+                    return;
+                }
+            }
+            
+            // Handle game speed shortcuts: Space pauses/resumes, 1/2/3 pick 1×/2×/4×
+            if (!e.ctrlKey && !e.metaKey && !e.altKey) {
+                if (e.key === ' ') {
+                    e.preventDefault();
+                    this.gameState.togglePause();
+                    return;
+                }
+                const speed = SPEED_KEYS[e.key];
+                if (speed !== undefined) {
+                    this.gameState.setGameSpeed(speed);
+                    return;
+                }
+            }
+            
+            // Handle R key to toggle rotation when tool is selected,
+            // or rotate the placed item under the cursor otherwise
             if (e.key === 'r' || e.key === 'R') {
                 const selectedTool = this.gameState.getSelectedTool();
                 if (selectedTool) {
                     this.gameState.toggleRotation();
                     this.renderer.render();
+                } else {
+                    const tile = this.renderer.getMouseTile();
+                    const item = this.gameState.getItemAt(tile.x, tile.y);
+                    if (this.gameState.rotateItem(tile.x, tile.y)) {
+                        this.renderer.render();
+                    } else if (item && this.toast) {
+                        // Turning a multi-tile building swaps its sides, which may run into neighbours
+                        this.toast.warning(`There's no room to turn the ${this.gameState.getItemName(item.type, item.id)} here`);
+                    }
                 }
             }
         };
@@ -50,6 +101,50 @@ export class KeyboardHandler {
         window.addEventListener('keyup', this.keyupHandler);
     }
 
+    /**
+     * Check whether a key press is meant for a text field rather than the game
+     * @param {EventTarget} target - Event target
+     * @returns {boolean} True if the target accepts typing
+     */
+    isTypingTarget(target) {
+        return !!target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA' || target.isContentEditable);
+    }
+
+    /**
+     * Check whether a modal dialog covers the map
+     * @returns {boolean} True if any modal overlay is showing
+     */
+    isModalOpen() {
+        return Array.from(document.querySelectorAll('.modal-overlay'))
+            .some(overlay => overlay.style.display !== 'none');
+    }
+
+    /**
+     * Show the outcome of an undo or redo
+     * @param {{success: boolean, entry: Object|null, message: string}} result - Result from GameState.undo/redo
+     */
+    applyHistory(result) {
+        if (!result.success) {
+            // Empty history is not worth a toast, only report actions that couldn't be replayed
+            if (result.entry && this.toast) {
+                this.toast.warning(result.message);
+            }
+            return;
+        }
+        
+        // Older actions are only partly refunded, say so
+        if (result.message && this.toast) {
+            this.toast.neutral(result.message);
+        }
+        
+        const { item } = result.entry;
+        if (result.entry.action !== 'rotate') {
+            const isRemoval = this.gameState.getItemAt(item.isoX, item.isoY) === null;
+            this.renderer.getAnimationManager().addDustCloud(item.isoX, item.isoY, isRemoval ? 'destroy' : 'add');
+        }
+        this.renderer.render();
+    }
+
     /**
      * Cancel tool selection and reset cursor
      */
@@ -1,6 +1,6 @@
 import { screenToTile, tileToWorld, worldToScreen, screenToWorld } from '../utils/coordinateUtils.js';
 import { CONFIG } from '../config.js';
-import { BUILDING_DATA, DECORATION_DATA, ROAD_DATA } from '../data/itemData.js';
+import { getHarvest, getItemData, getItemName, getProducersOf, getRemovableBy, getResourceName } from '../data/itemRegistry.js';
 
 /**
  * Handles mouse input events
@@ -364,30 +364,19 @@ export class MouseHandler {
             // Check if bulldozer tool is selected
             if (selectedTool.type === 'tool' && selectedTool.id === 'bulldozer') {
                 // Check if there's an item at this position and if player can afford demolition
-                const placedItems = this.gameState.getPlacedItems();
-                const item = placedItems.find(item => 
-                    item.isoX === iso.x && item.isoY === iso.y
-                );
+                const item = this.gameState.getItemAt(iso.x, iso.y);
                 
                 if (item) {
-                    // Check if trying to destroy a tree, pine, stump, or roots - requires Woodcutter or Timberman
-                    if (item.type === 'decoration' && (item.id === 'tree' || item.id === 'pine' || item.id === 'stump' || item.id === 'roots')) {
-                        if (!this.gameState.hasWoodcutterOrTimberman()) {
-                            if (this.toast) {
-                                this.toast.warning('You need at least one Woodcutter or Timberman to remove trees, stumps, or roots!');
-                            }
-                            return;
-                        }
-                    }
-                    
-                    // Check if trying to destroy rocks or boulder - requires Stonecutter
-                    if (item.type === 'decoration' && (item.id === 'rocks' || item.id === 'boulder')) {
-                        if (!this.gameState.hasStonecutter()) {
-                            if (this.toast) {
-                                this.toast.warning('You need at least one Stonecutter to remove rocks or boulders!');
-                            }
-                            return;
+                    // Some items need a specific building to be removed (trees need a Woodcutter or Timberman, rocks a Stonecutter)
+                    if (!this.gameState.canRemoveItem(item.type, item.id)) {
+                        if (this.toast) {
+                            const buildingNames = getRemovableBy(item.type, item.id)
+                                .map(buildingId => getItemName('building', buildingId))
+                                .join(' or ');
+                            const itemName = getItemName(item.type, item.id).toLowerCase();
+                            this.toast.warning(`You need at least one ${buildingNames} to remove this ${itemName}!`);
                         }
+                        return;
                     }
                     
                     const demolitionCost = this.gameState.getDemolitionCost(item.type, item.id);
@@ -413,8 +402,16 @@ export class MouseHandler {
                     // Show feedback that player can't afford the item
                     const cost = this.gameState.getItemCost(selectedTool.type, selectedTool.id);
                     const budget = this.gameState.getBudget();
+                    const missingResources = this.gameState.getMissingResources(selectedTool.type, selectedTool.id);
                     if (this.toast) {
-                        this.toast.warning(`Insufficient funds! Need ⍱${cost}, have ⍱${budget.toFixed(2)}`);
+                        if (budget < cost) {
+                            this.toast.warning(`Insufficient funds! Need ⍱${cost}, have ⍱${budget.toFixed(2)}`);
+                        } else {
+                            const shortages = missingResources.map(resource =>
+                                `${resource.label}: need ${resource.required}, have ${Math.floor(resource.current)}`
+                            );
+                            this.toast.warning(`Not enough resources! ${shortages.join('; ')}`);
+                        }
                     }
                     return;
                 }
@@ -451,7 +448,7 @@ export class MouseHandler {
                     // Trigger add animation
                     this.renderer.getAnimationManager().addDustCloud(iso.x, iso.y, 'add');
                     this.renderer.render();
-                } else if (!this.gameState.isValidPosition(iso.x, iso.y, selectedTool.type, selectedTool.id)) {
+                } else if (!this.gameState.isValidPosition(iso.x, iso.y, selectedTool.type, selectedTool.id, flipped)) {
                     // Position is invalid (occupied or out of bounds)
                     if (this.toast) {
                         this.toast.warning('Invalid position!');
@@ -516,10 +513,7 @@ export class MouseHandler {
         const isDemolitionTool = selectedTool && selectedTool.type === 'tool' && selectedTool.id === 'bulldozer';
 
         // Find item at this position
-        const placedItems = this.gameState.getPlacedItems();
-        const item = placedItems.find(item => 
-            item.isoX === isoX && item.isoY === isoY
-        );
+        const item = this.gameState.getItemAt(isoX, isoY);
 
         // If demolition tool is selected and hovering over an item, show demolition cost
         if (isDemolitionTool && item && !this.isDragging) {
@@ -528,10 +522,10 @@ export class MouseHandler {
             
             if (this.hoveredItem !== itemKey) {
                 this.hoveredItem = itemKey;
-                this.tooltip.show(`Demolition: ⍱${demolitionCost.toFixed(2)}`, clientX, clientY);
+                this.tooltip.show(`Demolition: ⍱${demolitionCost.toFixed(2)}`, clientX, clientY, item);
             } else {
                 // Update tooltip position in case mouse moved
-                this.tooltip.show(`Demolition: ⍱${demolitionCost.toFixed(2)}`, clientX, clientY);
+                this.tooltip.show(`Demolition: ⍱${demolitionCost.toFixed(2)}`, clientX, clientY, item);
             }
             return;
         }
@@ -547,25 +541,30 @@ export class MouseHandler {
 
         if (item) {
             // Get item data
-            let itemData = null;
-            if (item.type === 'building' && BUILDING_DATA[item.id]) {
-                itemData = BUILDING_DATA[item.id];
-            } else if (item.type === 'decoration' && DECORATION_DATA[item.id]) {
-                itemData = DECORATION_DATA[item.id];
-            } else if (item.type === 'road' && ROAD_DATA[item.id]) {
-                itemData = ROAD_DATA[item.id];
+            const itemData = getItemData(item.type, item.id);
+
+            // Stalled and harvesting buildings that ran out of trees say so, houses show how happy they are,
+            // otherwise use the item's hoverText
+            const harvest = getHarvest(item.type, item.id);
+            let hoverText = itemData && itemData.hoverText;
+            if (item.type === 'building' && this.gameState.getStalledBuildings().includes(item)) {
+                hoverText = this.getStalledText(item);
+            } else if (harvest && this.gameState.countReachableTrees(item) === 0) {
+                hoverText = `No trees left within ${harvest.radius} tiles`;
+            } else if (typeof item.residents === 'number') {
+                hoverText = this.getHappinessText(item);
             }
 
             // Check if item has hoverText
-            if (itemData && itemData.hoverText) {
+            if (hoverText) {
                 // Check if this is the same item we're already hovering
                 const itemKey = `${item.isoX},${item.isoY}`;
                 if (this.hoveredItem !== itemKey) {
                     this.hoveredItem = itemKey;
-                    this.tooltip.show(itemData.hoverText, clientX, clientY);
+                    this.tooltip.show(hoverText, clientX, clientY, item);
                 } else {
                     // Update tooltip position in case mouse moved
-                    this.tooltip.show(itemData.hoverText, clientX, clientY);
+                    this.tooltip.show(hoverText, clientX, clientY, item);
                 }
                 return;
             }
@@ -578,6 +577,33 @@ export class MouseHandler {
         }
     }
 
+    /**
+     * Describe what a stalled building is waiting for
+     * @param {Object} item - Stalled building
+     * @returns {string} Text such as "Stalled: no Flour (made by Mill)"
+     */
+    getStalledText(item) {
+        const inputs = this.gameState.getMissingInputs(item.id).map(resourceId => {
+            const producers = getProducersOf(resourceId).map(buildingId => getItemName('building', buildingId));
+            const name = getResourceName(resourceId);
+            return producers.length > 0 ? `${name} (made by ${producers.join(' or ')})` : name;
+        });
+        return inputs.length > 0 ? `Stalled: no ${inputs.join(', ')}` : 'Stalled';
+    }
+
+    /**
+     * Describe how happy a house is and what hurts it most
+     * @param {Object} item - Placed house
+     * @returns {string} Text such as "Happiness: 38, 2/3 residents (Blacksmith -15)"
+     */
+    getHappinessText(item) {
+        const { score, factors } = this.gameState.getHouseHappiness(item);
+        const residents = `${item.residents}/${this.gameState.getItemHousingCapacity(item)} residents`;
+        const worst = factors.reduce((lowest, factor) => (!lowest || factor.value < lowest.value ? factor : lowest), null);
+        const complaint = worst && worst.value < 0 ? ` (${worst.label} ${Math.round(worst.value)})` : '';
+        return `Happiness: ${Math.round(score)}, ${residents}${complaint}`;
+    }
+
     /**
      * Update cursor based on tool selection state
      */
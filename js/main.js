@@ -1,17 +1,28 @@
 import { CanvasManager } from './core/CanvasManager.js';
 import { Camera } from './core/Camera.js';
 import { GameState } from './core/GameState.js';
+import { Simulation } from './core/Simulation.js';
 import { VillagerManager } from './core/VillagerManager.js';
 import { Renderer } from './rendering/Renderer.js';
 import { MouseHandler } from './input/MouseHandler.js';
 import { KeyboardHandler } from './input/KeyboardHandler.js';
 import { ToolSelector } from './ui/ToolSelector.js';
 import { ClearButton } from './ui/ClearButton.js';
+import { SaveSlotsDialog } from './ui/SaveSlotsDialog.js';
+import { VillageTransfer } from './ui/VillageTransfer.js';
 import { StatsPanel } from './ui/StatsPanel.js';
+import { SpeedControls } from './ui/SpeedControls.js';
+import { OfflineProgressDialog } from './ui/OfflineProgressDialog.js';
+import { ItemPacksDialog } from './ui/ItemPacksDialog.js';
+import { FinanceDialog } from './ui/FinanceDialog.js';
+import { BankruptcyDialog } from './ui/BankruptcyDialog.js';
+import { VillageEventDialog } from './ui/VillageEventDialog.js';
+import { MigrationNotices } from './ui/MigrationNotices.js';
 import { Toast } from './ui/Toast.js';
 import { Tooltip } from './ui/Tooltip.js';
 import { SpriteManager } from './utils/SpriteManager.js';
-import { BUILDING_DATA, DECORATION_DATA, ROAD_DATA } from './data/itemData.js';
+import { getAllItems } from './data/itemRegistry.js';
+import { restoreItemPacks } from './core/itemPacks.js';
 import { CONFIG } from './config.js';
 import { tileToWorld } from './utils/coordinateUtils.js';
 
@@ -23,6 +34,9 @@ class Game {
         // Initialize core systems
         this.camera = new Camera();
         this.canvasManager = new CanvasManager('gameCanvas', this.camera);
+        
+        // Installed item packs must be known before the saved village, which may use their items, is loaded
+        const itemPackProblems = restoreItemPacks();
         this.gameState = new GameState();
         this.villagerManager = new VillagerManager(this.gameState);
         
@@ -48,7 +62,7 @@ class Game {
         
         // Initialize UI components
         this.toast = new Toast();
-        this.tooltip = new Tooltip();
+        this.tooltip = new Tooltip(this.gameState);
         
         // Initialize input handlers
         this.mouseHandler = new MouseHandler(
@@ -63,19 +77,52 @@ class Game {
         this.keyboardHandler = new KeyboardHandler(
             this.gameState,
             this.renderer,
-            this.canvasManager.getCanvas()
+            this.canvasManager.getCanvas(),
+            this.toast
         );
         
         // Initialize UI
         this.toolSelector = new ToolSelector(this.gameState, this.renderer, this.mouseHandler, this.spriteManager);
         this.clearButton = new ClearButton(this.gameState, this.renderer, this.villagerManager, this.camera);
+        this.saveSlotsDialog = new SaveSlotsDialog(this.gameState, this.renderer, this.villagerManager, this.toast);
+        this.villageTransfer = new VillageTransfer(this.gameState, this.renderer, this.villagerManager, this.toast, this.saveSlotsDialog);
         this.statsPanel = new StatsPanel(this.gameState, this.renderer);
+        this.speedControls = new SpeedControls(this.gameState);
+        this.offlineProgressDialog = new OfflineProgressDialog(this.gameState);
+        this.itemPacksDialog = new ItemPacksDialog(this.gameState, this.renderer, this.villagerManager, this.toast);
+        this.migrationNotices = new MigrationNotices(this.gameState, this.toast);
+        this.financeDialog = new FinanceDialog(this.gameState, this.toast);
+        this.villageEventDialog = new VillageEventDialog(this.gameState, this.toast);
+        this.bankruptcyDialog = new BankruptcyDialog(this.gameState, this.clearButton, this.toast);
+        
+        itemPackProblems.forEach(problem => {
+            this.toast.warning(problem, 8000);
+        });
+        
+        // Let the player know if their saved village couldn't be loaded
+        const loadError = this.gameState.getLoadError();
+        if (loadError) {
+            this.toast.warning(loadError, 8000);
+        }
+        
+        // The saved village was loaded before the dialog existed, so show an event waiting for a choice here
+        this.villageEventDialog.showDialog();
         
         // Initialize income generation system (now integrated into game loop)
         this.initializeIncomeGeneration();
         
-        // Start environment events system
-        this.startEnvironmentEvents();
+        // Catch up on the time the village spent closed, the page stays responsive and the summary follows
+        this.catchUpAbsence(this.gameState.getTimeAway());
+        
+        // Ambient animations follow the game speed
+        this.gameState.on('speedChanged', ({ speed }) => {
+            this.renderer.getAnimationManager().setTimeScale(speed);
+        });
+        
+        // A village saved while bankrupt (or that went bankrupt while away) still has to choose
+        if (this.gameState.isBankrupt()) {
+            this.bankruptcyDialog.showDialog();
+        }
         
         // Initialize game loop timing
         this.lastFrameTime = performance.now();
@@ -102,13 +149,7 @@ class Game {
         const spritePaths = [];
         
         // Collect sprite paths from all item types
-        Object.values(BUILDING_DATA).forEach(data => {
-            if (data.sprite) spritePaths.push(data.sprite);
-        });
-        Object.values(DECORATION_DATA).forEach(data => {
-            if (data.sprite) spritePaths.push(data.sprite);
-        });
-        Object.values(ROAD_DATA).forEach(data => {
+        getAllItems().forEach(({ data }) => {
             if (data.sprite) spritePaths.push(data.sprite);
         });
         
@@ -125,21 +166,11 @@ class Game {
 
     /**
      * Initialize the income generation and expense system
-     * Buildings with incomeAmount property generate income at the universal interval defined in CONFIG
-     * Buildings with expenseAmount property incur expenses at the same interval
-     * This is now integrated into the game loop using delta time for frame-rate independence
+     * The economy itself lives in Simulation, the game loop only decides when ticks are due
+     * using delta time for frame-rate independence
      */
     initializeIncomeGeneration() {
-        // Create income generators for each building type that generates income
-        this.incomeGenerators = new Map();
-        
-        // Find all buildings that generate income
-        Object.keys(BUILDING_DATA).forEach(buildingId => {
-            const incomeData = this.gameState.getBuildingIncomeData(buildingId);
-            if (incomeData) {
-                this.incomeGenerators.set(buildingId, incomeData);
-            }
-        });
+        this.simulation = new Simulation(this.gameState);
         
         // Use the universal interval from config
         this.incomeInterval = CONFIG.INCOME_GENERATION_INTERVAL;
@@ -149,91 +180,50 @@ class Game {
     }
 
     /**
-     * Process income generation and expenses based on accumulated delta time
+     * Run the economy ticks that are due based on accumulated delta time
      * This is called from the game loop to ensure frame-rate independence
      * @param {number} deltaTime - Time elapsed since last frame in milliseconds
      */
     processIncomeGeneration(deltaTime) {
+        // Ticks left over from a gap wait while the game is paused
+        if (deltaTime <= 0) {
+            return;
+        }
+        
         // Accumulate time
         this.incomeAccumulatedTime += deltaTime;
         
-        // Process when interval is reached
-        if (this.incomeAccumulatedTime >= this.incomeInterval) {
-            // Advance the day/night cycle
-            this.gameState.advanceTimeCycle();
-            
-            const placedItems = this.gameState.getPlacedItems();
-            
-            // Get production multiplier to apply to all income/expenses
-            const productionMultiplier = this.gameState.getProductionMultiplier();
+        // A gap between frames is worked off a few ticks per frame instead of freezing this one
+        const dueTicks = Math.min(Math.floor(this.incomeAccumulatedTime / this.incomeInterval), CONFIG.MAX_TICKS_PER_FRAME);
+        if (dueTicks > 0) {
+            const report = this.simulation.run(dueTicks);
             
-            // Apply night multiplier if it's night
-            const nightMultiplier = this.gameState.isDay ? 1 : CONFIG.NIGHT_PRODUCTION_MULTIPLIER;
-            const finalMultiplier = productionMultiplier * nightMultiplier;
-            
-            // Process income generation
-            if (this.incomeGenerators.size > 0) {
-                this.incomeGenerators.forEach((incomeData, buildingId) => {
-                    // Count buildings of this type
-                    const buildingCount = placedItems.filter(item => 
-                        item.type === 'building' && item.id === buildingId
-                    ).length;
-                    
-                    if (buildingCount > 0) {
-                        // Apply production multiplier and night multiplier to income
-                        const totalIncome = buildingCount * incomeData.amount * finalMultiplier;
-                        this.gameState.addBudget(totalIncome);
-                        
-                        // Trigger budget display animation
-                        this.statsPanel.animateUpdate(totalIncome);
-                    }
-                });
-            }
-            
-            // Process expenses (maintenance costs) - always processed together with income
-            const totalExpenses = this.gameState.getTotalExpensesPerInterval();
-            if (totalExpenses > 0) {
-                // Deduct expenses from budget (can go negative)
-                this.gameState.addBudget(-totalExpenses);
+            // Trigger budget display animation
+            if (report.income > 0) {
+                this.statsPanel.animateUpdate(report.income);
             }
             
-            // Reset accumulated time, but keep any overflow to maintain precision
-            this.incomeAccumulatedTime -= this.incomeInterval;
+            // Keep any overflow to maintain precision
+            this.incomeAccumulatedTime -= dueTicks * this.incomeInterval;
         }
     }
 
     /**
-     * Start the environment events system
-     * Every 1 minute, spawns a random tree at an empty cell and removes a random tree
-     * This keeps the total balance of trees the same while making them appear/disappear dynamically
+     * Simulate time nobody watched with its progress on screen, the summary shows when it's done
+     * The economy ticks still due in the game loop are part of it
+     * @param {number} elapsed - Game time away in milliseconds
      */
-    startEnvironmentEvents() {
-        const ENVIRONMENT_EVENT_INTERVAL = 60000; // 1 minute in milliseconds
-        
-        setInterval(() => {
-            // Find a random empty cell to spawn a tree
-            const emptyCell = this.gameState.findRandomEmptyCell();
-            
-            // Find a random existing tree to remove
-            const treeToRemove = this.gameState.findRandomTree();
-            
-            // Only proceed if we have both an empty cell and a tree to remove
-            // This ensures the total balance of trees stays the same
-            if (emptyCell && treeToRemove) {
-                // Randomly choose between 'tree' and 'pine' for the new tree
-                const treeTypes = ['tree', 'pine'];
-                const randomTreeType = treeTypes[Math.floor(Math.random() * treeTypes.length)];
-                
-                // Remove the old tree first
-                this.gameState.removeItemFree(treeToRemove.isoX, treeToRemove.isoY);
-                
-                // Spawn a new tree at the empty cell
-                this.gameState.placeItemFree(emptyCell.isoX, emptyCell.isoY, 'decoration', randomTreeType);
-                
-                console.log(`Environment event: Tree removed at (${treeToRemove.isoX}, ${treeToRemove.isoY}), new ${randomTreeType} spawned at (${emptyCell.isoX}, ${emptyCell.isoY})`);
-            }
-            // If either condition is not met, do nothing to maintain tree balance
-        }, ENVIRONMENT_EVENT_INTERVAL);
+    async catchUpAbsence(elapsed) {
+        const absence = this.incomeAccumulatedTime + elapsed;
+        this.incomeAccumulatedTime = 0;
+        try {
+            await this.gameState.simulateAbsence(absence, progress => {
+                this.offlineProgressDialog.showProgress(absence, progress);
+            });
+        } catch (error) {
+            console.warn('Catching up on time away failed:', error);
+            this.offlineProgressDialog.hideDialog();
+        }
     }
 
     gameLoop() {
@@ -242,14 +232,24 @@ class Game {
         const deltaTime = currentTime - this.lastFrameTime;
         this.lastFrameTime = currentTime;
         
-        // Process income generation and expenses (frame-rate independent)
-        this.processIncomeGeneration(deltaTime);
+        // Game time runs at the selected speed and stops while paused, and while time away is caught up
+        let gameDeltaTime = this.gameState.isCatchingUp() ? 0 : deltaTime * this.gameState.getGameSpeed();
+        
+        // A tab in the background gets no frames, a long absence is caught up like time spent closed
+        // (capped and summarized), shorter gaps run through the game loop below
+        if (gameDeltaTime > 0 && deltaTime >= CONFIG.BACKGROUND_ABSENCE_MIN_DURATION) {
+            this.catchUpAbsence(gameDeltaTime);
+            gameDeltaTime = 0;
+        }
+        
+        // Process income generation and expenses (frame-rate independent), trees grow back as part of it
+        this.processIncomeGeneration(gameDeltaTime);
         
-        // Update camera based on keyboard input (deltaTime in seconds)
+        // Update camera based on keyboard input (deltaTime in seconds), the camera works while paused
         this.camera.update(this.keyboardHandler.getKeys(), deltaTime / 1000);
         
         // Update villagers
-        this.villagerManager.update(deltaTime);
+        this.villagerManager.update(gameDeltaTime);
         
         // Render the scene
         this.renderer.render();
@@ -1,5 +1,6 @@
 import { DustCloudAnimation } from './DustCloudAnimation.js';
 import { SmokeAnimation } from './SmokeAnimation.js';
+import { WeatherAnimation } from './WeatherAnimation.js';
 
 /**
  * Manages all active animations
@@ -8,7 +9,19 @@ export class AnimationManager {
     constructor() {
         this.animations = [];
         this.smokeAnimations = new Map(); // Map of smoke animations keyed by position string "isoX,isoY"
+        this.weatherAnimations = []; // Weather overlays, the current one last, earlier ones are fading out
         this.lastUpdateTime = Date.now();
+        this.timeScale = 1; // Game speed, applied to ambient animations
+    }
+    
+    /**
+     * Set how fast ambient animations run relative to real time
+     * Dust clouds are feedback for the player's own actions and always run in real time,
+     * so building while paused still shows them
+     * @param {number} timeScale - Game speed multiplier (0 freezes ambient animations)
+     */
+    setTimeScale(timeScale) {
+        this.timeScale = timeScale;
     }
     
     /**
@@ -70,6 +83,26 @@ export class AnimationManager {
         });
     }
     
+    /**
+     * Show the overlay of the current weather, fading out the one before it
+     * @param {string} weatherId - Weather ID from weatherData.js
+     * @param {Object} weather - Weather data, weather without particles has no overlay
+     */
+    setWeather(weatherId, weather) {
+        const current = this.weatherAnimations[this.weatherAnimations.length - 1];
+        if (current && current.isActive && current.weatherId === weatherId) {
+            return;
+        }
+        if (!current && !weather.particles) {
+            return;
+        }
+        
+        this.weatherAnimations.forEach(animation => animation.stop());
+        if (weather.particles) {
+            this.weatherAnimations.push(new WeatherAnimation(weatherId, weather));
+        }
+    }
+    
     /**
      * Update all animations
      */
@@ -86,10 +119,17 @@ export class AnimationManager {
         // Remove completed animations
         this.animations = this.animations.filter(animation => !animation.isFinished());
         
-        // Update all smoke animations (persistent/looping)
+        // Update all smoke animations (persistent/looping), these follow the game speed
+        const gameDeltaTime = deltaTime * this.timeScale;
         this.smokeAnimations.forEach(smoke => {
-            smoke.update(deltaTime);
+            smoke.update(gameDeltaTime);
         });
+        
+        // Weather follows the game speed too, and overlays that faded out are dropped
+        this.weatherAnimations.forEach(weather => {
+            weather.update(gameDeltaTime);
+        });
+        this.weatherAnimations = this.weatherAnimations.filter(weather => !weather.isFinished());
     }
     
     /**
@@ -111,6 +151,11 @@ export class AnimationManager {
         this.smokeAnimations.forEach(smoke => {
             smoke.draw(ctx, canvasWidth, canvasHeight, cameraX, cameraY, zoom);
         });
+        
+        // Weather covers the whole screen, above everything else
+        this.weatherAnimations.forEach(weather => {
+            weather.draw(ctx, canvasWidth, canvasHeight);
+        });
     }
     
     /**
@@ -123,6 +168,7 @@ export class AnimationManager {
             smoke.stop();
         });
         this.smokeAnimations.clear();
+        this.weatherAnimations = [];
     }
 }
 
@@ -16,8 +16,10 @@ export class GridRenderer {
 
     /**
      * Draw the ground grid
+     * @param {Array<number>} ground - Ground color of the season as [red, green, blue]
      */
-    drawGrid() {
+    drawGrid(ground = [34, 139, 34]) {
+        const [red, green, blue] = ground;
         this.ctx.strokeStyle = 'rgba(100, 100, 100, 0.1)';
         this.ctx.lineWidth = 1;
         
@@ -37,7 +39,7 @@ export class GridRenderer {
                 // Draw ground tile
                 const distance = Math.sqrt(x * x + y * y);
                 const brightness = 0.3 + (1 - Math.min(distance / CONFIG.GRID_SIZE, 1)) * 0.2;
-                const groundColor = `rgba(34, 139, 34, ${brightness})`;
+                const groundColor = `rgba(${red}, ${green}, ${blue}, ${brightness})`;
                 
                 this.itemRenderer.drawIsometricTile(x, y, groundColor, 0);
             }
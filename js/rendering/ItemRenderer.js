@@ -1,7 +1,7 @@
 import { CONFIG } from '../config.js';
 import { tileToWorld, worldToScreen } from '../utils/coordinateUtils.js';
 import { adjustBrightness } from '../utils/colorUtils.js';
-import { BUILDING_DATA, DECORATION_DATA, ROAD_DATA } from '../data/itemData.js';
+import { getFootprint, getItemData } from '../data/itemRegistry.js';
 
 /**
  * Renders individual items (buildings, decorations, roads)
@@ -23,9 +23,10 @@ export class ItemRenderer {
      * @param {number} offsetY - Vertical offset for the sprite
      * @param {number} heightScale - Height scale factor (1.0 = default, higher = taller)
      * @param {boolean} flipped - Whether to horizontally flip the sprite
+     * @param {{width: number, depth: number}} footprint - Tiles covered, the sprite spans all of them
      * @returns {boolean} True if sprite was drawn, false if sprite not available
      */
-    drawSprite(isoX, isoY, spritePath, offsetY = 0, heightScale = 1.0, flipped = false) {
+    drawSprite(isoX, isoY, spritePath, offsetY = 0, heightScale = 1.0, flipped = false, footprint = { width: 1, depth: 1 }) {
         if (!this.spriteManager || !spritePath) {
             return false;
         }
@@ -43,22 +44,26 @@ export class ItemRenderer {
             this.camera.getX(), this.camera.getY(),
             zoom
         );
-        const x = screen.x;
-        const y = screen.y; // Top point of the isometric diamond
-
         // Calculate sprite dimensions based on tile size
         const tileW = CONFIG.TILE_WIDTH * zoom;
         const tileH = CONFIG.TILE_HEIGHT * zoom;
         
+        // A width x depth footprint is a diamond (width + depth) / 2 tiles across,
+        // centered (width - depth) / 4 tiles right of the anchor tile's top point
+        const { width, depth } = footprint;
+        const footprintScale = (width + depth) / 2;
+        const x = screen.x + (width - depth) * tileW / 4;
+        const y = screen.y; // Top point of the isometric diamond
+        
         // Base sprite dimensions - scaled by heightScale to match building height
-        const baseSpriteHeight = tileH * 2; // Default height for standard buildings
-        const spriteWidth = tileW;
+        const baseSpriteHeight = tileH * 2 * footprintScale; // Default height for standard buildings
+        const spriteWidth = tileW * footprintScale;
         const spriteHeight = baseSpriteHeight * heightScale;
         
-        // Position sprite so its bottom aligns with the bottom of the tile
-        // Bottom of tile is at: y + tileH
-        // Top of sprite should be at: (y + tileH) - spriteHeight + offsetY
-        const spriteY = y + tileH - spriteHeight + (offsetY * zoom);
+        // Position sprite so its bottom aligns with the bottom of the footprint
+        // Bottom of footprint is at: y + tileH * footprintScale
+        // Top of sprite should be at: (y + tileH * footprintScale) - spriteHeight + offsetY
+        const spriteY = y + tileH * footprintScale - spriteHeight + (offsetY * zoom);
         
         this.ctx.save();
         this.ctx.imageSmoothingEnabled = true;
@@ -136,7 +141,7 @@ export class ItemRenderer {
      * @param {boolean} flipped - Whether to horizontally flip the sprite
      */
     drawBuilding(isoX, isoY, id, flipped = false) {
-        const data = BUILDING_DATA[id] || BUILDING_DATA.house1;
+        const data = getItemData('building', id) || getItemData('building', 'house1');
         
         // Calculate height scale based on building height
         // Use house1 (height 20) as the reference base height
@@ -146,8 +151,9 @@ export class ItemRenderer {
         // Try to draw sprite first, fallback to procedural rendering
         // Get offsetY from item data (default: 0)
         const offsetY = data.offsetY !== undefined ? data.offsetY : 0;
-        // Pass heightScale to scale sprite based on building height
-        if (data.sprite && this.drawSprite(isoX, isoY, data.sprite, offsetY, heightScale, flipped)) {
+        // Pass heightScale to scale sprite based on building height, and the footprint to span all its tiles
+        const footprint = getFootprint('building', id, flipped);
+        if (data.sprite && this.drawSprite(isoX, isoY, data.sprite, offsetY, heightScale, flipped, footprint)) {
             return;
         }
         
@@ -163,7 +169,11 @@ export class ItemRenderer {
         const y = screen.y;
         
         // Draw building base
-        this.drawIsometricTile(isoX, isoY, data.color, 0);
+        for (let dx = 0; dx < footprint.width; dx++) {
+            for (let dy = 0; dy < footprint.depth; dy++) {
+                this.drawIsometricTile(isoX + dx, isoY + dy, data.color, 0);
+            }
+        }
         
         // Draw building walls (isometric cube)
         const wallHeight = data.height * zoom;
@@ -181,12 +191,12 @@ export class ItemRenderer {
      * @param {boolean} flipped - Whether to horizontally flip the sprite
      */
     drawDecoration(isoX, isoY, id, flipped = false) {
-        const data = DECORATION_DATA[id] || DECORATION_DATA.tree;
+        const data = getItemData('decoration', id) || getItemData('decoration', 'tree');
         
         // Try to draw sprite first, fallback to procedural rendering
         // Get offsetY from item data (default: 0)
         const offsetY = data.offsetY !== undefined ? data.offsetY : 0;
-        if (data.sprite && this.drawSprite(isoX, isoY, data.sprite, offsetY, 1.0, flipped)) {
+        if (data.sprite && this.drawSprite(isoX, isoY, data.sprite, offsetY, 1.0, flipped, getFootprint('decoration', id, flipped))) {
             return;
         }
         
@@ -266,7 +276,7 @@ export class ItemRenderer {
      * @param {boolean} flipped - Whether to horizontally flip the sprite
      */
     drawRoad(isoX, isoY, id, flipped = false) {
-        const data = ROAD_DATA[id] || ROAD_DATA.basic;
+        const data = getItemData('road', id) || getItemData('road', 'dirt');
         
         // Calculate height scale based on road height
         // Use house1 (height 20) as the reference base height
@@ -277,7 +287,7 @@ export class ItemRenderer {
         // Get offsetY from item data (default: 0)
         const offsetY = data.offsetY !== undefined ? data.offsetY : 0;
         // Pass heightScale to scale sprite based on road height
-        if (data.sprite && this.drawSprite(isoX, isoY, data.sprite, offsetY, heightScale, flipped)) {
+        if (data.sprite && this.drawSprite(isoX, isoY, data.sprite, offsetY, heightScale, flipped, getFootprint('road', id, flipped))) {
             return;
         }
         
@@ -1,4 +1,3 @@
-import { CONFIG } from '../config.js';
 import { screenToTile, tileToWorld, worldToScreen } from '../utils/coordinateUtils.js';
 import { GridRenderer } from './GridRenderer.js';
 import { ItemRenderer } from './ItemRenderer.js';
@@ -81,8 +80,8 @@ export class Renderer {
         
         this.canvasManager.clear();
         
-        // Draw grid
-        this.gridRenderer.drawGrid();
+        // Draw grid in the season's colors
+        this.gridRenderer.drawGrid(this.gameState.getSeasonInfo().data.ground);
         
         // Draw all placed items and villagers, sorted by depth (back to front)
         // In isometric view, screenY = (isoX + isoY) * TILE_HEIGHT / 2
@@ -118,13 +117,7 @@ export class Renderer {
                 const checkY = villagerY + dir.dy;
                 
                 // Check if there's a road at this position
-                const hasRoad = placedItems.some(item => 
-                    item.type === 'road' && 
-                    item.isoX === checkX && 
-                    item.isoY === checkY
-                );
-                
-                if (hasRoad) {
+                if (this.gameState.hasRoadAt(checkX, checkY)) {
                     const roadDepth = checkX + checkY;
                     maxSurroundingRoadDepth = Math.max(maxSurroundingRoadDepth, roadDepth);
                 }
@@ -133,6 +126,13 @@ export class Renderer {
             return maxSurroundingRoadDepth;
         };
         
+        // Multi-tile items sort by their front tile (the footprint corner with the highest isoX + isoY),
+        // so they're drawn over everything behind any of their tiles
+        const getItemDepth = (item) => {
+            const footprint = this.gameState.getFootprint(item.type, item.id, item.flipped);
+            return item.isoX + item.isoY + footprint.width - 1 + footprint.depth - 1;
+        };
+        
         // Combine items and villagers for depth sorting
         // Add render priority: roads (0), decorations (1), buildings (2), villagers (3)
         const allEntities = [
@@ -153,10 +153,10 @@ export class Renderer {
             // For other entities, use their own depth
             const depthA = a.type === 'villager' 
                 ? getVillagerDepth(a.data) 
-                : (a.data.isoX + a.data.isoY);
+                : getItemDepth(a.data);
             const depthB = b.type === 'villager' 
                 ? getVillagerDepth(b.data) 
-                : (b.data.isoX + b.data.isoY);
+                : getItemDepth(b.data);
             
             // Sort by depth (ascending - lower depth = draw first)
             if (depthA !== depthB) {
@@ -196,10 +196,11 @@ export class Renderer {
         // Clean up smoke animations for removed items
         // Get all positions that should have smoke
         const smokePositions = new Set();
-        placedItems.forEach(item => {
-            if (item.type === 'building' && (item.id === 'campfire' || item.id === 'blacksmith')) {
-                smokePositions.add(`${item.isoX},${item.isoY}`);
-            }
+        [
+            ...this.gameState.getItemsOfKind('building', 'campfire'),
+            ...this.gameState.getItemsOfKind('building', 'blacksmith')
+        ].forEach(item => {
+            smokePositions.add(`${item.isoX},${item.isoY}`);
         });
         
         // Remove smoke from positions that no longer have campfire/blacksmith
@@ -235,9 +236,10 @@ export class Renderer {
                 this.camera.getX(), this.camera.getY(),
                 zoom
             );
+            const flipped = selectedTool.flipped || false;
             const isValid = this.gameState.isValidPosition(
                 mouseIso.x, mouseIso.y, 
-                selectedTool.type, selectedTool.id
+                selectedTool.type, selectedTool.id, flipped
             );
             const canAfford = this.gameState.canAfford(selectedTool.type, selectedTool.id);
             const isPlaceable = isValid && canAfford;
@@ -245,7 +247,6 @@ export class Renderer {
             // Draw preview with transparency
             this.ctx.globalAlpha = isPlaceable ? 0.6 : 0.3;
             
-            const flipped = selectedTool.flipped || false;
             if (selectedTool.type === 'building') {
                 this.itemRenderer.drawBuilding(mouseIso.x, mouseIso.y, selectedTool.id, flipped);
             } else if (selectedTool.type === 'decoration') {
@@ -256,26 +257,38 @@ export class Renderer {
             
             this.ctx.globalAlpha = 1.0;
             
-            // Draw validity indicator
-            const world = tileToWorld(mouseIso.x, mouseIso.y);
-            const screen = worldToScreen(
-                world.x, world.y,
-                width, height,
-                this.camera.getX(), this.camera.getY(),
-                zoom
-            );
+            // Draw validity indicator around the whole footprint
+            const footprint = this.gameState.getFootprint(selectedTool.type, selectedTool.id, flipped);
+            const toScreen = (tileX, tileY) => {
+                const world = tileToWorld(tileX, tileY);
+                return worldToScreen(
+                    world.x, world.y,
+                    width, height,
+                    this.camera.getX(), this.camera.getY(),
+                    zoom
+                );
+            };
+            // Corners of the footprint diamond: top, right, bottom, left
+            const corners = [
+                toScreen(mouseIso.x, mouseIso.y),
+                toScreen(mouseIso.x + footprint.width, mouseIso.y),
+                toScreen(mouseIso.x + footprint.width, mouseIso.y + footprint.depth),
+                toScreen(mouseIso.x, mouseIso.y + footprint.depth)
+            ];
             // Green if valid and affordable, yellow if valid but unaffordable, red if invalid
             this.ctx.strokeStyle = isPlaceable ? '#00ff00' : (isValid ? '#ffaa00' : '#ff0000');
             this.ctx.lineWidth = 2;
             this.ctx.beginPath();
-            this.ctx.moveTo(screen.x, screen.y);
-            this.ctx.lineTo(screen.x + CONFIG.TILE_WIDTH / 2 * zoom, screen.y + CONFIG.TILE_HEIGHT / 2 * zoom);
-            this.ctx.lineTo(screen.x, screen.y + CONFIG.TILE_HEIGHT * zoom);
-            this.ctx.lineTo(screen.x - CONFIG.TILE_WIDTH / 2 * zoom, screen.y + CONFIG.TILE_HEIGHT / 2 * zoom);
+            this.ctx.moveTo(corners[0].x, corners[0].y);
+            corners.slice(1).forEach(corner => this.ctx.lineTo(corner.x, corner.y));
             this.ctx.closePath();
             this.ctx.stroke();
         }
         
+        // Keep the weather overlay in step with the village's weather
+        const weather = this.gameState.getWeatherInfo();
+        this.animationManager.setWeather(weather.id, weather.data);
+        
         // Update and draw animations
         this.animationManager.update();
         this.animationManager.draw(
@@ -288,6 +301,19 @@ export class Renderer {
         );
     }
     
+    /**
+     * Get the tile under the mouse cursor
+     * @returns {{x: number, y: number}} Tile coordinates
+     */
+    getMouseTile() {
+        return screenToTile(
+            this.mouseX, this.mouseY,
+            this.canvasManager.getWidth(), this.canvasManager.getHeight(),
+            this.camera.getX(), this.camera.getY(),
+            this.camera.getZoom()
+        );
+    }
+
     /**
      * Get the animation manager
      * @returns {AnimationManager} The animation manager
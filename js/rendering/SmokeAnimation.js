@@ -1,5 +1,8 @@
 import { tileToWorld, worldToScreen } from '../utils/coordinateUtils.js';
 
+// Particle speeds are tuned per frame at 60 FPS
+const FRAME_DURATION = 1000 / 60;
+
 /**
  * Manages smoke particle animations for buildings like campfire and blacksmith
  * Creates a subtle, looping animation of semitransparent smoke
@@ -12,7 +15,7 @@ export class SmokeAnimation {
         this.particleCount = 8; // Subtle amount of particles
         this.maxParticles = 12; // Maximum particles at once
         this.spawnInterval = 400; // Spawn new particle every 400ms
-        this.lastSpawnTime = Date.now();
+        this.spawnTimer = 0; // Time since the last spawn
         this.isActive = true;
         
         // Initialize with some particles
@@ -73,30 +76,31 @@ export class SmokeAnimation {
     
     /**
      * Update animation state
-     * @param {number} deltaTime - Time elapsed since last update
+     * @param {number} deltaTime - Time elapsed since last update (0 while the game is paused)
      */
     update(deltaTime) {
-        if (!this.isActive) return;
-        
-        const currentTime = Date.now();
+        if (!this.isActive || deltaTime <= 0) return;
         
         // Spawn new particles periodically
+        this.spawnTimer += deltaTime;
         if (this.particles.length < this.maxParticles && 
-            currentTime - this.lastSpawnTime >= this.spawnInterval) {
+            this.spawnTimer >= this.spawnInterval) {
             this.spawnParticle();
-            this.lastSpawnTime = currentTime;
+            this.spawnTimer = 0;
         }
         
+        const frames = deltaTime / FRAME_DURATION;
+        
         // Update existing particles
         this.particles.forEach(particle => {
             particle.age += deltaTime;
             
             // Update position based on angle and speed
-            particle.x += Math.cos(particle.angle) * particle.speed + particle.driftX;
-            particle.y += Math.sin(particle.angle) * particle.speed;
+            particle.x += (Math.cos(particle.angle) * particle.speed + particle.driftX) * frames;
+            particle.y += Math.sin(particle.angle) * particle.speed * frames;
             
             // Particles slow down as they rise (simulate air resistance)
-            particle.speed *= 0.998;
+            particle.speed *= Math.pow(0.998, frames);
             
             // Particles grow slightly as they rise
             const growthProgress = Math.min(particle.age / particle.lifetime, 1);
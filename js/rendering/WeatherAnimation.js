@@ -0,0 +1,181 @@
+// Particle speeds are tuned per frame at 60 FPS
+const FRAME_DURATION = 1000 / 60;
+
+// How long the overlay takes to fade in or out when the weather turns, in milliseconds
+const FADE_DURATION = 1500;
+
+/**
+ * Draws a weather overlay (rain, snow or fog) over the whole canvas
+ * Particles live in screen space, positions are kept as a share of the canvas size so resizing doesn't matter
+ */
+export class WeatherAnimation {
+    /**
+     * @param {string} weatherId - Weather ID from weatherData.js
+     * @param {Object} weather - Weather data, uses particles ({ style, count }) and lightning
+     */
+    constructor(weatherId, weather) {
+        this.weatherId = weatherId;
+        this.style = weather.particles.style;
+        this.count = weather.particles.count;
+        this.lightning = weather.lightning === true;
+        this.particles = [];
+        this.intensity = 0; // Fades from 0 to 1 when the weather arrives, and back to 0 when it passes
+        this.isActive = true;
+        this.flashTimer = this.nextFlashDelay(); // Time until the next lightning flash
+        this.flashAge = Infinity; // Time since the last flash started
+
+        for (let i = 0; i < this.count; i++) {
+            this.particles.push(this.createParticle(Math.random()));
+        }
+    }
+
+    /**
+     * Pick the wait before the next lightning flash
+     * @returns {number} Delay in milliseconds (4-10 seconds)
+     */
+    nextFlashDelay() {
+        return 4000 + Math.random() * 6000;
+    }
+
+    /**
+     * Create a particle of the overlay's style
+     * @param {number} y - Starting height as a share of the canvas (0 = top)
+     * @returns {Object} Particle
+     */
+    createParticle(y) {
+        const particle = {
+            x: Math.random(),
+            y: y,
+            phase: Math.random() * Math.PI * 2
+        };
+
+        if (this.style === 'rain') {
+            particle.speed = 0.012 + Math.random() * 0.008; // Share of the canvas height per frame
+            particle.length = 8 + Math.random() * 10;
+            particle.opacity = 0.25 + Math.random() * 0.25;
+        } else if (this.style === 'snow') {
+            particle.speed = 0.0015 + Math.random() * 0.0015;
+            particle.size = 1.5 + Math.random() * 2;
+            particle.opacity = 0.6 + Math.random() * 0.3;
+        } else {
+            // Fog banks drift sideways instead of falling
+            particle.speed = 0.0003 + Math.random() * 0.0004;
+            particle.size = 0.15 + Math.random() * 0.2; // Radius as a share of the canvas width
+            particle.opacity = 0.08 + Math.random() * 0.08;
+        }
+        return particle;
+    }
+
+    /**
+     * Update animation state
+     * @param {number} deltaTime - Time elapsed since last update (0 while the game is paused)
+     */
+    update(deltaTime) {
+        if (deltaTime <= 0) return;
+
+        const fadeStep = deltaTime / FADE_DURATION;
+        this.intensity = this.isActive
+            ? Math.min(1, this.intensity + fadeStep)
+            : Math.max(0, this.intensity - fadeStep);
+
+        const frames = deltaTime / FRAME_DURATION;
+        this.particles.forEach((particle, index) => {
+            if (this.style === 'fog') {
+                particle.x += particle.speed * frames;
+                if (particle.x - particle.size > 1) {
+                    particle.x = -particle.size;
+                    particle.y = Math.random();
+                }
+                return;
+            }
+
+            particle.y += particle.speed * frames;
+            particle.phase += 0.03 * frames;
+            // Rain is blown slightly sideways, snow sways as it falls
+            particle.x += this.style === 'rain' ? particle.speed * 0.2 * frames : Math.sin(particle.phase) * 0.0005 * frames;
+            if (particle.y > 1) {
+                this.particles[index] = this.createParticle(0);
+            }
+        });
+
+        if (this.lightning) {
+            this.flashAge += deltaTime;
+            this.flashTimer -= deltaTime;
+            if (this.flashTimer <= 0) {
+                this.flashAge = 0;
+                this.flashTimer = this.nextFlashDelay();
+            }
+        }
+    }
+
+    /**
+     * Draw the overlay
+     * The overlay covers the screen, so the camera doesn't move it
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} canvasWidth - Canvas width
+     * @param {number} canvasHeight - Canvas height
+     */
+    draw(ctx, canvasWidth, canvasHeight) {
+        if (this.intensity <= 0) return;
+
+        ctx.save();
+        if (this.style === 'rain') {
+            ctx.lineWidth = 1;
+            ctx.lineCap = 'round';
+            this.particles.forEach(particle => {
+                const x = (particle.x % 1) * canvasWidth;
+                const y = particle.y * canvasHeight;
+                ctx.strokeStyle = `rgba(174, 194, 224, ${particle.opacity * this.intensity})`;
+                ctx.beginPath();
+                ctx.moveTo(x, y);
+                ctx.lineTo(x + particle.length * 0.2, y + particle.length);
+                ctx.stroke();
+            });
+        } else if (this.style === 'snow') {
+            this.particles.forEach(particle => {
+                const x = (((particle.x % 1) + 1) % 1) * canvasWidth;
+                const y = particle.y * canvasHeight;
+                ctx.fillStyle = `rgba(255, 255, 255, ${particle.opacity * this.intensity})`;
+                ctx.beginPath();
+                ctx.arc(x, y, particle.size, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        } else {
+            this.particles.forEach(particle => {
+                const x = particle.x * canvasWidth;
+                const y = particle.y * canvasHeight;
+                const radius = particle.size * canvasWidth;
+                const opacity = particle.opacity * this.intensity;
+                const gradient = ctx.createRadialGradient(x, y, 0, x, y, radius);
+                gradient.addColorStop(0, `rgba(220, 225, 230, ${opacity})`);
+                gradient.addColorStop(1, 'rgba(220, 225, 230, 0)');
+                ctx.fillStyle = gradient;
+                ctx.beginPath();
+                ctx.arc(x, y, radius, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+
+        // A lightning flash lights up the whole screen and fades quickly
+        if (this.lightning && this.flashAge < 300) {
+            ctx.fillStyle = `rgba(255, 255, 240, ${0.35 * (1 - this.flashAge / 300) * this.intensity})`;
+            ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Check if the overlay has faded out after being stopped
+     * @returns {boolean} True once it can be dropped
+     */
+    isFinished() {
+        return !this.isActive && this.intensity <= 0;
+    }
+
+    /**
+     * Start fading the overlay out, the weather has passed
+     */
+    stop() {
+        this.isActive = false;
+    }
+}
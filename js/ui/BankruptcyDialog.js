@@ -0,0 +1,116 @@
+import { CONFIG } from '../config.js';
+
+/**
+ * Handles bankruptcy: warns each morning the village is deep in debt, and once it goes
+ * bankrupt stops the game until the player takes a bailout or starts over
+ */
+export class BankruptcyDialog {
+    constructor(gameState, clearButton, toast) {
+        this.gameState = gameState;
+        this.clearButton = clearButton;
+        this.toast = toast;
+        this.dialog = null;
+        this.messageElement = null;
+        this.bailoutBtn = null;
+        this.newSlotBtn = null;
+        this.startOverBtn = null;
+        this.setupDialog();
+        this.setupGameStateListeners();
+    }
+
+    setupDialog() {
+        this.dialog = document.getElementById('bankruptcy-dialog');
+        this.messageElement = document.getElementById('bankruptcy-message');
+        this.bailoutBtn = document.getElementById('bankruptcy-bailout-btn');
+        this.newSlotBtn = document.getElementById('bankruptcy-new-slot-btn');
+        this.startOverBtn = document.getElementById('bankruptcy-start-over-btn');
+
+        // There is no cancel: a bankrupt village can't carry on without one of these choices
+        if (this.dialog && this.messageElement && this.bailoutBtn && this.startOverBtn) {
+            this.bailoutBtn.addEventListener('click', () => {
+                this.acceptBailout();
+            });
+
+            // Keeps the bankrupt village in its slot and starts fresh in another one
+            if (this.newSlotBtn) {
+                this.newSlotBtn.addEventListener('click', () => {
+                    this.clearButton.performReset(true);
+                    this.resume();
+                });
+            }
+
+            this.startOverBtn.addEventListener('click', () => {
+                this.clearButton.performReset();
+                this.resume();
+            });
+        }
+    }
+
+    setupGameStateListeners() {
+        this.gameState.on('debtWarning', ({ daysLeft }) => {
+            if (this.toast) {
+                this.toast.warning(`The village is deep in debt, ${daysLeft} more ${daysLeft === 1 ? 'morning' : 'mornings'} like this and it goes bankrupt`, 6000);
+            }
+        });
+
+        this.gameState.on('bankrupt', () => this.showDialog());
+
+        // A village saved while bankrupt (or that went bankrupt offline) asks again when loaded
+        this.gameState.on('stateLoaded', () => {
+            if (this.gameState.isBankrupt()) {
+                this.showDialog();
+            } else {
+                this.resume();
+            }
+        });
+        this.gameState.on('reset', () => this.resume());
+    }
+
+    showDialog() {
+        if (!this.dialog) return;
+
+        this.gameState.setGameSpeed(0);
+
+        const canBailout = this.gameState.canBailout();
+        this.messageElement.textContent = canBailout
+            ? `The crown will pay off your loans and give the village ⍱${CONFIG.BAILOUT_BUDGET.toLocaleString()} to start again, but it won't do it twice.`
+            : 'The crown has bailed this village out before and won\'t do it again.';
+        this.bailoutBtn.disabled = !canBailout;
+
+        this.dialog.style.display = 'flex';
+        // Focus the first choice available for keyboard navigation
+        (canBailout ? this.bailoutBtn : this.startOverBtn).focus();
+    }
+
+    hideDialog() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * Close the dialog and restart the time it stopped
+     */
+    resume() {
+        if (!this.dialog || this.dialog.style.display === 'none') {
+            return;
+        }
+        this.hideDialog();
+        if (this.gameState.isPaused()) {
+            this.gameState.togglePause();
+        }
+    }
+
+    /**
+     * Take the bailout and get the village working again
+     */
+    acceptBailout() {
+        if (!this.gameState.bailout()) {
+            return;
+        }
+        this.resume();
+        if (this.toast) {
+            this.toast.success('The village was bailed out, spend wisely');
+        }
+    }
+}
@@ -10,20 +10,14 @@ export class BudgetDisplay {
         // Initial update
         this.update();
         
-        // Update budget display whenever renderer renders (after state changes)
-        // We'll hook into the renderer's render method or use a callback
+        // Update budget display whenever the budget changes
         this.setupUpdateListener();
     }
 
     setupUpdateListener() {
-        // Store original render method
-        const originalRender = this.renderer.render.bind(this.renderer);
-        
-        // Override render to update budget display
-        this.renderer.render = () => {
-            originalRender();
-            this.update();
-        };
+        ['budgetChanged', 'stateLoaded', 'reset'].forEach(event => {
+            this.gameState.on(event, () => this.update());
+        });
     }
 
     /**
@@ -9,6 +9,7 @@ export class ClearButton {
         this.camera = camera;
         this.dialog = null;
         this.confirmBtn = null;
+        this.newSlotBtn = null;
         this.cancelBtn = null;
         this.setupDialog();
         this.setupEventListeners();
@@ -17,6 +18,7 @@ export class ClearButton {
     setupDialog() {
         this.dialog = document.getElementById('start-over-dialog');
         this.confirmBtn = document.getElementById('dialog-confirm-btn');
+        this.newSlotBtn = document.getElementById('dialog-new-slot-btn');
         this.cancelBtn = document.getElementById('dialog-cancel-btn');
 
         if (this.dialog && this.confirmBtn && this.cancelBtn) {
@@ -26,6 +28,14 @@ export class ClearButton {
                 this.hideDialog();
             });
 
+            // Handle new village button - keeps the current village in its slot
+            if (this.newSlotBtn) {
+                this.newSlotBtn.addEventListener('click', () => {
+                    this.performReset(true);
+                    this.hideDialog();
+                });
+            }
+
             // Handle cancel button
             this.cancelBtn.addEventListener('click', () => {
                 this.hideDialog();
@@ -63,9 +73,18 @@ export class ClearButton {
         }
     }
 
-    performReset() {
-        // Reset game state (clears items, resets budget/population, regenerates map)
-        this.gameState.resetGame();
+    /**
+     * Start over with a fresh map
+     * @param {boolean} inNewSlot - If true, start in a new save slot instead of overwriting the current one
+     */
+    performReset(inNewSlot = false) {
+        if (inNewSlot) {
+            // Create a new slot with a fresh map, the current village stays saved
+            this.gameState.startNewSlot();
+        } else {
+            // Reset game state (clears items, resets budget/population, regenerates map)
+            this.gameState.resetGame();
+        }
         
         // Clear all villagers
         if (this.villagerManager) {
@@ -0,0 +1,257 @@
+import { CONFIG } from '../config.js';
+import { getLoanOffer, getLoanOfferIds } from '../data/loanData.js';
+
+/**
+ * Handles the finances dialog (rent residents pay each interval, and loans)
+ */
+export class FinanceDialog {
+    constructor(gameState, toast) {
+        this.gameState = gameState;
+        this.toast = toast;
+        this.dialog = null;
+        this.taxRateInput = null;
+        this.taxRateValue = null;
+        this.taxSummary = null;
+        this.loanOffersElement = null;
+        this.activeLoansElement = null;
+        this.closeBtn = null;
+        this.setupDialog();
+        this.setupEventListeners();
+    }
+
+    setupDialog() {
+        this.dialog = document.getElementById('finance-dialog');
+        this.taxRateInput = document.getElementById('tax-rate-input');
+        this.taxRateValue = document.getElementById('tax-rate-value');
+        this.taxSummary = document.getElementById('tax-summary');
+        this.loanOffersElement = document.getElementById('loan-offers');
+        this.activeLoansElement = document.getElementById('active-loans');
+        this.closeBtn = document.getElementById('finance-close-btn');
+
+        if (this.dialog && this.taxRateInput && this.taxRateValue && this.taxSummary && this.closeBtn) {
+            this.taxRateInput.min = 0;
+            this.taxRateInput.max = CONFIG.TAX_MAX_RATE;
+            this.taxRateInput.step = CONFIG.TAX_RATE_STEP;
+
+            this.taxRateInput.addEventListener('input', () => {
+                this.gameState.setTaxRate(Number(this.taxRateInput.value));
+            });
+
+            // Keep arrow keys on the slider from reaching the game's keyboard shortcuts
+            this.taxRateInput.addEventListener('keydown', (e) => {
+                if (e.key !== 'Escape') {
+                    e.stopPropagation();
+                }
+            });
+
+            // Handle close button
+            this.closeBtn.addEventListener('click', () => {
+                this.hideDialog();
+            });
+
+            // Close dialog when clicking on overlay (but not on the dialog itself)
+            this.dialog.addEventListener('click', (e) => {
+                if (e.target === this.dialog) {
+                    this.hideDialog();
+                }
+            });
+
+            // Close dialog with Escape key
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.dialog.style.display !== 'none') {
+                    this.hideDialog();
+                }
+            });
+
+            // Rent is collected from residents, so the summary follows the population while the dialog is open
+            // Repaying early depends on the budget, so the loans follow it too
+            ['taxRateChanged', 'populationChanged', 'loansChanged', 'budgetChanged', 'bankrupt', 'stateLoaded', 'reset'].forEach(event => {
+                this.gameState.on(event, () => {
+                    if (this.dialog.style.display !== 'none') {
+                        this.render();
+                    }
+                });
+            });
+        }
+    }
+
+    showDialog() {
+        if (this.dialog) {
+            this.render();
+            this.dialog.style.display = 'flex';
+            // Focus the slider so the rent can be changed with the keyboard
+            if (this.taxRateInput) {
+                this.taxRateInput.focus();
+            }
+        }
+    }
+
+    hideDialog() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * Format money for display
+     * @param {number} amount - Amount of money
+     * @returns {string} Formatted amount
+     */
+    formatMoney(amount) {
+        return `⍱${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * Show the current rent and what it does to the village
+     */
+    render() {
+        if (!this.taxSummary) return;
+
+        const taxRate = this.gameState.getTaxRate();
+        this.taxRateInput.value = taxRate;
+        this.taxRateValue.textContent = this.formatMoney(taxRate);
+
+        const happiness = Math.round(this.gameState.getTaxHappiness());
+        const turnedAway = Math.round((1 - this.gameState.getTaxImmigrationMultiplier()) * 100);
+        const population = this.gameState.getPopulation();
+
+        this.taxSummary.innerHTML = '';
+        [
+            `Collected: ${this.formatMoney(this.gameState.getTaxIncomePerInterval())} per interval from ${population.toLocaleString()} ${population === 1 ? 'resident' : 'residents'}`,
+            `Happiness: ${happiness > 0 ? '+' : ''}${happiness}`,
+            turnedAway > 0 ? `Newcomers: ${turnedAway}% fewer move in` : 'Newcomers: nobody is put off'
+        ].forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            this.taxSummary.appendChild(item);
+        });
+
+        this.renderLoans();
+    }
+
+    /**
+     * Show the loans on offer and the loans being repaid
+     */
+    renderLoans() {
+        if (!this.loanOffersElement || !this.activeLoansElement) return;
+
+        this.loanOffersElement.innerHTML = '';
+        getLoanOfferIds().forEach(offerId => {
+            this.loanOffersElement.appendChild(this.createOfferElement(offerId));
+        });
+
+        this.activeLoansElement.innerHTML = '';
+        this.gameState.getLoans().forEach(loan => {
+            this.activeLoansElement.appendChild(this.createLoanElement(loan));
+        });
+    }
+
+    /**
+     * Create the element for a loan on offer
+     * @param {string} offerId - Loan offer ID
+     * @returns {HTMLElement} Offer element
+     */
+    createOfferElement(offerId) {
+        const offer = getLoanOffer(offerId);
+        const { allowed, reason } = this.gameState.canTakeLoan(offerId);
+
+        const offerElement = document.createElement('div');
+        offerElement.className = 'save-slot';
+
+        const nameElement = document.createElement('div');
+        nameElement.className = 'save-slot-name';
+        nameElement.textContent = `${offer.name}: ${this.formatMoney(offer.amount)}`;
+        offerElement.appendChild(nameElement);
+
+        const details = document.createElement('div');
+        details.className = 'save-slot-details';
+        const owed = offer.amount * (1 + offer.interest);
+        details.textContent = `${Math.round(offer.interest * 100)}% interest, repay ${this.formatMoney(owed)} over ${offer.days} ${offer.days === 1 ? 'day' : 'days'}`;
+        offerElement.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'save-slot-actions';
+        const borrowBtn = document.createElement('button');
+        borrowBtn.className = 'save-slot-btn';
+        borrowBtn.textContent = 'Borrow';
+        borrowBtn.disabled = !allowed;
+        if (!allowed) {
+            borrowBtn.title = reason;
+        }
+        borrowBtn.addEventListener('click', () => this.borrow(offerId));
+        actions.appendChild(borrowBtn);
+        offerElement.appendChild(actions);
+
+        return offerElement;
+    }
+
+    /**
+     * Create the element for a loan being repaid
+     * @param {Object} loan - Loan from GameState.getLoans
+     * @returns {HTMLElement} Loan element
+     */
+    createLoanElement(loan) {
+        const offer = getLoanOffer(loan.offerId);
+
+        const loanElement = document.createElement('div');
+        loanElement.className = 'save-slot active';
+
+        const nameElement = document.createElement('div');
+        nameElement.className = 'save-slot-name';
+        nameElement.textContent = `${offer.name} (day ${loan.dayTaken})`;
+        loanElement.appendChild(nameElement);
+
+        const details = document.createElement('div');
+        details.className = 'save-slot-details';
+        details.textContent = `Owed: ${this.formatMoney(loan.owed)} · ${this.formatMoney(loan.installment)} per interval`;
+        const payoff = document.createElement('div');
+        payoff.textContent = `Paid off on day ${this.gameState.getLoanPayoffDay(loan)}`;
+        details.appendChild(payoff);
+        loanElement.appendChild(details);
+
+        const actions = document.createElement('div');
+        actions.className = 'save-slot-actions';
+        const repayBtn = document.createElement('button');
+        repayBtn.className = 'save-slot-btn';
+        repayBtn.textContent = 'Repay now';
+        repayBtn.disabled = this.gameState.getBudget() < loan.owed;
+        if (repayBtn.disabled) {
+            repayBtn.title = 'Not enough money to repay it all at once';
+        }
+        repayBtn.addEventListener('click', () => this.repay(loan));
+        actions.appendChild(repayBtn);
+        loanElement.appendChild(actions);
+
+        return loanElement;
+    }
+
+    /**
+     * Take a loan on offer
+     * @param {string} offerId - Loan offer ID
+     */
+    borrow(offerId) {
+        const loan = this.gameState.takeLoan(offerId);
+        if (this.toast && loan) {
+            this.toast.success(`Borrowed ${this.formatMoney(loan.amount)}`);
+        }
+    }
+
+    /**
+     * Pay off the rest of a loan
+     * @param {Object} loan - Loan from GameState.getLoans
+     */
+    repay(loan) {
+        if (this.gameState.repayLoan(loan.id) && this.toast) {
+            this.toast.success(`${getLoanOffer(loan.offerId).name} repaid`);
+        }
+    }
+
+    setupEventListeners() {
+        const financeBtn = document.getElementById('finance-btn');
+        if (financeBtn) {
+            financeBtn.addEventListener('click', () => {
+                this.showDialog();
+            });
+        }
+    }
+}
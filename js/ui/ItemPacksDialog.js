@@ -0,0 +1,292 @@
+import { fetchItemPack, installItemPack, readItemPackFile, uninstallItemPack } from '../core/itemPacks.js';
+import { getCategory, getItemPacks, getItemTypes } from '../data/itemRegistry.js';
+
+/**
+ * Handles the item packs dialog (install packs from a file or URL, list and remove them)
+ */
+export class ItemPacksDialog {
+    constructor(gameState, renderer, villagerManager, toast = null) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.villagerManager = villagerManager;
+        this.toast = toast;
+        this.dialog = null;
+        this.listElement = null;
+        this.urlInput = null;
+        this.closeBtn = null;
+        this.fileInput = null;
+        this.setupDialog();
+        this.setupEventListeners();
+    }
+
+    setupDialog() {
+        this.dialog = document.getElementById('item-packs-dialog');
+        this.listElement = document.getElementById('item-packs-list');
+        this.urlInput = document.getElementById('item-packs-url');
+        this.closeBtn = document.getElementById('item-packs-close-btn');
+        const fileBtn = document.getElementById('item-packs-file-btn');
+        const urlBtn = document.getElementById('item-packs-url-btn');
+
+        if (this.dialog && this.listElement && this.urlInput && this.closeBtn && fileBtn && urlBtn) {
+            // Hidden file input used by the file button
+            this.fileInput = document.createElement('input');
+            this.fileInput.type = 'file';
+            this.fileInput.accept = '.json,application/json';
+            this.fileInput.style.display = 'none';
+            document.body.appendChild(this.fileInput);
+
+            this.fileInput.addEventListener('change', () => {
+                const file = this.fileInput.files[0];
+                // Reset so choosing the same file again still triggers a change
+                this.fileInput.value = '';
+                if (file) {
+                    this.install(() => readItemPackFile(file));
+                }
+            });
+
+            fileBtn.addEventListener('click', () => {
+                this.fileInput.click();
+            });
+
+            urlBtn.addEventListener('click', () => {
+                this.installFromUrl();
+            });
+
+            this.urlInput.addEventListener('keydown', (e) => {
+                // Keep typing from reaching the game's keyboard shortcuts
+                e.stopPropagation();
+                if (e.key === 'Enter') {
+                    this.installFromUrl();
+                } else if (e.key === 'Escape') {
+                    this.hideDialog();
+                }
+            });
+
+            // Handle close button
+            this.closeBtn.addEventListener('click', () => {
+                this.hideDialog();
+            });
+
+            // Close dialog when clicking on overlay (but not on the dialog itself)
+            this.dialog.addEventListener('click', (e) => {
+                if (e.target === this.dialog) {
+                    this.hideDialog();
+                }
+            });
+
+            // Close dialog with Escape key
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.dialog.style.display !== 'none') {
+                    this.hideDialog();
+                }
+            });
+        }
+    }
+
+    showDialog() {
+        if (this.dialog) {
+            this.renderPacks();
+            this.dialog.style.display = 'flex';
+            // Focus the close button for keyboard navigation
+            if (this.closeBtn) {
+                this.closeBtn.focus();
+            }
+        }
+    }
+
+    hideDialog() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the installed packs, and the packs the saved village is waiting for
+     */
+    renderPacks() {
+        if (!this.listElement) return;
+
+        this.listElement.innerHTML = '';
+
+        const missingPacks = this.gameState.getMissingItemPacks();
+        if (missingPacks.length > 0) {
+            const warning = document.createElement('p');
+            warning.className = 'modal-warning';
+            const names = missingPacks.map(pack => `"${pack.name}"`).join(', ');
+            warning.textContent = `Your village needs ${names} before it can be played.`;
+            this.listElement.appendChild(warning);
+        }
+
+        const packs = getItemPacks();
+        if (packs.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'item-packs-empty';
+            empty.textContent = 'No item packs installed';
+            this.listElement.appendChild(empty);
+            return;
+        }
+
+        packs.forEach(pack => {
+            this.listElement.appendChild(this.createPackElement(pack));
+        });
+    }
+
+    /**
+     * Describe how many items of each type a pack adds
+     * @param {Object} pack - Item pack
+     * @returns {string} Summary such as "2 Buildings · 1 Roads"
+     */
+    describePackItems(pack) {
+        return getItemTypes()
+            .filter(type => pack.items[type] && Object.keys(pack.items[type]).length > 0)
+            .map(type => `${Object.keys(pack.items[type]).length} ${getCategory(type).label}`)
+            .join(' · ');
+    }
+
+    /**
+     * Create the element for one pack
+     * @param {Object} pack - Item pack
+     * @returns {HTMLElement} Pack element
+     */
+    createPackElement(pack) {
+        const inUse = this.gameState.isItemPackInUse(pack.id);
+
+        const packElement = document.createElement('div');
+        packElement.className = inUse ? 'save-slot active' : 'save-slot';
+
+        // Name
+        const nameElement = document.createElement('div');
+        nameElement.className = 'save-slot-name';
+        nameElement.textContent = pack.version ? `${pack.name} v${pack.version}` : pack.name;
+        packElement.appendChild(nameElement);
+
+        // Summary
+        const details = document.createElement('div');
+        details.className = 'save-slot-details';
+        details.textContent = this.describePackItems(pack);
+        if (inUse) {
+            const usage = document.createElement('div');
+            usage.textContent = 'Used by this village';
+            details.appendChild(usage);
+        }
+        packElement.appendChild(details);
+
+        // Actions
+        const actions = document.createElement('div');
+        actions.className = 'save-slot-actions';
+
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'save-slot-btn save-slot-btn-danger';
+        removeBtn.textContent = 'Remove';
+        removeBtn.disabled = inUse;
+        if (inUse) {
+            removeBtn.title = 'Remove this pack\'s items from the village first';
+        }
+        removeBtn.addEventListener('click', () => this.remove(pack));
+        actions.appendChild(removeBtn);
+
+        packElement.appendChild(actions);
+        return packElement;
+    }
+
+    /**
+     * Install the pack at the URL typed in the dialog
+     */
+    installFromUrl() {
+        const url = this.urlInput.value.trim();
+        if (!url) {
+            if (this.toast) {
+                this.toast.warning('Enter the URL of an item pack first');
+            }
+            return;
+        }
+        this.install(() => fetchItemPack(url)).then(installed => {
+            if (installed) {
+                this.urlInput.value = '';
+            }
+        });
+    }
+
+    /**
+     * Load and install a pack
+     * @param {Function} loadPack - Returns a promise of the parsed pack
+     * @returns {Promise<boolean>} True if the pack was installed
+     */
+    async install(loadPack) {
+        let pack;
+        try {
+            pack = await loadPack();
+            installItemPack(pack);
+        } catch (error) {
+            console.warn('Failed to install item pack:', error);
+            if (this.toast) {
+                this.toast.warning(`Could not load the item pack: ${error.message}`, 6000);
+            }
+            return false;
+        }
+
+        if (this.toast) {
+            this.toast.success(`Installed ${pack.name}`);
+        }
+        this.retryMissingPacks();
+        this.renderPacks();
+        return true;
+    }
+
+    /**
+     * Load the saved village again once every pack it was waiting for is installed
+     */
+    retryMissingPacks() {
+        const missingPacks = this.gameState.getMissingItemPacks();
+        const installedIds = new Set(getItemPacks().map(pack => pack.id));
+        if (missingPacks.length === 0 || !missingPacks.every(pack => installedIds.has(pack.id))) {
+            return;
+        }
+
+        this.gameState.switchSlot(this.gameState.getActiveSlotId());
+
+        // Villagers belong to the placeholder map
+        if (this.villagerManager) {
+            this.villagerManager.clear();
+        }
+        this.renderer.render();
+
+        const loadError = this.gameState.getLoadError();
+        if (this.toast) {
+            if (loadError) {
+                this.toast.warning(loadError, 8000);
+            } else {
+                this.toast.success('Your village is back');
+            }
+        }
+    }
+
+    /**
+     * Remove an installed pack
+     * @param {Object} pack - Item pack
+     */
+    remove(pack) {
+        // The button is disabled too, but the village may have changed since the list was drawn
+        if (this.gameState.isItemPackInUse(pack.id)) {
+            if (this.toast) {
+                this.toast.warning(`${pack.name} is used by this village`);
+            }
+            this.renderPacks();
+            return;
+        }
+
+        if (uninstallItemPack(pack.id) && this.toast) {
+            this.toast.neutral(`${pack.name} removed`);
+        }
+        this.renderPacks();
+    }
+
+    setupEventListeners() {
+        const itemPacksBtn = document.getElementById('item-packs-btn');
+        if (itemPacksBtn) {
+            itemPacksBtn.addEventListener('click', () => {
+                this.showDialog();
+            });
+        }
+    }
+}
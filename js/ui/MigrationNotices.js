@@ -0,0 +1,48 @@
+/**
+ * Tells the player why villagers are moving away
+ * Departures come in a trickle, so each reason is reported at most once a day
+ */
+export class MigrationNotices {
+    constructor(gameState, toast) {
+        this.gameState = gameState;
+        this.toast = toast;
+        this.noticeDays = new Map(); // Reason -> day it was last reported
+        this.setupGameStateListeners();
+    }
+
+    /**
+     * Explain a reason for leaving
+     * @param {string} reason - Reason from GameState.getMigrationOutlook
+     * @returns {string} Text such as "they couldn't find work"
+     */
+    describeReason(reason) {
+        switch (reason) {
+            case 'unhappiness':
+                return 'their houses made them unhappy';
+            case 'unemployment':
+                return 'they couldn\'t find work';
+            case 'hunger':
+                return 'there isn\'t enough food';
+            case 'debt':
+                return 'the village is in debt';
+            default:
+                return 'times are hard';
+        }
+    }
+
+    setupGameStateListeners() {
+        this.gameState.on('villagersLeft', ({ count, reason }) => {
+            if (!this.toast || this.noticeDays.get(reason) === this.gameState.day) {
+                return;
+            }
+            this.noticeDays.set(reason, this.gameState.day);
+            const who = count === 1 ? 'A villager moved away' : `${count} villagers moved away`;
+            this.toast.warning(`${who}, ${this.describeReason(reason)}`, 5000);
+        });
+
+        // A different village starts with a clean slate
+        ['stateLoaded', 'reset'].forEach(event => {
+            this.gameState.on(event, () => this.noticeDays.clear());
+        });
+    }
+}
@@ -0,0 +1,179 @@
+import { getResourceName } from '../data/itemRegistry.js';
+
+/**
+ * Shows how far a village has got catching up on time away, then the "While you were away" summary
+ */
+export class OfflineProgressDialog {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.dialog = null;
+        this.summaryElement = null;
+        this.closeBtn = null;
+        this.setupDialog();
+        this.setupGameStateListeners();
+    }
+
+    setupDialog() {
+        this.dialog = document.getElementById('offline-progress-dialog');
+        this.summaryElement = document.getElementById('offline-progress-summary');
+        this.closeBtn = document.getElementById('offline-progress-close-btn');
+
+        if (this.dialog && this.summaryElement && this.closeBtn) {
+            // Handle close button, disabled until the catch-up is done
+            this.closeBtn.addEventListener('click', () => {
+                this.hideDialog();
+            });
+
+            // Close dialog when clicking on overlay (but not on the dialog itself)
+            this.dialog.addEventListener('click', (e) => {
+                if (e.target === this.dialog) {
+                    this.hideDialog();
+                }
+            });
+
+            // Close dialog with Escape key
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.dialog.style.display !== 'none') {
+                    this.hideDialog();
+                }
+            });
+        }
+    }
+
+    /**
+     * Show the summary whenever a village is loaded with offline progress
+     */
+    setupGameStateListeners() {
+        this.gameState.on('stateLoaded', ({ offlineReport }) => {
+            if (offlineReport) {
+                this.showDialog(offlineReport);
+            }
+        });
+    }
+
+    /**
+     * Format a duration for display
+     * @param {number} duration - Duration in milliseconds
+     * @returns {string} Duration such as "2h 15m" or "45m"
+     */
+    formatDuration(duration) {
+        const totalMinutes = Math.floor(duration / 60000);
+        const hours = Math.floor(totalMinutes / 60);
+        const minutes = totalMinutes % 60;
+        if (hours > 0) {
+            return `${hours}h ${minutes}m`;
+        }
+        return totalMinutes > 0 ? `${minutes}m` : 'less than a minute';
+    }
+
+    /**
+     * Format money for display
+     * @param {number} amount - Amount of money
+     * @returns {string} Formatted amount
+     */
+    formatMoney(amount) {
+        return `⍱${amount.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * Describe the villagers who moved in and out
+     * @param {Object} report - Report from GameState.simulateAbsence
+     * @returns {Array<string>} Lines for arrivals and departures, none if nobody moved
+     */
+    describeMigration(report) {
+        const lines = [];
+        if (report.residentsArrived > 0) {
+            lines.push(`Villagers moved in: ${report.residentsArrived}`);
+        }
+        if (report.residentsLeft > 0) {
+            lines.push(`Villagers moved away: ${report.residentsLeft}`);
+        }
+        return lines;
+    }
+
+    /**
+     * Describe how the stockpile changed
+     * @param {Object} report - Report from GameState.simulateAbsence
+     * @returns {Array<string>} One line per resource that changed, such as "Wood: +12"
+     */
+    describeResources(report) {
+        const resourceIds = Object.keys({ ...report.resourcesProduced, ...report.resourcesConsumed });
+        return resourceIds
+            .map(resourceId => ({
+                resourceId,
+                net: Math.round((report.resourcesProduced[resourceId] || 0) - (report.resourcesConsumed[resourceId] || 0))
+            }))
+            .filter(({ net }) => net !== 0)
+            .map(({ resourceId, net }) => `${getResourceName(resourceId)}: ${net > 0 ? '+' : ''}${net}`);
+    }
+
+    /**
+     * Show how much of the time away has been simulated, the dialog can't be closed until it's done
+     * @param {number} elapsed - Game time away in milliseconds
+     * @param {number} progress - Share simulated so far (0 to 1)
+     */
+    showProgress(elapsed, progress) {
+        if (!this.dialog || !this.summaryElement) return;
+
+        this.summaryElement.innerHTML = '';
+        const progressText = document.createElement('p');
+        progressText.textContent = `Catching up on ${this.formatDuration(elapsed)} away… ${Math.floor(progress * 100)}%`;
+        this.summaryElement.appendChild(progressText);
+
+        if (this.closeBtn) {
+            this.closeBtn.disabled = true;
+        }
+        this.dialog.style.display = 'flex';
+    }
+
+    /**
+     * Show the summary of an offline progress report
+     * @param {Object} report - Report from GameState.simulateAbsence
+     */
+    showDialog(report) {
+        if (!this.dialog || !this.summaryElement) return;
+
+        this.summaryElement.innerHTML = '';
+
+        const awayText = document.createElement('p');
+        awayText.textContent = `Your village kept working for ${this.formatDuration(report.elapsed)}.`;
+        this.summaryElement.appendChild(awayText);
+
+        const list = document.createElement('ul');
+        const net = report.net >= 0 ? `+${this.formatMoney(report.net)}` : `-${this.formatMoney(-report.net)}`;
+        [
+            `Earned: ${this.formatMoney(report.income)}`,
+            `Expenses: ${this.formatMoney(report.expenses)}`,
+            ...(report.loanRepayments > 0 ? [`Of which loan repayments: ${this.formatMoney(report.loanRepayments)}`] : []),
+            `Balance: ${net}`,
+            `Days passed: ${report.daysPassed}`,
+            ...this.describeMigration(report),
+            ...this.describeResources(report)
+        ].forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        this.summaryElement.appendChild(list);
+
+        if (report.capped) {
+            const cappedText = document.createElement('p');
+            cappedText.className = 'modal-warning';
+            cappedText.textContent = `Only ${this.formatDuration(report.simulatedTime)} of that time was counted.`;
+            this.summaryElement.appendChild(cappedText);
+        }
+
+        this.dialog.style.display = 'flex';
+        // Focus the close button for keyboard navigation
+        if (this.closeBtn) {
+            this.closeBtn.disabled = false;
+            this.closeBtn.focus();
+        }
+    }
+
+    hideDialog() {
+        if (this.dialog && !this.gameState.isCatchingUp()) {
+            this.dialog.style.display = 'none';
+        }
+    }
+}
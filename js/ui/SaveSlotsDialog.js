@@ -0,0 +1,290 @@
+/**
+ * Handles the save slots dialog (list, create, rename, duplicate, delete and switch villages)
+ */
+export class SaveSlotsDialog {
+    constructor(gameState, renderer, villagerManager, toast = null) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.villagerManager = villagerManager;
+        this.toast = toast;
+        this.dialog = null;
+        this.listElement = null;
+        this.closeBtn = null;
+        this.newBtn = null;
+        this.pendingDeleteId = null; // Slot waiting for a second click to confirm deletion
+        this.setupDialog();
+        this.setupEventListeners();
+    }
+
+    setupDialog() {
+        this.dialog = document.getElementById('save-slots-dialog');
+        this.listElement = document.getElementById('save-slots-list');
+        this.closeBtn = document.getElementById('slots-close-btn');
+        this.newBtn = document.getElementById('slots-new-btn');
+
+        if (this.dialog && this.listElement && this.closeBtn && this.newBtn) {
+            // Handle close button
+            this.closeBtn.addEventListener('click', () => {
+                this.hideDialog();
+            });
+
+            // Handle new village button
+            this.newBtn.addEventListener('click', () => {
+                const slot = this.gameState.startNewSlot();
+                this.afterSlotChange();
+                this.hideDialog();
+                if (this.toast) {
+                    this.toast.success(`Started ${slot.name}`);
+                }
+            });
+
+            // Close dialog when clicking on overlay (but not on the dialog itself)
+            this.dialog.addEventListener('click', (e) => {
+                if (e.target === this.dialog) {
+                    this.hideDialog();
+                }
+            });
+
+            // Close dialog with Escape key
+            document.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.dialog.style.display !== 'none') {
+                    this.hideDialog();
+                }
+            });
+        }
+    }
+
+    showDialog() {
+        if (this.dialog) {
+            this.pendingDeleteId = null;
+            this.renderSlots();
+            this.dialog.style.display = 'flex';
+            // Focus the close button for keyboard navigation
+            if (this.closeBtn) {
+                this.closeBtn.focus();
+            }
+        }
+    }
+
+    hideDialog() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * Format a slot's last played time for display
+     * @param {number|null} timestamp - Milliseconds since epoch
+     * @returns {string} Human readable time
+     */
+    formatLastPlayed(timestamp) {
+        if (!timestamp) {
+            return 'Never';
+        }
+        return new Date(timestamp).toLocaleString();
+    }
+
+    /**
+     * Render the list of slots
+     */
+    renderSlots() {
+        if (!this.listElement) return;
+
+        this.listElement.innerHTML = '';
+        const activeSlotId = this.gameState.getActiveSlotId();
+
+        this.gameState.getSlots().forEach(slot => {
+            this.listElement.appendChild(this.createSlotElement(slot, slot.id === activeSlotId));
+        });
+    }
+
+    /**
+     * Create the element for one slot
+     * @param {Object} slot - Slot record
+     * @param {boolean} isActive - Whether this slot is currently being played
+     * @returns {HTMLElement} Slot element
+     */
+    createSlotElement(slot, isActive) {
+        const slotElement = document.createElement('div');
+        slotElement.className = isActive ? 'save-slot active' : 'save-slot';
+
+        // Name
+        const nameElement = document.createElement('div');
+        nameElement.className = 'save-slot-name';
+        nameElement.textContent = isActive ? `${slot.name} (playing)` : slot.name;
+        slotElement.appendChild(nameElement);
+
+        // Summary
+        const details = document.createElement('div');
+        details.className = 'save-slot-details';
+        const summary = slot.summary;
+        if (summary) {
+            const budget = summary.budget.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+            details.textContent = `Budget: ⍱${budget} · Population: ${summary.population.toLocaleString()} · Day ${summary.day}`;
+        } else {
+            details.textContent = 'Not played yet';
+        }
+        const lastPlayed = document.createElement('div');
+        lastPlayed.textContent = `Last played: ${this.formatLastPlayed(slot.lastPlayed)}`;
+        details.appendChild(lastPlayed);
+        slotElement.appendChild(details);
+
+        // Actions
+        const actions = document.createElement('div');
+        actions.className = 'save-slot-actions';
+
+        const playBtn = this.createActionButton('Play', () => this.switchTo(slot));
+        playBtn.disabled = isActive;
+        actions.appendChild(playBtn);
+
+        actions.appendChild(this.createActionButton('Rename', () => this.startRename(slotElement, nameElement, slot)));
+        actions.appendChild(this.createActionButton('Duplicate', () => this.duplicate(slot)));
+
+        const isPendingDelete = this.pendingDeleteId === slot.id;
+        const deleteBtn = this.createActionButton(isPendingDelete ? 'Really delete?' : 'Delete', () => this.delete(slot));
+        deleteBtn.classList.add('save-slot-btn-danger');
+        deleteBtn.disabled = isActive;
+        if (isActive) {
+            deleteBtn.title = 'Switch to another village before deleting this one';
+        }
+        actions.appendChild(deleteBtn);
+
+        slotElement.appendChild(actions);
+        return slotElement;
+    }
+
+    /**
+     * Create a small action button
+     * @param {string} label - Button label
+     * @param {Function} onClick - Click handler
+     * @returns {HTMLButtonElement} Button element
+     */
+    createActionButton(label, onClick) {
+        const button = document.createElement('button');
+        button.className = 'save-slot-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Switch to another slot
+     * @param {Object} slot - Slot record
+     */
+    switchTo(slot) {
+        if (this.gameState.switchSlot(slot.id)) {
+            this.afterSlotChange();
+            this.hideDialog();
+            if (this.toast) {
+                this.toast.success(`Welcome back to ${slot.name}`);
+            }
+        }
+    }
+
+    /**
+     * Replace a slot's name with an input to rename it
+     * @param {HTMLElement} slotElement - Slot element
+     * @param {HTMLElement} nameElement - Name element to replace
+     * @param {Object} slot - Slot record
+     */
+    startRename(slotElement, nameElement, slot) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'save-slot-name-input';
+        input.value = slot.name;
+        input.maxLength = 40;
+
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) return;
+            finished = true;
+            if (commit && input.value.trim() && !this.gameState.renameSlot(slot.id, input.value)) {
+                if (this.toast) {
+                    this.toast.warning('Could not rename this village');
+                }
+            }
+            this.renderSlots();
+        };
+
+        input.addEventListener('keydown', (e) => {
+            // Keep Escape from closing the whole dialog while renaming
+            e.stopPropagation();
+            if (e.key === 'Enter') {
+                finish(true);
+            } else if (e.key === 'Escape') {
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
+
+        slotElement.replaceChild(input, nameElement);
+        input.focus();
+        input.select();
+    }
+
+    /**
+     * Duplicate a slot
+     * @param {Object} slot - Slot record
+     */
+    duplicate(slot) {
+        const copy = this.gameState.duplicateSlot(slot.id);
+        if (this.toast) {
+            if (copy) {
+                this.toast.success(`Copied to ${copy.name}`);
+            } else {
+                this.toast.warning('Could not duplicate this village');
+            }
+        }
+        this.renderSlots();
+    }
+
+    /**
+     * Delete a slot, asking for a second click first
+     * @param {Object} slot - Slot record
+     */
+    delete(slot) {
+        if (this.pendingDeleteId !== slot.id) {
+            this.pendingDeleteId = slot.id;
+            this.renderSlots();
+            return;
+        }
+
+        this.pendingDeleteId = null;
+        if (this.gameState.deleteSlot(slot.id)) {
+            if (this.toast) {
+                this.toast.neutral(`${slot.name} deleted`);
+            }
+        } else if (this.toast) {
+            this.toast.warning('Could not delete this village');
+        }
+        this.renderSlots();
+    }
+
+    /**
+     * Refresh everything that depends on the loaded village
+     */
+    afterSlotChange() {
+        // Villagers belong to the previous village
+        if (this.villagerManager) {
+            this.villagerManager.clear();
+        }
+
+        // Report a save that couldn't be loaded
+        const loadError = this.gameState.getLoadError();
+        if (loadError && this.toast) {
+            this.toast.warning(loadError, 8000);
+        }
+
+        // Re-render the scene
+        this.renderer.render();
+    }
+
+    setupEventListeners() {
+        const slotsBtn = document.getElementById('slots-btn');
+        if (slotsBtn) {
+            slotsBtn.addEventListener('click', () => {
+                this.showDialog();
+            });
+        }
+    }
+}
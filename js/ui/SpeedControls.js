@@ -0,0 +1,41 @@
+/**
+ * Handles the game speed buttons next to the time gauge (pause, 1×, 2×, 4×)
+ */
+export class SpeedControls {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.container = document.getElementById('speed-controls');
+        this.setupEventListeners();
+        this.update();
+    }
+
+    setupEventListeners() {
+        if (!this.container) return;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('.speed-btn');
+            if (!button) return;
+            this.gameState.setGameSpeed(Number(button.dataset.speed));
+            // Don't keep focus, Space would press the button again instead of toggling pause
+            button.blur();
+        });
+
+        // Keyboard shortcuts change the speed too, so follow the game state rather than clicks
+        this.gameState.on('speedChanged', () => this.update());
+    }
+
+    /**
+     * Highlight the button of the current speed
+     */
+    update() {
+        if (!this.container) return;
+
+        const speed = this.gameState.getGameSpeed();
+        this.container.querySelectorAll('.speed-btn').forEach(button => {
+            const isActive = Number(button.dataset.speed) === speed;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+        this.container.classList.toggle('paused', speed === 0);
+    }
+}
@@ -1,8 +1,10 @@
 import { CONFIG } from '../config.js';
+import { getEventData } from '../data/eventData.js';
+import { getItemName, getResourceData, getResourceIds, getResourceName } from '../data/itemRegistry.js';
 import { interpolateColor } from '../utils/colorUtils.js';
 
 /**
- * Handles stats panel UI (budget and population display)
+ * Handles stats panel UI (budget, population, food, happiness and resource stockpile display)
  */
 export class StatsPanel {
     constructor(gameState, renderer) {
@@ -11,33 +13,106 @@ export class StatsPanel {
         this.budgetElement = document.getElementById('budget-display');
         this.incomeElement = document.getElementById('income-display');
         this.expensesElement = document.getElementById('expenses-display');
+        this.taxesElement = document.getElementById('taxes-display');
+        this.loansElement = document.getElementById('loans-display');
+        this.debtWarningElement = document.getElementById('debt-warning');
         this.populationElement = document.getElementById('population-display');
         this.unemployedElement = document.getElementById('unemployed-display');
+        this.housingElement = document.getElementById('housing-display');
+        this.migrationElement = document.getElementById('migration-display');
+        this.migrationToday = { arrived: 0, left: 0 }; // Villagers who moved in and out since the day started
         this.productionElement = document.getElementById('production-display');
         this.productionWarningElement = document.getElementById('production-warning');
+        this.harvestWarningElement = document.getElementById('harvest-warning');
+        this.stalledWarningElement = document.getElementById('stalled-warning');
+        this.foodElement = document.getElementById('food-display');
+        this.foodReserveElement = document.getElementById('food-reserve');
+        this.foodWarningElement = document.getElementById('food-warning');
+        this.happinessElement = document.getElementById('happiness-score');
+        this.happinessBreakdownElement = document.getElementById('happiness-breakdown');
+        this.unhappyWarningElement = document.getElementById('unhappy-warning');
+        this.eventEffectsElement = document.getElementById('event-effects');
+        this.resourcesElement = document.getElementById('resources-display');
+        this.resourceElements = new Map(); // Resource ID -> { amount, rate } elements
+        this.createResourceElements();
         
         // Time gauge elements
         this.timeGaugeDay = document.querySelector('.time-gauge-day');
         this.timeGaugeNight = document.querySelector('.time-gauge-night');
         this.timeGaugeIndicator = document.querySelector('.time-gauge-indicator');
         this.timeStatusElement = document.getElementById('time-status');
+        this.seasonStatusElement = document.getElementById('season-status');
+        this.weatherStatusElement = document.getElementById('weather-status');
+        this.weatherForecastElement = document.getElementById('weather-forecast');
+        
+        this.updateScheduled = false;
         
         // Initial update
         this.update();
         
-        // Update stats display whenever renderer renders (after state changes)
+        // Update stats display whenever the game state changes
         this.setupUpdateListener();
     }
 
     setupUpdateListener() {
-        // Store original render method
-        const originalRender = this.renderer.render.bind(this.renderer);
+        const events = [
+            'itemPlaced', 'itemRemoved', 'budgetChanged', 'populationChanged', 'resourcesChanged', 'taxRateChanged',
+            'loansChanged', 'debtWarning', 'bankrupt', 'bailedOut', 'seasonChanged', 'weatherChanged',
+            'eventEffectsChanged', 'tick', 'stateLoaded', 'reset', 'speedChanged'
+        ];
+        events.forEach(event => {
+            this.gameState.on(event, () => this.scheduleUpdate());
+        });
         
-        // Override render to update stats display
-        this.renderer.render = () => {
-            originalRender();
+        // Count the day's arrivals and departures
+        this.gameState.on('villagersArrived', ({ count }) => {
+            this.migrationToday.arrived += count;
+        });
+        this.gameState.on('villagersLeft', ({ count }) => {
+            this.migrationToday.left += count;
+        });
+        ['dayStarted', 'stateLoaded', 'reset'].forEach(event => {
+            this.gameState.on(event, () => {
+                this.migrationToday = { arrived: 0, left: 0 };
+            });
+        });
+    }
+
+    /**
+     * Create one line per resource in the resources group
+     */
+    createResourceElements() {
+        if (!this.resourcesElement) return;
+        
+        getResourceIds().forEach(resourceId => {
+            const resourceData = getResourceData(resourceId);
+            const line = document.createElement('div');
+            line.className = 'stat-item';
+            line.textContent = `${resourceData.icon} ${resourceData.name}: `;
+            
+            const amount = document.createElement('span');
+            const rate = document.createElement('span');
+            rate.className = 'resource-rate';
+            line.appendChild(amount);
+            line.appendChild(document.createTextNode(' '));
+            line.appendChild(rate);
+            
+            this.resourcesElement.appendChild(line);
+            this.resourceElements.set(resourceId, { amount, rate });
+        });
+    }
+
+    /**
+     * Update the display once before the next frame
+     * Placing a house changes budget, items and population at once, so updates are batched
+     */
+    scheduleUpdate() {
+        if (this.updateScheduled) return;
+        this.updateScheduled = true;
+        requestAnimationFrame(() => {
+            this.updateScheduled = false;
             this.update();
-        };
+        });
     }
 
     /**
@@ -57,18 +132,45 @@ export class StatsPanel {
         }
 
         if (this.incomeElement) {
-            const income = this.gameState.getTotalIncomePerInterval();
-            // Apply night multiplier if it's night
-            const nightMultiplier = this.gameState.isDay ? 1 : CONFIG.NIGHT_PRODUCTION_MULTIPLIER;
-            const adjustedIncome = income * nightMultiplier;
-            this.incomeElement.textContent = `Income: ⍱${adjustedIncome.toFixed(2)}`;
+            // Already includes the time of day, lamps keep some buildings working at night
+            const income = this.gameState.getTotalIncomePerInterval() + this.gameState.getTaxIncomePerInterval() +
+                this.gameState.getEventModifier('income');
+            this.incomeElement.textContent = `Income: ⍱${income.toFixed(2)}`;
+        }
+
+        if (this.taxesElement) {
+            const taxes = this.gameState.getTaxIncomePerInterval();
+            this.taxesElement.textContent = `Rent: ⍱${taxes.toFixed(2)} (⍱${this.gameState.getTaxRate().toFixed(2)} each)`;
         }
 
         if (this.expensesElement) {
-            const expenses = this.gameState.getTotalExpensesPerInterval();
+            const expenses = this.gameState.getTotalExpensesPerInterval() + this.gameState.getLoanRepaymentPerInterval();
             this.expensesElement.textContent = `Expenses: ⍱${expenses.toFixed(2)}`;
         }
 
+        if (this.loansElement) {
+            const loans = this.gameState.getLoans();
+            const owed = loans.reduce((total, loan) => total + loan.owed, 0);
+            this.loansElement.textContent = loans.length > 0
+                ? `Loans: ⍱${this.gameState.getLoanRepaymentPerInterval().toFixed(2)} (⍱${owed.toFixed(2)} owed)`
+                : '';
+        }
+
+        // Warn while mornings in debt are counting towards bankruptcy
+        if (this.debtWarningElement) {
+            const { days } = this.gameState.debt;
+            if (this.gameState.isBankrupt()) {
+                this.debtWarningElement.textContent = 'The village is bankrupt!';
+                this.debtWarningElement.style.display = 'block';
+            } else if (days > 0) {
+                const daysLeft = CONFIG.BANKRUPTCY_DAYS - days;
+                this.debtWarningElement.textContent = `In debt: bankrupt in ${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} below ⍱${CONFIG.BANKRUPTCY_THRESHOLD}`;
+                this.debtWarningElement.style.display = 'block';
+            } else {
+                this.debtWarningElement.style.display = 'none';
+            }
+        }
+
         if (this.populationElement) {
             const population = this.gameState.getPopulation();
             this.populationElement.textContent = `Population: ${population.toLocaleString()}`;
@@ -79,11 +181,22 @@ export class StatsPanel {
             this.unemployedElement.textContent = `Unemployed: ${unemployed.toLocaleString()}`;
         }
 
+        if (this.housingElement) {
+            const { capacity, residents } = this.gameState.getHousingTotals();
+            this.housingElement.textContent = `Homes: ${residents.toLocaleString()} / ${capacity.toLocaleString()}`;
+        }
+
+        if (this.migrationElement) {
+            const { arrived, left } = this.migrationToday;
+            this.migrationElement.textContent = arrived > 0 || left > 0 ? `Today: ${arrived} moved in, ${left} left` : '';
+        }
+
         if (this.productionElement) {
             const productionMultiplier = this.gameState.getProductionMultiplier();
             // Apply night multiplier if it's night
-            const nightMultiplier = this.gameState.isDay ? 1 : CONFIG.NIGHT_PRODUCTION_MULTIPLIER;
-            const finalProductionMultiplier = productionMultiplier * nightMultiplier;
+            const happinessMultiplier = this.gameState.getHappinessMultiplier();
+            const nightMultiplier = this.gameState.getNightMultiplier();
+            const finalProductionMultiplier = productionMultiplier * happinessMultiplier * nightMultiplier;
             const productionPercent = (finalProductionMultiplier * 100).toFixed(2);
             this.productionElement.textContent = `Production: ${productionPercent}%`;
         }
@@ -98,6 +211,16 @@ export class StatsPanel {
             }
         }
 
+        this.updateHarvestWarning();
+        this.updateStalledWarning();
+
+        this.updateFood();
+
+        this.updateHappiness();
+        this.updateEventEffects();
+
+        this.updateResources();
+
         // Update time gauge
         this.updateTimeGauge();
         
@@ -105,6 +228,177 @@ export class StatsPanel {
         this.updateCanvasBackground();
     }
 
+    /**
+     * Warn about harvesting buildings that have cut down every tree in reach
+     */
+    updateHarvestWarning() {
+        if (!this.harvestWarningElement) return;
+        
+        const buildings = this.gameState.getBuildingsWithoutTrees();
+        if (buildings.length === 0) {
+            this.harvestWarningElement.style.display = 'none';
+            return;
+        }
+        
+        this.harvestWarningElement.textContent = buildings.length === 1
+            ? `Your ${this.gameState.getItemName(buildings[0].type, buildings[0].id)} has no trees left nearby!`
+            : `${buildings.length} buildings have no trees left nearby!`;
+        this.harvestWarningElement.style.display = 'block';
+    }
+
+    /**
+     * Warn about buildings that stalled because their production chain ran dry
+     */
+    updateStalledWarning() {
+        if (!this.stalledWarningElement) return;
+        
+        const buildings = this.gameState.getStalledBuildings();
+        if (buildings.length === 0) {
+            this.stalledWarningElement.style.display = 'none';
+            return;
+        }
+        
+        if (buildings.length === 1) {
+            const building = buildings[0];
+            const inputs = this.gameState.getMissingInputs(building.id).map(resourceId => getResourceName(resourceId).toLowerCase());
+            const name = this.gameState.getItemName(building.type, building.id);
+            this.stalledWarningElement.textContent = inputs.length > 0
+                ? `Your ${name} is stalled, it has no ${inputs.join(' or ')}!`
+                : `Your ${name} is stalled!`;
+        } else {
+            this.stalledWarningElement.textContent = `${buildings.length} buildings are stalled without supplies!`;
+        }
+        this.stalledWarningElement.style.display = 'block';
+    }
+
+    /**
+     * Update food production against what villagers eat, the days of reserve and the hunger warning
+     */
+    updateFood() {
+        if (this.foodElement) {
+            const produced = this.gameState.getFoodProductionPerInterval();
+            const eaten = this.gameState.getFoodNeedPerInterval();
+            const producedText = produced >= 0 ? `+${produced.toFixed(2)}` : produced.toFixed(2);
+            this.foodElement.textContent = `🍽️ Food: ${producedText} / -${eaten.toFixed(2)}`;
+        }
+        
+        if (this.foodReserveElement) {
+            const days = this.gameState.getFoodReserveDays();
+            this.foodReserveElement.textContent = Number.isFinite(days)
+                ? `Reserve: ${days.toFixed(1)} days`
+                : 'Reserve: nobody to feed';
+        }
+        
+        if (this.foodWarningElement) {
+            this.foodWarningElement.style.display = this.gameState.food.supplied < 1 ? 'block' : 'none';
+        }
+    }
+
+    /**
+     * Get a face for a happiness score
+     * @param {number} score - Happiness from 0 to 100
+     * @returns {string} Emoji
+     */
+    getHappinessIcon(score) {
+        if (score >= 70) return '😊';
+        if (score >= CONFIG.HAPPINESS_BASE) return '🙂';
+        if (score >= CONFIG.HAPPINESS_LEAVE_THRESHOLD) return '😐';
+        return '😠';
+    }
+
+    /**
+     * Update the village happiness, what helps and hurts it, and warn when villagers are leaving
+     */
+    updateHappiness() {
+        if (!this.happinessElement) return;
+        
+        const { score, factors } = this.gameState.getVillageHappiness();
+        this.happinessElement.textContent = `Happiness: ${Math.round(score)} ${this.getHappinessIcon(score)}`;
+        
+        if (this.happinessBreakdownElement) {
+            this.happinessBreakdownElement.innerHTML = '';
+            factors
+                .filter(({ value }) => Math.round(value) !== 0)
+                .forEach(({ label, value }) => {
+                    const line = document.createElement('div');
+                    const rounded = Math.round(value);
+                    line.className = rounded > 0 ? 'happiness-factor helps' : 'happiness-factor hurts';
+                    line.textContent = `${rounded > 0 ? '+' : ''}${rounded} ${label}`;
+                    this.happinessBreakdownElement.appendChild(line);
+                });
+        }
+        
+        if (this.unhappyWarningElement) {
+            const unhappyHouses = this.gameState.placedItems.filter(item =>
+                item.residents > 0 && this.gameState.getHouseHappiness(item).score < CONFIG.HAPPINESS_LEAVE_THRESHOLD
+            );
+            if (unhappyHouses.length === 0) {
+                this.unhappyWarningElement.style.display = 'none';
+            } else {
+                this.unhappyWarningElement.textContent = unhappyHouses.length === 1
+                    ? 'Villagers are moving out of an unhappy house!'
+                    : `Villagers are moving out of ${unhappyHouses.length} unhappy houses!`;
+                this.unhappyWarningElement.style.display = 'block';
+            }
+        }
+    }
+
+    /**
+     * List the running event effects and how many days each has left
+     */
+    updateEventEffects() {
+        if (!this.eventEffectsElement) return;
+        
+        const effects = this.gameState.getEventEffects();
+        this.eventEffectsElement.innerHTML = '';
+        effects.forEach(({ eventId, modifier, amount, daysLeft }) => {
+            const event = getEventData(eventId);
+            const line = document.createElement('div');
+            line.className = amount > 0 ? 'happiness-factor helps' : 'happiness-factor hurts';
+            line.textContent = `${event.icon} ${event.name}: ${this.describeEventEffect(modifier, amount)}, ` +
+                `${daysLeft} ${daysLeft === 1 ? 'day' : 'days'} left`;
+            this.eventEffectsElement.appendChild(line);
+        });
+        this.eventEffectsElement.style.display = effects.length > 0 ? 'block' : 'none';
+    }
+
+    /**
+     * Describe a timed event effect
+     * @param {string} modifier - 'happiness', 'production' or 'income'
+     * @param {number} amount - Effect amount
+     * @returns {string} Text such as "+15 happiness" or "-15% production"
+     */
+    describeEventEffect(modifier, amount) {
+        const sign = amount > 0 ? '+' : '-';
+        if (modifier === 'production') {
+            return `${sign}${Math.round(Math.abs(amount) * 100)}% production`;
+        }
+        if (modifier === 'income') {
+            return `${sign}⍱${Math.abs(amount).toFixed(2)} per interval`;
+        }
+        return `${sign}${Math.abs(amount)} happiness`;
+    }
+
+    /**
+     * Update the stockpile amounts and the net change per interval
+     */
+    updateResources() {
+        if (this.resourceElements.size === 0) return;
+        
+        const { produced, consumed } = this.gameState.getResourceRatesPerInterval();
+        
+        this.resourceElements.forEach(({ amount, rate }, resourceId) => {
+            amount.textContent = Math.floor(this.gameState.getResource(resourceId)).toLocaleString();
+            
+            const net = (produced[resourceId] || 0) - (consumed[resourceId] || 0);
+            if (Math.abs(net) < 0.005) {
+                rate.textContent = '';
+            } else {
+                rate.textContent = net > 0 ? `(+${net.toFixed(2)})` : `(${net.toFixed(2)})`;
+            }
+        });
+    }
+
     /**
      * Update the time gauge display
      */
@@ -124,13 +418,78 @@ export class StatsPanel {
         
         // Update status text
         if (this.timeStatusElement) {
-            this.timeStatusElement.textContent = timeInfo.isDay ? 'Day' : 'Night, village resting';
+            const status = timeInfo.isDay ? `Day ${timeInfo.day}` : 'Night, village resting';
+            this.timeStatusElement.textContent = this.gameState.isPaused() ? `${status} (paused)` : status;
+        }
+        
+        if (this.seasonStatusElement) {
+            const season = this.gameState.getSeasonInfo();
+            this.seasonStatusElement.textContent = `${season.data.icon} ${season.data.name}, day ${season.day} of ${season.length}`;
+            this.seasonStatusElement.title = this.describeSeason(season.data);
         }
         
+        this.updateWeather();
+        
         // The day and night sections are already sized correctly in CSS
         // They don't need dynamic updates since the proportions are fixed
     }
 
+    /**
+     * Update the current weather and the forecast under the time gauge
+     */
+    updateWeather() {
+        const weather = this.gameState.getWeatherInfo();
+        
+        if (this.weatherStatusElement) {
+            this.weatherStatusElement.textContent = `${weather.data.icon} ${weather.data.name}`;
+            this.weatherStatusElement.title = this.describeWeather(weather.data);
+        }
+        
+        if (this.weatherForecastElement) {
+            const cycleLength = CONFIG.DAY_LENGTH + CONFIG.NIGHT_LENGTH;
+            this.weatherForecastElement.textContent = `Then: ${weather.forecast.map(spell => spell.data.icon).join(' ')}`;
+            this.weatherForecastElement.title = weather.forecast
+                .map(spell => {
+                    const hours = Math.round(spell.inTicks / cycleLength * 24);
+                    return `${spell.data.name} in about ${hours} ${hours === 1 ? 'hour' : 'hours'}`;
+                })
+                .join('\n');
+        }
+    }
+
+    /**
+     * Describe what the weather does to the village
+     * @param {Object} weather - Weather data from weatherData.js
+     * @returns {string} One line per effect, such as "Villagers walk at 50% speed"
+     */
+    describeWeather(weather) {
+        const lines = Object.entries(weather.yields || {})
+            .map(([buildingId, multiplier]) => `${getItemName('building', buildingId)}: ${Math.round(multiplier * 100)}% of the usual yield`);
+        if (weather.treeFall > 0) {
+            lines.push('Trees: the wind may knock some down');
+        }
+        if (Number.isFinite(weather.walkSpeed) && weather.walkSpeed !== 1) {
+            lines.push(`Villagers walk at ${Math.round(weather.walkSpeed * 100)}% speed`);
+        }
+        return lines.length > 0 ? lines.join('\n') : 'No effect on the village';
+    }
+
+    /**
+     * Describe what a season does to the village
+     * @param {Object} season - Season data from seasonData.js
+     * @returns {string} One line per effect, such as "Wheat: 20% of the usual yield"
+     */
+    describeSeason(season) {
+        const lines = Object.entries(season.yields || {})
+            .filter(([, multiplier]) => multiplier !== 1)
+            .map(([buildingId, multiplier]) => `${getItemName('building', buildingId)}: ${Math.round(multiplier * 100)}% of the usual yield`);
+        if (season.heating > 0) {
+            lines.push(`Heating: houses cost ${Math.round(season.heating * 100)}% more to keep`);
+        }
+        lines.push(`Trees: ${season.treeGrowth} grow back for each one lost`);
+        return lines.join('\n');
+    }
+
     /**
      * Update the canvas background color based on the time cycle
      * Smoothly interpolates between day and night colors throughout the entire cycle
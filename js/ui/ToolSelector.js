@@ -1,4 +1,5 @@
-import { BUILDING_DATA, DECORATION_DATA, ROAD_DATA } from '../data/itemData.js';
+import { getConsumption, getHarvest, getInfluence, getInfluenceModifier, getItemData, getItemTypes, getItemsOfCategory, getProduction, getResourceName, onItemsChanged } from '../data/itemRegistry.js';
+import { escapeHtml } from '../utils/htmlUtils.js';
 
     /**
      * Handles tool selection UI
@@ -15,6 +16,7 @@ export class ToolSelector {
         this.generateToolItems();
         this.createInfoPanel();
         this.setupEventListeners();
+        this.setupGameStateListeners();
     }
     
     /**
@@ -45,32 +47,15 @@ export class ToolSelector {
      * Generate tool items dynamically from itemData
      */
     generateToolItems() {
-        // Generate building items
-        const buildingsGrid = document.getElementById('buildings-grid');
-        if (buildingsGrid) {
-            Object.keys(BUILDING_DATA).forEach(id => {
-                const itemElement = this.createToolItem('building', id, BUILDING_DATA[id]);
-                buildingsGrid.appendChild(itemElement);
-            });
-        }
-
-        // Generate decoration items
-        const decorationsGrid = document.getElementById('decorations-grid');
-        if (decorationsGrid) {
-            Object.keys(DECORATION_DATA).forEach(id => {
-                const itemElement = this.createToolItem('decoration', id, DECORATION_DATA[id]);
-                decorationsGrid.appendChild(itemElement);
-            });
-        }
-
-        // Generate road items
-        const roadsGrid = document.getElementById('roads-grid');
-        if (roadsGrid) {
-            Object.keys(ROAD_DATA).forEach(id => {
-                const itemElement = this.createToolItem('road', id, ROAD_DATA[id]);
-                roadsGrid.appendChild(itemElement);
-            });
-        }
+        // Each item type has its own grid in the sidebar (buildings-grid, decorations-grid, roads-grid)
+        getItemTypes().forEach(type => {
+            const grid = document.getElementById(`${type}s-grid`);
+            if (grid) {
+                getItemsOfCategory(type).forEach(({ id, data }) => {
+                    grid.appendChild(this.createToolItem(type, id, data));
+                });
+            }
+        });
     }
 
     /**
@@ -182,14 +167,7 @@ export class ToolSelector {
      * @returns {Object|null} Item data or null if not found
      */
     getItemData(type, id) {
-        if (type === 'building' && BUILDING_DATA[id]) {
-            return BUILDING_DATA[id];
-        } else if (type === 'decoration' && DECORATION_DATA[id]) {
-            return DECORATION_DATA[id];
-        } else if (type === 'road' && ROAD_DATA[id]) {
-            return ROAD_DATA[id];
-        }
-        return null;
+        return getItemData(type, id);
     }
 
 
@@ -260,6 +238,33 @@ export class ToolSelector {
         document.body.appendChild(this.infoPanel);
     }
 
+    /**
+     * Format resource amounts for the info panel
+     * @param {Object} amounts - Resource ID -> amount
+     * @returns {string} Text such as "2 Stone, 1 Wood"
+     */
+    formatResourceAmounts(amounts) {
+        return Object.entries(amounts)
+            .map(([resourceId, amount]) => `${amount} ${escapeHtml(getResourceName(resourceId))}`)
+            .join(', ');
+    }
+
+    /**
+     * Format influence modifiers for the info panel
+     * @param {Object} modifiers - Modifier ID -> value
+     * @returns {string} Text such as "+1 Happiness, +30% Night production"
+     */
+    formatInfluenceModifiers(modifiers) {
+        return Object.entries(modifiers)
+            .map(([modifierId, value]) => {
+                const modifier = getInfluenceModifier(modifierId);
+                const sign = value >= 0 ? '+' : '';
+                const amount = modifier.format === 'percent' ? `${sign}${Math.round(value * 100)}%` : `${sign}${value}`;
+                return `${amount} ${escapeHtml(modifier.name)}`;
+            })
+            .join(', ');
+    }
+
     /**
      * Show info panel with item details
      * @param {HTMLElement} toolItem - The tool item being hovered
@@ -273,7 +278,7 @@ export class ToolSelector {
         const id = toolItem.dataset.id;
 
         // Build the content
-        let content = `<div class="info-panel-title">${itemData.name || 'Unknown Item'}</div>`;
+        let content = `<div class="info-panel-title">${escapeHtml(itemData.name || 'Unknown Item')}</div>`;
         
         let hasContentAfterTitle = false;
         
@@ -285,14 +290,15 @@ export class ToolSelector {
         // Description (if available)
         if (itemData.description) {
             if (hasContentAfterTitle) addDivider();
-            content += `<div class="info-panel-row"><span class="info-value-description">${itemData.description}</span></div>`;
+            content += `<div class="info-panel-row"><span class="info-value-description">${escapeHtml(itemData.description)}</span></div>`;
             hasContentAfterTitle = true;
         }
         
-        // Cost
+        // Cost, with the resources it takes on top of the money
         if (itemData.cost !== undefined) {
             if (hasContentAfterTitle) addDivider();
-            content += `<div class="info-panel-row"><span class="info-label">Cost:</span><span class="info-value">⍱${itemData.cost}</span></div>`;
+            const resourceCost = itemData.resourceCost ? ` + ${this.formatResourceAmounts(itemData.resourceCost)}` : '';
+            content += `<div class="info-panel-row"><span class="info-label">Cost:</span><span class="info-value">⍱${itemData.cost}${resourceCost}</span></div>`;
             hasContentAfterTitle = true;
         }
         
@@ -314,7 +320,7 @@ export class ToolSelector {
                     const isMet = !missing || !missing[reqType];
                     const statusClass = isMet ? 'info-value' : 'info-value requirement-not-met';
                     const statusText = isMet ? '✓' : '✗';
-                    content += `<div class="info-panel-requirement-row"><span class="info-label">${result.label}:</span><span class="${statusClass}">${statusText} ${result.current} / ${result.required}</span></div>`;
+                    content += `<div class="info-panel-requirement-row"><span class="info-label">${escapeHtml(result.label)}:</span><span class="${statusClass}">${statusText} ${result.current} / ${result.required}</span></div>`;
                 } else {
                     // Fallback for unknown requirement types
                     const isMet = !missing || !missing[reqType];
@@ -335,8 +341,26 @@ export class ToolSelector {
         if (itemData.expenseAmount !== undefined && itemData.expenseAmount > 0) {
             financialRows.push(`<div class="info-panel-row"><span class="info-label">Expense:</span><span class="info-value expense">⍱${itemData.expenseAmount} / interval</span></div>`);
         }
+        // Resource rates include the item's throughput
+        if (itemData.produces) {
+            financialRows.push(`<div class="info-panel-row"><span class="info-label">Produces:</span><span class="info-value income">${this.formatResourceAmounts(getProduction(type, id))} / interval</span></div>`);
+        }
+        if (itemData.consumes) {
+            financialRows.push(`<div class="info-panel-row"><span class="info-label">Consumes:</span><span class="info-value expense">${this.formatResourceAmounts(getConsumption(type, id))} / interval</span></div>`);
+        }
+        if (itemData.harvest) {
+            const harvest = getHarvest(type, id);
+            financialRows.push(`<div class="info-panel-row"><span class="info-label">Harvests:</span><span class="info-value">Trees within ${harvest.radius} tiles</span></div>`);
+        }
+        if (itemData.influence) {
+            const influence = getInfluence(type, id);
+            financialRows.push(`<div class="info-panel-row"><span class="info-label">Nearby (${influence.radius} tiles):</span><span class="info-value">${this.formatInfluenceModifiers(influence.modifiers)}</span></div>`);
+        }
+        if (itemData.happiness) {
+            financialRows.push(`<div class="info-panel-row"><span class="info-label">Happiness:</span><span class="info-value">${itemData.happiness > 0 ? '+' : ''}${itemData.happiness} for houses next to it</span></div>`);
+        }
         if (itemData.population !== undefined && itemData.population > 0) {
-            financialRows.push(`<div class="info-panel-row"><span class="info-label">Houses:</span><span class="info-value">${itemData.population} villagers</span></div>`);
+            financialRows.push(`<div class="info-panel-row"><span class="info-label">Houses:</span><span class="info-value">Up to ${itemData.population} villagers</span></div>`);
         }
         
         if (financialRows.length > 0) {
@@ -404,6 +428,64 @@ export class ToolSelector {
         this.currentHoveredItem = null;
     }
 
+    /**
+     * Keep the sidebar in sync with the game state
+     */
+    setupGameStateListeners() {
+        // Requirement checks in the info panel depend on budget, population and placed buildings
+        ['budgetChanged', 'populationChanged', 'itemPlaced', 'itemRemoved'].forEach(event => {
+            this.gameState.on(event, () => this.refreshInfoPanel());
+        });
+
+        // Loading or starting over clears the selected tool, so clear its highlight too
+        ['stateLoaded', 'reset'].forEach(event => {
+            this.gameState.on(event, () => {
+                document.querySelectorAll('.tool-item.active').forEach(i =>
+                    i.classList.remove('active')
+                );
+                this.enableUIInteraction();
+                this.refreshInfoPanel();
+            });
+        });
+
+        // Item packs add and remove items while the game runs
+        onItemsChanged(() => this.refreshToolItems());
+    }
+
+    /**
+     * Rebuild the item grids after the item list changed
+     */
+    refreshToolItems() {
+        // The selected item's element is about to be replaced (the bulldozer isn't part of the grids)
+        const selected = this.gameState.getSelectedTool();
+        if (selected && selected.type !== 'tool') {
+            this.gameState.clearSelectedTool();
+            this.enableUIInteraction();
+        }
+        this.hideInfoPanel();
+
+        getItemTypes().forEach(type => {
+            const grid = document.getElementById(`${type}s-grid`);
+            if (grid) {
+                grid.querySelectorAll('.tool-item').forEach(toolItem => toolItem.remove());
+            }
+        });
+        this.generateToolItems();
+    }
+
+    /**
+     * Re-render the info panel of the hovered item, if it is open
+     */
+    refreshInfoPanel() {
+        const toolItem = this.currentHoveredItem;
+        if (!toolItem || !this.infoPanel || this.infoPanel.style.display === 'none') return;
+
+        const itemData = this.getItemData(toolItem.dataset.type, toolItem.dataset.id);
+        if (itemData) {
+            this.showInfoPanel(toolItem, itemData);
+        }
+    }
+
     setupEventListeners() {
         // Use event delegation to handle dynamically added items
         document.addEventListener('click', (e) => {
@@ -2,10 +2,36 @@
  * Tooltip component for displaying hover text over items
  */
 export class Tooltip {
-    constructor() {
+    /**
+     * @param {GameState} gameState - Optional, hides the tooltip when the item it describes goes away
+     */
+    constructor(gameState = null) {
         this.element = null;
         this.isVisible = false;
+        this.anchor = null; // Tile of the item the tooltip describes
         this.createElement();
+        if (gameState) {
+            this.setupGameStateListeners(gameState);
+        }
+    }
+
+    /**
+     * Hide the tooltip when its item is removed or the whole village changes
+     * @param {GameState} gameState - Game state to subscribe to
+     */
+    setupGameStateListeners(gameState) {
+        gameState.on('itemRemoved', ({ item }) => {
+            if (this.isVisible && this.anchor && this.anchor.isoX === item.isoX && this.anchor.isoY === item.isoY) {
+                this.hide();
+            }
+        });
+        ['stateLoaded', 'reset'].forEach(event => {
+            gameState.on(event, () => {
+                if (this.isVisible) {
+                    this.hide();
+                }
+            });
+        });
     }
 
     /**
@@ -45,12 +71,15 @@ export class Tooltip {
      * @param {string} text - The text to display
      * @param {number} x - X coordinate (clientX)
      * @param {number} y - Y coordinate (clientY)
+     * @param {{isoX: number, isoY: number}} anchor - Optional tile of the item being described
      */
-    show(text, x, y) {
+    show(text, x, y, anchor = null) {
         if (!this.element) {
             this.createElement();
         }
 
+        this.anchor = anchor ? { isoX: anchor.isoX, isoY: anchor.isoY } : null;
+
         const wasVisible = this.isVisible;
 
         this.element.textContent = text;
@@ -106,6 +135,7 @@ export class Tooltip {
      * Hide the tooltip
      */
     hide() {
+        this.anchor = null;
         if (this.element) {
             // Fade out animation
             this.element.style.opacity = '0';
@@ -0,0 +1,203 @@
+import { getEventData } from '../data/eventData.js';
+import { getResourceName } from '../data/itemRegistry.js';
+
+/**
+ * Shows a village event and the choices the player has, time stops until one is picked
+ */
+export class VillageEventDialog {
+    constructor(gameState, toast) {
+        this.gameState = gameState;
+        this.toast = toast;
+        this.dialog = null;
+        this.titleElement = null;
+        this.descriptionElement = null;
+        this.choicesElement = null;
+        this.wasPaused = false; // Whether the player had paused the game before the event came up
+        this.setupDialog();
+        this.setupGameStateListeners();
+    }
+
+    setupDialog() {
+        this.dialog = document.getElementById('village-event-dialog');
+        this.titleElement = document.getElementById('village-event-title');
+        this.descriptionElement = document.getElementById('village-event-description');
+        this.choicesElement = document.getElementById('village-event-choices');
+        // There is no cancel: every event has a choice that costs nothing
+    }
+
+    setupGameStateListeners() {
+        this.gameState.on('villageEvent', () => this.showDialog());
+
+        // Whether a choice is affordable changes with the budget and the stockpile
+        ['budgetChanged', 'resourcesChanged'].forEach(event => {
+            this.gameState.on(event, () => {
+                if (this.dialog && this.dialog.style.display !== 'none') {
+                    this.render();
+                }
+            });
+        });
+
+        // Another village may have its own event waiting
+        ['stateLoaded', 'reset'].forEach(event => {
+            this.gameState.on(event, () => {
+                if (this.gameState.getPendingEvent()) {
+                    this.showDialog();
+                } else {
+                    this.resume();
+                }
+            });
+        });
+    }
+
+    showDialog() {
+        if (!this.dialog || !this.gameState.getPendingEvent()) return;
+
+        if (this.dialog.style.display === 'none') {
+            this.wasPaused = this.gameState.isPaused();
+            this.gameState.setGameSpeed(0);
+        }
+
+        this.render();
+        this.dialog.style.display = 'flex';
+        // Focus the first choice for keyboard navigation
+        const firstButton = this.choicesElement.querySelector('button:not(:disabled)');
+        if (firstButton) {
+            firstButton.focus();
+        }
+    }
+
+    hideDialog() {
+        if (this.dialog) {
+            this.dialog.style.display = 'none';
+        }
+    }
+
+    /**
+     * Close the dialog and restart the time it stopped, unless the player had paused the game
+     */
+    resume() {
+        if (!this.dialog || this.dialog.style.display === 'none') {
+            return;
+        }
+        this.hideDialog();
+        if (!this.wasPaused && this.gameState.isPaused()) {
+            this.gameState.togglePause();
+        }
+    }
+
+    /**
+     * Format money for display
+     * @param {number} amount - Amount of money
+     * @returns {string} Formatted amount
+     */
+    formatMoney(amount) {
+        return `⍱${amount.toLocaleString('en-US', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+    }
+
+    /**
+     * Format a signed number for display
+     * @param {number} value - Value
+     * @param {string} text - Formatted absolute value
+     * @returns {string} Text such as "+5" or "-⍱20"
+     */
+    formatSigned(value, text) {
+        return `${value < 0 ? '-' : '+'}${text}`;
+    }
+
+    /**
+     * Describe what a choice costs and does
+     * @param {Object} option - Choice from eventData.js
+     * @returns {string} Summary such as "Costs ⍱150 · +⍱5 per interval for 2 days"
+     */
+    describeChoice(option) {
+        const parts = [];
+
+        const costs = [];
+        if (option.cost > 0) {
+            costs.push(this.formatMoney(option.cost));
+        }
+        Object.entries(option.resourceCost || {}).forEach(([resourceId, amount]) => {
+            costs.push(`${amount} ${getResourceName(resourceId).toLowerCase()}`);
+        });
+        if (costs.length > 0) {
+            parts.push(`Costs ${costs.join(' and ')}`);
+        }
+
+        if (option.budget) {
+            parts.push(this.formatSigned(option.budget, this.formatMoney(Math.abs(option.budget))));
+        }
+        Object.entries(option.resources || {}).forEach(([resourceId, amount]) => {
+            parts.push(`${this.formatSigned(amount, Math.abs(amount))} ${getResourceName(resourceId).toLowerCase()}`);
+        });
+
+        (option.effects || []).forEach(({ modifier, amount, days }) => {
+            const duration = `for ${days} ${days === 1 ? 'day' : 'days'}`;
+            if (modifier === 'happiness') {
+                parts.push(`${this.formatSigned(amount, Math.abs(amount))} happiness ${duration}`);
+            } else if (modifier === 'production') {
+                parts.push(`${this.formatSigned(amount, `${Math.round(Math.abs(amount) * 100)}%`)} production ${duration}`);
+            } else if (modifier === 'income') {
+                parts.push(`${this.formatSigned(amount, this.formatMoney(Math.abs(amount)))} per interval ${duration}`);
+            }
+        });
+
+        return parts.length > 0 ? parts.join(' · ') : 'Nothing happens';
+    }
+
+    /**
+     * Show the event waiting and one card per choice
+     */
+    render() {
+        if (!this.choicesElement) return;
+
+        const eventId = this.gameState.getPendingEvent();
+        const event = getEventData(eventId);
+        if (!event) return;
+
+        this.titleElement.textContent = `${event.icon} ${event.name}`;
+        this.descriptionElement.textContent = event.description;
+
+        this.choicesElement.innerHTML = '';
+        event.choices.forEach((option, index) => {
+            const { allowed, reason } = this.gameState.canChooseEventOption(index);
+
+            const choiceElement = document.createElement('div');
+            choiceElement.className = 'save-slot';
+
+            const details = document.createElement('div');
+            details.className = 'save-slot-details';
+            details.textContent = this.describeChoice(option);
+            choiceElement.appendChild(details);
+
+            const actions = document.createElement('div');
+            actions.className = 'save-slot-actions';
+            const chooseBtn = document.createElement('button');
+            chooseBtn.className = 'save-slot-btn';
+            chooseBtn.textContent = option.label;
+            chooseBtn.disabled = !allowed;
+            if (!allowed) {
+                chooseBtn.title = reason;
+            }
+            chooseBtn.addEventListener('click', () => this.choose(index));
+            actions.appendChild(chooseBtn);
+            choiceElement.appendChild(actions);
+
+            this.choicesElement.appendChild(choiceElement);
+        });
+    }
+
+    /**
+     * Settle the event with one of its choices
+     * @param {number} index - Index in the event's choices
+     */
+    choose(index) {
+        const event = getEventData(this.gameState.getPendingEvent());
+        if (!this.gameState.chooseEventOption(index)) {
+            return;
+        }
+        this.resume();
+        if (this.toast && event) {
+            this.toast.neutral(`${event.icon} ${event.choices[index].label}`);
+        }
+    }
+}
@@ -0,0 +1,116 @@
+import { createVillageFile, getVillageFileName, parseVillageFile, VILLAGE_FILE_EXTENSION } from '../core/villageFile.js';
+
+/**
+ * Handles exporting the current village to a file and importing one back
+ */
+export class VillageTransfer {
+    constructor(gameState, renderer, villagerManager, toast = null, saveSlotsDialog = null) {
+        this.gameState = gameState;
+        this.renderer = renderer;
+        this.villagerManager = villagerManager;
+        this.toast = toast;
+        this.saveSlotsDialog = saveSlotsDialog;
+        this.fileInput = null;
+        this.setupEventListeners();
+    }
+
+    /**
+     * Get the name of the village currently being played
+     * @returns {string} Village name
+     */
+    getVillageName() {
+        const activeSlotId = this.gameState.getActiveSlotId();
+        const slot = this.gameState.getSlots().find(other => other.id === activeSlotId);
+        return slot ? slot.name : 'village';
+    }
+
+    /**
+     * Download the current village as a file
+     */
+    exportVillage() {
+        const name = this.getVillageName();
+        const blob = new Blob([createVillageFile(this.gameState, name)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = getVillageFileName(name);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        if (this.toast) {
+            this.toast.success(`Exported ${name}`);
+        }
+    }
+
+    /**
+     * Replace the current village with the contents of a file
+     * @param {File} file - Selected village file
+     */
+    async importVillage(file) {
+        let state;
+        try {
+            state = parseVillageFile(await file.text());
+        } catch (error) {
+            console.warn('Failed to import village:', error);
+            if (this.toast) {
+                this.toast.warning(`Import failed: ${error.message}`, 6000);
+            }
+            return;
+        }
+
+        this.gameState.importState(state);
+
+        // Villagers belong to the previous village
+        if (this.villagerManager) {
+            this.villagerManager.clear();
+        }
+        this.renderer.render();
+
+        // The slot list shown behind the import button is out of date now
+        if (this.saveSlotsDialog) {
+            this.saveSlotsDialog.hideDialog();
+        }
+
+        if (this.toast) {
+            this.toast.success(`Imported ${file.name}`);
+        }
+    }
+
+    setupEventListeners() {
+        const exportBtn = document.getElementById('village-export-btn');
+        const importBtn = document.getElementById('village-import-btn');
+
+        // Hidden file input used by the import button
+        this.fileInput = document.createElement('input');
+        this.fileInput.type = 'file';
+        this.fileInput.accept = `${VILLAGE_FILE_EXTENSION},.json,application/json`;
+        this.fileInput.style.display = 'none';
+        document.body.appendChild(this.fileInput);
+
+        this.fileInput.addEventListener('change', () => {
+            const file = this.fileInput.files[0];
+            // Reset so choosing the same file again still triggers a change
+            this.fileInput.value = '';
+            if (file) {
+                this.importVillage(file);
+            }
+        });
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.exportVillage();
+            });
+        }
+
+        if (importBtn) {
+            importBtn.addEventListener('click', () => {
+                this.fileInput.click();
+            });
+        }
+    }
+}
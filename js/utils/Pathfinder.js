@@ -15,10 +15,7 @@ export class Pathfinder {
      * @returns {boolean} True if position is a road tile
      */
     isRoadTile(isoX, isoY) {
-        const placedItems = this.gameState.getPlacedItems();
-        return placedItems.some(item => 
-            item.type === 'road' && item.isoX === isoX && item.isoY === isoY
-        );
+        return this.gameState.hasRoadAt(isoX, isoY);
     }
 
     /**
@@ -28,10 +25,8 @@ export class Pathfinder {
      * @returns {boolean} True if position is occupied
      */
     isPositionOccupied(isoX, isoY) {
-        const placedItems = this.gameState.getPlacedItems();
-        return placedItems.some(item => 
-            item.isoX === isoX && item.isoY === isoY && item.type !== 'road'
-        );
+        const item = this.gameState.getItemAt(isoX, isoY);
+        return item !== null && item.type !== 'road';
     }
 
     /**
@@ -93,9 +88,7 @@ export class Pathfinder {
      * @returns {Array} Array of {isoX, isoY} positions
      */
     getAllRoadTiles() {
-        const placedItems = this.gameState.getPlacedItems();
-        return placedItems
-            .filter(item => item.type === 'road')
+        return this.gameState.getItemsOfType('road')
             .map(item => ({ isoX: item.isoX, isoY: item.isoY }))
             .filter(pos => !this.isPositionOccupied(pos.isoX, pos.isoY));
     }
@@ -0,0 +1,14 @@
+/**
+ * Escape text for use inside HTML markup
+ * Item names and descriptions can come from item packs, so they are never trusted as markup
+ * @param {*} text - Text to escape (converted to a string)
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
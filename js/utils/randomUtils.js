@@ -0,0 +1,16 @@
+/**
+ * Create a seeded random number generator (mulberry32)
+ * The same seed always gives the same sequence, so a headless run can be repeated exactly
+ * @param {number} seed - Seed, any integer
+ * @returns {function(): number} Generator returning numbers from 0 (inclusive) to 1 (exclusive), like Math.random
+ */
+export function createSeededRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}